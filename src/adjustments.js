@@ -0,0 +1,207 @@
+/**
+ * Adjustments - Colour and sharpness corrections of the base image.
+ *
+ * Colour adjustments map to CSS filter functions, so the browser applies them on
+ * the GPU while drawing. Browsers without canvas filters get the same formulas on
+ * the pixels. Sharpening is always done on the pixels.
+ */
+
+import { createCanvas } from './utils.js';
+
+/** Valid range of each adjustment; 0 leaves the image unchanged */
+export const ADJUSTMENT_RANGES = {
+    brightness: [-100, 100],
+    contrast: [-100, 100],
+    saturation: [-100, 100],
+    exposure: [-100, 100],
+    grayscale: [0, 100],
+    invert: [0, 100],
+    sharpen: [0, 100]
+};
+
+export const ADJUSTMENT_KEYS = Object.keys(ADJUSTMENT_RANGES);
+
+// Exposure of +-100 brightens or darkens by two stops
+const EXPOSURE_STOPS = 2;
+
+// Pixels sharpened between yields to the browser, a few milliseconds of work
+const SLICE_PIXELS = 250000;
+
+/**
+ * Check a single adjustment value.
+ * @returns {string|null} What the value must be, or null if it is valid
+ */
+export function checkAdjustmentValue(key, value) {
+    const range = ADJUSTMENT_RANGES[key];
+    if (!range) return 'is not an adjustment';
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < range[0] || value > range[1]) {
+        return `must be a number from ${range[0]} to ${range[1]}`;
+    }
+    return null;
+}
+
+/**
+ * Build the CSS filter for the colour adjustments.
+ * @param {Object} adjustments
+ * @returns {string} Filter string, or 'none'
+ */
+export function getAdjustmentFilter(adjustments) {
+    const { brightness = 0, contrast = 0, saturation = 0, exposure = 0, grayscale = 0, invert = 0 } = adjustments;
+    const filters = [];
+    const gain = getGain(brightness, exposure);
+    if (gain !== 1) filters.push(`brightness(${gain})`);
+    if (contrast) filters.push(`contrast(${1 + contrast / 100})`);
+    if (saturation) filters.push(`saturate(${1 + saturation / 100})`);
+    if (grayscale) filters.push(`grayscale(${grayscale / 100})`);
+    if (invert) filters.push(`invert(${invert / 100})`);
+    return filters.length ? filters.join(' ') : 'none';
+}
+
+/**
+ * Apply the colour adjustments to pixels, with the formulas of the CSS filters.
+ * @param {ImageData} imageData - Modified in place
+ * @param {Object} adjustments
+ */
+export function applyColorAdjustments(imageData, adjustments) {
+    const { brightness = 0, contrast = 0, saturation = 0, exposure = 0, grayscale = 0, invert = 0 } = adjustments;
+    const gain = getGain(brightness, exposure);
+    const k = 1 + contrast / 100;
+    // saturate() and grayscale() are both colour matrices, so they combine into one
+    const matrix = multiplyMatrices(grayscaleMatrix(grayscale / 100), saturateMatrix(1 + saturation / 100));
+    const inv = invert / 100;
+
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        let r = data[i] * gain;
+        let g = data[i + 1] * gain;
+        let b = data[i + 2] * gain;
+        if (contrast) {
+            r = (r - 127.5) * k + 127.5;
+            g = (g - 127.5) * k + 127.5;
+            b = (b - 127.5) * k + 127.5;
+        }
+        // Each filter clamps its output before the next one runs
+        r = clamp(r); g = clamp(g); b = clamp(b);
+        let nr = matrix[0] * r + matrix[1] * g + matrix[2] * b;
+        let ng = matrix[3] * r + matrix[4] * g + matrix[5] * b;
+        let nb = matrix[6] * r + matrix[7] * g + matrix[8] * b;
+        if (inv) {
+            nr = clamp(nr); ng = clamp(ng); nb = clamp(nb);
+            nr += (255 - 2 * nr) * inv;
+            ng += (255 - 2 * ng) * inv;
+            nb += (255 - 2 * nb) * inv;
+        }
+        data[i] = nr;
+        data[i + 1] = ng;
+        data[i + 2] = nb;
+    }
+}
+
+/**
+ * Sharpen an image with a 3x3 unsharp kernel, a slice of rows at a time. The browser
+ * gets control back between slices, so large images don't freeze the page.
+ * @param {CanvasImageSource} image - Source image
+ * @param {number} width
+ * @param {number} height
+ * @param {number} amount - 0 to 100
+ * @param {AbortSignal} [signal] - Stops the work between slices
+ * @returns {Promise<HTMLCanvasElement|null>} Sharpened copy, or null if aborted
+ */
+export async function sharpenImage(image, width, height, amount, signal) {
+    const job = startSharpen(image, width, height);
+    const rows = Math.max(1, Math.floor(SLICE_PIXELS / width));
+    for (let y = 0; y < height; y += rows) {
+        if (y) await new Promise(resolve => setTimeout(resolve));
+        if (signal && signal.aborted) return null;
+        sharpenRows(job.src, job.out, width, height, amount, y, y + rows);
+    }
+    return finishSharpen(job);
+}
+
+/**
+ * Sharpen an image in one go, for callers that can't wait.
+ * @returns {HTMLCanvasElement} Sharpened copy
+ */
+export function sharpenImageNow(image, width, height, amount) {
+    const job = startSharpen(image, width, height);
+    sharpenRows(job.src, job.out, width, height, amount);
+    return finishSharpen(job);
+}
+
+/**
+ * Apply the unsharp kernel to a band of rows. The edge pixels are left as they are.
+ * @param {Uint8ClampedArray} src - RGBA pixels to read
+ * @param {Uint8ClampedArray} out - RGBA pixels to write; a copy of src, so every pixel
+ *   reads unsharpened neighbours
+ * @param {number} width
+ * @param {number} height
+ * @param {number} amount - 0 to 100
+ * @param {number} [from=0] - First row
+ * @param {number} [to=height] - Row after the last
+ */
+export function sharpenRows(src, out, width, height, amount, from = 0, to = height) {
+    const a = amount / 100;
+    const center = 1 + 4 * a;
+    const row = width * 4;
+
+    for (let y = Math.max(1, from); y < Math.min(height - 1, to); y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * row + x * 4;
+            for (let c = 0; c < 3; c++) {
+                const p = i + c;
+                out[p] = src[p] * center - a * (src[p - 4] + src[p + 4] + src[p - row] + src[p + row]);
+            }
+        }
+    }
+}
+
+function startSharpen(image, width, height) {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    return { ctx, imageData, src: imageData.data, out: new Uint8ClampedArray(imageData.data) };
+}
+
+function finishSharpen({ ctx, imageData, out }) {
+    imageData.data.set(out);
+    ctx.putImageData(imageData, 0, 0);
+    return ctx.canvas;
+}
+
+// brightness() multiplies, and so does exposure, in stops
+function getGain(brightness, exposure) {
+    return (1 + brightness / 100) * Math.pow(2, exposure / 100 * EXPOSURE_STOPS);
+}
+
+function saturateMatrix(s) {
+    return [
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+    ];
+}
+
+function grayscaleMatrix(amount) {
+    const s = 1 - amount;
+    return [
+        0.2126 + 0.7874 * s, 0.7152 - 0.7152 * s, 0.0722 - 0.0722 * s,
+        0.2126 - 0.2126 * s, 0.7152 + 0.2848 * s, 0.0722 - 0.0722 * s,
+        0.2126 - 0.2126 * s, 0.7152 - 0.7152 * s, 0.0722 + 0.9278 * s
+    ];
+}
+
+// a * b for 3x3 matrices: b is applied first
+function multiplyMatrices(a, b) {
+    const result = [];
+    for (let r = 0; r < 3; r++) {
+        for (let c = 0; c < 3; c++) {
+            result.push(a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c]);
+        }
+    }
+    return result;
+}
+
+function clamp(value) {
+    return value < 0 ? 0 : value > 255 ? 255 : value;
+}
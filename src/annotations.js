@@ -0,0 +1,276 @@
+/**
+ * Annotations - Dataset formats for labelled regions: COCO, Pascal VOC and YOLO.
+ *
+ * Regions are passed in as { label, polygon } with the polygon in pixels of the
+ * image being labelled. Parsing returns { label, bbox: { x, y, w, h } } in the same pixels.
+ */
+
+import { escapeXML } from './utils.js';
+
+export const ANNOTATION_FORMATS = ['coco', 'voc', 'yolo'];
+
+/** Object types that are exported as labelled regions */
+export const ANNOTATION_TYPES = ['rect', 'circle', 'pencil'];
+
+/** Label of regions that have none */
+export const DEFAULT_LABEL = 'object';
+
+/**
+ * Write regions in a dataset format.
+ * @param {'coco'|'voc'|'yolo'} format
+ * @param {Array} regions - { label, polygon: [{ x, y }] }
+ * @param {Object} image - { fileName, width, height }
+ * @param {string[]} [classes] - Class order; labels not in it are appended in alphabetical order
+ * @returns {string}
+ */
+export function formatAnnotations(format, regions, image, classes = []) {
+    const labelled = regions
+        .map(region => ({ ...region, bbox: clampBox(getPolygonBox(region.polygon), image) }))
+        .filter(region => region.bbox.w > 0 && region.bbox.h > 0);
+    const extra = [...new Set(labelled.map(region => region.label))]
+        .filter(label => !classes.includes(label))
+        .sort();
+    const allClasses = [...classes, ...extra];
+
+    switch (format) {
+        case 'coco':
+            return JSON.stringify(toCOCO(labelled, image, allClasses), null, 2);
+        case 'voc':
+            return toVOC(labelled, image);
+        case 'yolo':
+            return toYOLO(labelled, image, allClasses);
+    }
+    return '';
+}
+
+/**
+ * Read the boxes of a dataset file.
+ * @param {'coco'|'voc'|'yolo'} format
+ * @param {string|Object} data - File contents; COCO may also be a parsed object
+ * @param {Object} image - { fileName, width, height }; YOLO coordinates are relative to the size
+ * @param {string[]} [classes] - YOLO class names by index; without them the index is the label
+ * @returns {Array} { label, bbox: { x, y, w, h } }
+ */
+export function parseAnnotations(format, data, image, classes = []) {
+    switch (format) {
+        case 'coco':
+            return parseCOCO(data, image);
+        case 'voc':
+            return parseVOC(data);
+        case 'yolo':
+            return parseYOLO(data, image, classes);
+    }
+    return [];
+}
+
+function toCOCO(regions, image, classes) {
+    return {
+        images: [{ id: 1, file_name: image.fileName, width: image.width, height: image.height }],
+        categories: classes.map((name, i) => ({ id: i + 1, name })),
+        annotations: regions.map((region, i) => {
+            const polygon = region.polygon.map(p => clampPoint(p, image));
+            return {
+                id: i + 1,
+                image_id: 1,
+                category_id: classes.indexOf(region.label) + 1,
+                bbox: [region.bbox.x, region.bbox.y, region.bbox.w, region.bbox.h].map(round),
+                area: round(getPolygonArea(polygon)),
+                segmentation: [polygon.flatMap(p => [round(p.x), round(p.y)])],
+                iscrowd: 0
+            };
+        })
+    };
+}
+
+// VOC boxes are whole pixels numbered from 1, with both ends inclusive
+function toVOC(regions, image) {
+    const objects = regions.map(region => {
+        const { x, y, w, h } = region.bbox;
+        const xmin = Math.floor(x) + 1;
+        const ymin = Math.floor(y) + 1;
+        const xmax = Math.max(xmin, Math.ceil(x + w));
+        const ymax = Math.max(ymin, Math.ceil(y + h));
+        return [
+            '    <object>',
+            `        <name>${escapeXML(region.label)}</name>`,
+            '        <pose>Unspecified</pose>',
+            `        <truncated>${region.bbox.truncated ? 1 : 0}</truncated>`,
+            '        <difficult>0</difficult>',
+            '        <bndbox>',
+            `            <xmin>${xmin}</xmin>`,
+            `            <ymin>${ymin}</ymin>`,
+            `            <xmax>${xmax}</xmax>`,
+            `            <ymax>${ymax}</ymax>`,
+            '        </bndbox>',
+            '    </object>'
+        ].join('\n');
+    });
+    return [
+        '<annotation>',
+        `    <filename>${escapeXML(image.fileName)}</filename>`,
+        '    <size>',
+        `        <width>${image.width}</width>`,
+        `        <height>${image.height}</height>`,
+        '        <depth>3</depth>',
+        '    </size>',
+        '    <segmented>0</segmented>',
+        ...objects,
+        '</annotation>',
+        ''
+    ].join('\n');
+}
+
+// One line per box: class index, then centre and size relative to the image
+function toYOLO(regions, image, classes) {
+    return regions.map(region => {
+        const { x, y, w, h } = region.bbox;
+        return [
+            classes.indexOf(region.label),
+            ...[(x + w / 2) / image.width, (y + h / 2) / image.height, w / image.width, h / image.height]
+                .map(value => value.toFixed(6))
+        ].join(' ');
+    }).join('\n') + (regions.length ? '\n' : '');
+}
+
+function parseCOCO(data, image) {
+    let doc = data;
+    if (typeof data === 'string') {
+        try {
+            doc = JSON.parse(data);
+        } catch (err) {
+            throw new Error(`Invalid COCO annotations: ${err.message}`);
+        }
+    }
+    if (!doc || !Array.isArray(doc.annotations)) {
+        throw new Error('Invalid COCO annotations: "annotations" must be an array');
+    }
+    // Files with several images are narrowed down to the one being edited
+    const images = Array.isArray(doc.images) ? doc.images : [];
+    const match = images.find(entry => entry.file_name === image.fileName) || (images.length === 1 ? images[0] : null);
+    if (images.length > 1 && !match) {
+        throw new Error(`Invalid COCO annotations: no image named "${image.fileName}"`);
+    }
+    const names = {};
+    (doc.categories || []).forEach(category => { names[category.id] = category.name; });
+
+    return doc.annotations
+        .filter(annotation => !match || annotation.image_id === match.id)
+        .map((annotation, i) => {
+            const bbox = annotation.bbox;
+            if (!Array.isArray(bbox) || bbox.length !== 4 || !bbox.every(isFiniteNumber)) {
+                throw new Error(`Invalid COCO annotations: annotations[${i}].bbox must be [x, y, width, height]`);
+            }
+            const label = names[annotation.category_id];
+            return {
+                label: label === undefined ? String(annotation.category_id) : String(label),
+                bbox: normalizeBox({ x: bbox[0], y: bbox[1], w: bbox[2], h: bbox[3] })
+            };
+        });
+}
+
+function parseVOC(data) {
+    const doc = new DOMParser().parseFromString(String(data), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length || doc.documentElement.nodeName !== 'annotation') {
+        throw new Error('Invalid VOC annotations: expected an <annotation> XML document');
+    }
+    return Array.from(doc.documentElement.children)
+        .filter(node => node.nodeName === 'object')
+        .map((node, i) => {
+            const box = node.getElementsByTagName('bndbox')[0];
+            const read = name => {
+                const element = box && box.getElementsByTagName(name)[0];
+                const value = element ? parseFloat(element.textContent) : NaN;
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Invalid VOC annotations: object ${i + 1} needs a numeric <${name}>`);
+                }
+                return value;
+            };
+            const name = node.getElementsByTagName('name')[0];
+            const xmin = read('xmin') - 1;
+            const ymin = read('ymin') - 1;
+            return {
+                label: name ? name.textContent.trim() : DEFAULT_LABEL,
+                bbox: normalizeBox({ x: xmin, y: ymin, w: read('xmax') - xmin, h: read('ymax') - ymin })
+            };
+        });
+}
+
+function parseYOLO(data, image, classes) {
+    return String(data).split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map((line, i) => {
+            const parts = line.split(/\s+/);
+            const values = parts.slice(1, 5).map(Number);
+            if (parts.length < 5 || !/^\d+$/.test(parts[0]) || !values.every(Number.isFinite)) {
+                throw new Error(`Invalid YOLO annotations: line ${i + 1} must be "class x y width height"`);
+            }
+            const [cx, cy, w, h] = values;
+            const index = Number(parts[0]);
+            return {
+                label: classes[index] !== undefined ? String(classes[index]) : String(index),
+                bbox: normalizeBox({
+                    x: (cx - w / 2) * image.width,
+                    y: (cy - h / 2) * image.height,
+                    w: w * image.width,
+                    h: h * image.height
+                })
+            };
+        });
+}
+
+function getPolygonBox(points) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return { x: minX, y: minY, w: Math.max(...xs) - minX, h: Math.max(...ys) - minY };
+}
+
+// Boxes that reach past the image edges are cut at them and marked as truncated
+function clampBox(box, image) {
+    const x = Math.max(0, box.x);
+    const y = Math.max(0, box.y);
+    const right = Math.min(image.width, box.x + box.w);
+    const bottom = Math.min(image.height, box.y + box.h);
+    const clamped = { x, y, w: right - x, h: bottom - y };
+    if (x !== box.x || y !== box.y || right !== box.x + box.w || bottom !== box.y + box.h) {
+        clamped.truncated = true;
+    }
+    return clamped;
+}
+
+function clampPoint(point, image) {
+    return {
+        x: Math.min(image.width, Math.max(0, point.x)),
+        y: Math.min(image.height, Math.max(0, point.y))
+    };
+}
+
+// Shoelace formula; an open outline is closed between its ends
+function getPolygonArea(points) {
+    let sum = 0;
+    points.forEach((p, i) => {
+        const next = points[(i + 1) % points.length];
+        sum += p.x * next.y - next.x * p.y;
+    });
+    return Math.abs(sum) / 2;
+}
+
+// Some tools write boxes with a negative size, from the corner they were dragged from
+function normalizeBox(box) {
+    return {
+        x: Math.min(box.x, box.x + box.w),
+        y: Math.min(box.y, box.y + box.h),
+        w: Math.abs(box.w),
+        h: Math.abs(box.h)
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
@@ -1,3 +1,31 @@
+import { cloneObject, createCanvas, flattenObjects, isPathObject, isTextBox, loadImageElement, normalizeRect, rectsIntersect, rotatePoint, stepDownImage } from './utils.js';
+import { DEFAULT_STEP_SIZE } from './styles.js';
+import { applyColorAdjustments, getAdjustmentFilter, sharpenImage, sharpenImageNow } from './adjustments.js';
+
+// Object types that get corner and edge resize handles when selected
+const RESIZABLE_TYPES = ['rect', 'circle', 'highlight', 'text', 'blur', 'pixelate', 'image'];
+
+// Pixels scrolled per line for wheel events that report lines
+const WHEEL_LINE = 16;
+
+// Max delay and distance between two taps/clicks to count as a double-click
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_DISTANCE = 10;
+
+// Corners of the polygon that stands in for a circle's outline
+const CIRCLE_OUTLINE_POINTS = 32;
+
+// Line height of text, relative to its font size
+const LINE_HEIGHT = 1.2;
+
+const MIRRORED_ALIGN = { left: 'right', center: 'center', right: 'left' };
+
+// Steps of the search for the font size that fits a shrinking text box
+const SHRINK_STEPS = 12;
+
+// Scripts written right to left
+const RTL_CHAR = /[\p{Script=Hebrew}\p{Script=Arabic}\p{Script=Syriac}\p{Script=Thaana}\p{Script=Nko}]/u;
+
 /**
  * CanvasManager - Handles rendering, zoom, and low-level interactions.
  */
@@ -13,36 +41,155 @@ export default class CanvasManager {
         this.minZoom = 0.1;
         this.maxZoom = 5;
 
+        // Pointer state: active pointers by id, the pointer driving the current tool,
+        // and an in-progress two-finger gesture
+        this.pointers = new Map();
+        this.primaryPointerId = null;
+        this.gesture = null;
+        this.lastTap = null;
+
+        // Offset of the canvas inside the view, in screen pixels (never positive)
+        this.panX = 0;
+        this.panY = 0;
+        this.lastViewport = null;
+        // Space held to pan, and an active pan drag: { pointerId, x, y }
+        this.spaceHeld = false;
+        this.panDrag = null;
+
+        // Loaded images of image objects, by source URL
+        this.overlayImages = new Map();
+
+        // Base image with pixel adjustments applied: { image, key, scale, canvas }
+        this.adjustedImage = null;
+        // Pixel work running in the background: { image, key, scale, controller, promise }
+        this.adjustmentJob = null;
+
+        // Every DOM listener added by the editor, removed again by destroy()
+        this.listeners = [];
+        this.destroyed = false;
+
         this.setupEvents();
     }
 
     setupEvents() {
-        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
-        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        // Let touch and stylus input reach the editor instead of scrolling the page
+        this.canvas.style.touchAction = 'none';
+
+        this.listen(this.canvas, 'pointerdown', (e) => this.handlePointerDown(e));
+        this.listen(window, 'pointermove', (e) => this.handlePointerMove(e));
+        this.listen(window, 'pointerup', (e) => this.handlePointerUp(e));
+        this.listen(window, 'pointercancel', (e) => this.handlePointerUp(e));
+
+        // Keyboard and clipboard events reach the container while it has focus,
+        // so other inputs and other editors on the page are left alone
+        const container = this.editor.container;
+        this.listen(container, 'keydown', (e) => this.editor.shortcuts.handleKeyDown(e));
+        this.listen(container, 'copy', (e) => this.editor.clipboard.handleCopy(e));
+        this.listen(container, 'cut', (e) => this.editor.clipboard.handleCopy(e, true));
+        this.listen(container, 'paste', (e) => this.editor.clipboard.handlePaste(e));
 
         // Zoom with Ctrl+Scroll
-        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.listen(this.canvas, 'wheel', (e) => this.handleWheel(e), { passive: false });
+
+        // Space+drag pans
+        this.listen(container, 'keydown', (e) => this.handleKeyDown(e));
+        this.listen(container, 'keyup', (e) => this.handleKeyUp(e));
+        this.listen(container, 'blur', () => this.releaseSpace());
+        // Keep the middle button from starting the browser's autoscroll
+        this.listen(this.canvas, 'mousedown', (e) => {
+            if (e.button === 1) e.preventDefault();
+        });
+    }
+
+    /**
+     * Add a DOM listener that destroy() will remove.
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
+    /**
+     * Remove every listener, the canvas and cached images.
+     */
+    destroy() {
+        this.destroyed = true;
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        this.pointers.clear();
+        this.primaryPointerId = null;
+        this.gesture = null;
+        this.lastTap = null;
+        this.panDrag = null;
+        this.overlayImages.clear();
+        this.cancelAdjustment();
+        this.adjustedImage = null;
+        this.canvas.remove();
+        // Release the backing store right away instead of waiting for garbage collection
+        this.canvas.width = 0;
+        this.canvas.height = 0;
     }
 
     handleWheel(e) {
         if (e.ctrlKey || e.metaKey) {
+            // Zoom around the cursor
             e.preventDefault();
             const delta = e.deltaY > 0 ? -0.1 : 0.1;
-            this.setZoom(this.zoomLevel + delta);
+            this.zoomAt(this.zoomLevel + delta, e.clientX, e.clientY);
+            return;
+        }
+        // Plain wheel pans; Shift turns vertical scrolling sideways
+        const unit = e.deltaMode === 1 ? WHEEL_LINE : e.deltaMode === 2 ? this.getViewSize().height : 1;
+        let dx = e.deltaX * unit;
+        let dy = e.deltaY * unit;
+        if (e.shiftKey && !dx) [dx, dy] = [dy, 0];
+        // Let the page scroll once the view can't move any further
+        if (this.panBy(-dx, -dy)) e.preventDefault();
+    }
+
+    handleKeyDown(e) {
+        if (e.key !== ' ' || e.target !== this.editor.container) return;
+        // Holding Space turns dragging into panning
+        e.preventDefault();
+        if (!this.spaceHeld && this.primaryPointerId === null) {
+            this.spaceHeld = true;
+            this.canvas.style.cursor = 'grab';
         }
     }
 
-    setZoom(level) {
+    handleKeyUp(e) {
+        if (e.key === ' ') this.releaseSpace();
+    }
+
+    releaseSpace() {
+        if (!this.spaceHeld) return;
+        this.spaceHeld = false;
+        if (!this.panDrag) this.canvas.style.cursor = '';
+    }
+
+    /**
+     * Set the zoom level, keeping the canvas point at a view position in place.
+     * @param {number} level - New zoom level
+     * @param {{x: number, y: number}} [anchor] - Position in the view, in screen pixels; defaults to its centre
+     */
+    setZoom(level, anchor = null) {
         const newZoom = Math.max(this.minZoom, Math.min(this.maxZoom, level));
         if (newZoom !== this.zoomLevel) {
+            const view = this.getViewSize();
+            const point = anchor || { x: view.width / 2, y: view.height / 2 };
+            const x = (point.x - this.panX) / this.zoomLevel;
+            const y = (point.y - this.panY) / this.zoomLevel;
             this.zoomLevel = newZoom;
+            this.panX = point.x - x * newZoom;
+            this.panY = point.y - y * newZoom;
             this.updateDisplaySize();
             // Emit zoom change event for UI updates
             if (this.editor.onZoomChange) {
                 this.editor.onZoomChange(this.zoomLevel);
             }
+            this.editor.emit('zoomChanged', { zoom: this.zoomLevel });
         }
     }
 
@@ -50,6 +197,74 @@ export default class CanvasManager {
         return this.zoomLevel;
     }
 
+    /**
+     * Zoom while keeping the canvas point under a screen position in place.
+     * @param {number} level - New zoom level
+     * @param {number} clientX - Screen x of the zoom centre
+     * @param {number} clientY - Screen y of the zoom centre
+     */
+    zoomAt(level, clientX, clientY) {
+        const origin = this.getViewOrigin();
+        this.setZoom(level, { x: clientX - origin.x, y: clientY - origin.y });
+    }
+
+    /**
+     * Move the visible area by a distance in screen pixels.
+     * @returns {boolean} True if the view moved
+     */
+    panBy(dx, dy) {
+        return this.setPan(this.panX + dx, this.panY + dy);
+    }
+
+    /**
+     * Centre the view on a canvas point, as far as the canvas edges allow.
+     * @returns {boolean} True if the view moved
+     */
+    panTo(x, y) {
+        const view = this.getViewSize();
+        return this.setPan(view.width / 2 - x * this.zoomLevel, view.height / 2 - y * this.zoomLevel);
+    }
+
+    setPan(panX, panY) {
+        const previous = { x: this.panX, y: this.panY };
+        this.panX = panX;
+        this.panY = panY;
+        this.updateDisplaySize();
+        return this.panX !== previous.x || this.panY !== previous.y;
+    }
+
+    /**
+     * The part of the canvas currently visible, in canvas pixels.
+     * @returns {{x: number, y: number, width: number, height: number, zoom: number}}
+     */
+    getViewport() {
+        const view = this.getViewSize();
+        const zoom = this.zoomLevel;
+        return {
+            x: -this.panX / zoom,
+            y: -this.panY / zoom,
+            width: Math.min(view.width / zoom, this.canvas.width),
+            height: Math.min(view.height / zoom, this.canvas.height),
+            zoom
+        };
+    }
+
+    // Size of the area the canvas is shown in: the container's content box
+    getViewSize() {
+        const container = this.editor.container;
+        const style = getComputedStyle(container);
+        return {
+            width: Math.max(0, container.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight)),
+            height: Math.max(0, container.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom))
+        };
+    }
+
+    // Screen position of the view's top-left corner, where the canvas sits when not panned
+    getViewOrigin() {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: rect.left - this.panX, y: rect.top - this.panY };
+    }
+
     zoomIn() {
         this.setZoom(this.zoomLevel + 0.25);
     }
@@ -67,6 +282,23 @@ export default class CanvasManager {
             1
         );
         this.setZoom(fitZoom);
+        // The whole canvas fits, so show it from its top-left corner
+        this.setPan(0, 0);
+    }
+
+    /**
+     * Zoom and pan so that a canvas area fills the view.
+     * @param {{x: number, y: number, w: number, h: number}} rect - Area in canvas pixels
+     * @param {number} [padding=20] - Space kept around the area, in screen pixels
+     */
+    zoomToRect(rect, padding = 20) {
+        const view = this.getViewSize();
+        const zoom = Math.min(
+            (view.width - padding * 2) / Math.max(1, rect.w),
+            (view.height - padding * 2) / Math.max(1, rect.h)
+        );
+        if (zoom > 0) this.setZoom(zoom);
+        this.panTo(rect.x + rect.w / 2, rect.y + rect.h / 2);
     }
 
     resetZoom() {
@@ -79,12 +311,30 @@ export default class CanvasManager {
         this.zoomToFit();
     }
 
+    /**
+     * Apply the zoom and pan to the canvas element. The canvas keeps its place in
+     * the page layout at its zoomed size and is shifted inside the container with
+     * a CSS transform, which pointer positions already account for.
+     */
     updateDisplaySize() {
         const displayWidth = Math.floor(this.canvas.width * this.zoomLevel);
         const displayHeight = Math.floor(this.canvas.height * this.zoomLevel);
         this.canvas.style.width = displayWidth + 'px';
         this.canvas.style.height = displayHeight + 'px';
         this.canvas.style.display = 'block';
+
+        // Keep the canvas covering the view; a canvas smaller than the view stays at its top-left
+        const view = this.getViewSize();
+        this.panX = Math.round(Math.min(0, Math.max(view.width - displayWidth, this.panX)));
+        this.panY = Math.round(Math.min(0, Math.max(view.height - displayHeight, this.panY)));
+        this.canvas.style.transform = this.panX || this.panY ? `translate(${this.panX}px, ${this.panY}px)` : '';
+
+        const viewport = this.getViewport();
+        const last = this.lastViewport;
+        if (!last || ['x', 'y', 'width', 'height', 'zoom'].some(key => last[key] !== viewport[key])) {
+            this.lastViewport = viewport;
+            this.editor.emit('viewportChanged', viewport);
+        }
     }
 
     getMousePos(e) {
@@ -97,152 +347,851 @@ export default class CanvasManager {
         };
     }
 
-    handleMouseDown(e) {
+    handlePointerDown(e) {
+        // Middle button, or any button while Space is held, drags the view
+        if ((e.pointerType === 'mouse' && e.button === 1) || (this.spaceHeld && e.button === 0)) {
+            if (this.panDrag || this.primaryPointerId !== null || this.gesture) return;
+            e.preventDefault();
+            this.panDrag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+            this.canvas.style.cursor = 'grabbing';
+            return;
+        }
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (e.pointerType === 'touch' && this.pointers.size === 2) {
+            // A second finger turns the interaction into pinch-zoom / pan
+            this.startGesture();
+            return;
+        }
+        if (this.gesture || this.primaryPointerId !== null) return;
+
+        this.primaryPointerId = e.pointerId;
+        // Focus the editor so clipboard events and shortcuts reach it
+        this.editor.container.focus({ preventScroll: true });
         const pos = this.getMousePos(e);
-        this.editor.toolManager.onMouseDown(pos, e);
+        this.editor.toolManager.onMouseDown(pos, e, this.getClickCount(e));
     }
 
-    handleMouseMove(e) {
+    handlePointerMove(e) {
+        if (this.panDrag) {
+            if (e.pointerId !== this.panDrag.pointerId) return;
+            this.panBy(e.clientX - this.panDrag.x, e.clientY - this.panDrag.y);
+            this.panDrag.x = e.clientX;
+            this.panDrag.y = e.clientY;
+            return;
+        }
+        // Keep the grab cursor instead of tool hover cursors
+        if (this.spaceHeld && this.primaryPointerId === null) return;
+
+        if (this.pointers.has(e.pointerId)) {
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        }
+
+        if (this.gesture) {
+            this.updateGesture();
+            return;
+        }
+
+        // Hovering mice update cursors; otherwise only the pointer that started the action counts
+        if (this.primaryPointerId === null ? e.pointerType !== 'mouse' : e.pointerId !== this.primaryPointerId) return;
+
         const pos = this.getMousePos(e);
         this.editor.toolManager.onMouseMove(pos, e);
     }
 
-    handleMouseUp(e) {
+    handlePointerUp(e) {
+        if (this.panDrag && e.pointerId === this.panDrag.pointerId) {
+            this.panDrag = null;
+            this.canvas.style.cursor = this.spaceHeld ? 'grab' : '';
+            return;
+        }
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        if (this.gesture) {
+            if (this.pointers.size === 0) this.gesture = null;
+            return;
+        }
+        if (e.pointerId !== this.primaryPointerId) return;
+
+        this.primaryPointerId = null;
         const pos = this.getMousePos(e);
         this.editor.toolManager.onMouseUp(pos, e);
     }
 
-    handleKeyDown(e) {
-        if (e.key === 'Delete' || e.key === 'Backspace') {
-            if (this.editor.state.selectedObject && !this.editor.state.isEditingText) {
-                this.editor.state.objects = this.editor.state.objects.filter(o => o !== this.editor.state.selectedObject);
-                this.editor.state.selectedObject = null;
-                this.editor.saveHistory();
-                this.render();
-            }
+    /**
+     * Count consecutive clicks or taps, since pointer events don't report it for touch.
+     */
+    getClickCount(e) {
+        const now = Date.now();
+        const last = this.lastTap;
+        const isRepeat = last && now - last.time < DOUBLE_TAP_DELAY &&
+            Math.hypot(e.clientX - last.x, e.clientY - last.y) < DOUBLE_TAP_DISTANCE;
+        const count = isRepeat ? last.count + 1 : 1;
+        this.lastTap = { time: now, x: e.clientX, y: e.clientY, count };
+        return count;
+    }
+
+    startGesture() {
+        // Abandon whatever the first finger started
+        this.editor.toolManager.cancelInteraction();
+        this.primaryPointerId = null;
+
+        const [a, b] = [...this.pointers.values()];
+        this.gesture = {
+            startDistance: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+            startZoom: this.zoomLevel,
+            lastCenter: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+        };
+    }
+
+    updateGesture() {
+        if (this.pointers.size < 2) return;
+        const [a, b] = [...this.pointers.values()];
+        const center = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+        const { gesture } = this;
+
+        // Two-finger pan follows the centre, pinch zooms around it
+        this.panBy(center.x - gesture.lastCenter.x, center.y - gesture.lastCenter.y);
+        this.zoomAt(gesture.startZoom * distance / gesture.startDistance, center.x, center.y);
+        gesture.lastCenter = center;
+    }
+
+    /**
+     * Redraw the on-screen canvas: the document plus editing UI
+     * (selection, in-progress drawing, pending crop box).
+     * @param {Object} [options]
+     * @param {boolean} [options.adjustmentPreview=false] - Adjustments are being previewed, so
+     *   pixel work on the image is done at the resolution it is shown at
+     */
+    render(options = {}) {
+        const { ctx } = this;
+        const { activeObject, selectedObjects, editingObject, cropRect, marqueeRect, objects } = this.editor.state;
+
+        // Text being edited inline is shown by its textarea instead
+        const scale = options.adjustmentPreview ? this.getPreviewScale() : 1;
+        this.renderDocument(ctx, editingObject, objects, { scale, background: true });
+
+        // Handles only make sense for a single object; a multi-selection just outlines each member
+        const withHandles = selectedObjects.length === 1;
+        selectedObjects.forEach(obj => {
+            if (obj !== editingObject) this.drawSelection(obj, withHandles);
+        });
+
+        if (activeObject) this.drawObject(ctx, activeObject);
+
+        if (marqueeRect) this.drawMarquee(marqueeRect);
+
+        if (cropRect) {
+            this.drawCropOverlay(cropRect);
+            this.drawCropHandles(cropRect);
         }
     }
 
-    render() {
-        const { ctx, canvas } = this;
-        const { image, objects, activeObject, selectedObject } = this.editor.state;
+    /**
+     * Draw the committed document - the image and its annotations - without any editing UI.
+     * @param {CanvasRenderingContext2D} ctx - Context of a canvas the size of the image
+     * @param {Object} [hidden] - Object to leave out
+     * @param {Array} [objects] - Objects to draw over the image, by default all of them
+     * @param {Object} [options] - How to get the adjusted image, as for getAdjustedImage()
+     * @param {number} [options.scale=1]
+     * @param {boolean} [options.background=false]
+     */
+    renderDocument(ctx, hidden = null, objects = this.editor.state.objects, options = {}) {
+        const { width, height } = ctx.canvas;
+        const { image } = this.editor.state;
 
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.clearRect(0, 0, width, height);
 
         if (image) {
             // Draw image at canvas size (image should match canvas dimensions)
-            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+            const adjusted = this.getAdjustedImage(options.scale, options.background);
+            ctx.filter = adjusted.filter;
+            ctx.drawImage(adjusted.image, 0, 0, width, height);
+            ctx.filter = 'none';
         }
 
         objects.forEach(obj => {
-            this.drawObject(obj);
-            if (obj === selectedObject) this.drawSelection(obj);
+            if (obj !== hidden) this.drawObject(ctx, obj);
         });
+    }
+
+    /**
+     * Get the base image with the current adjustments, and the canvas filter to draw it with.
+     * Pixel work is cached until the image or the adjustments it depends on change,
+     * so moving a colour slider only changes the filter.
+     * @param {number} [scale=1] - Resolution to do the pixel work at, relative to the canvas;
+     *   a cached image at a higher resolution is used as it is
+     * @param {boolean} [background=false] - Do missing pixel work in slices instead of on the
+     *   spot, and meanwhile return what is ready; the view is redrawn once it is done
+     * @returns {{image: CanvasImageSource, filter: string, pending: Promise|null}} pending is
+     *   the background work, if any
+     */
+    getAdjustedImage(scale = 1, background = false) {
+        const { image, adjustments } = this.editor.state;
+        const useFilter = supportsCanvasFilter();
+        const filter = getAdjustmentFilter(adjustments);
+        const sharpen = adjustments.sharpen || 0;
+        if (!sharpen && (useFilter || filter === 'none')) {
+            return { image, filter: useFilter ? filter : 'none', pending: null };
+        }
 
-        if (activeObject) this.drawObject(activeObject);
+        // Sharpening, and colour without canvas filters, need the pixels
+        const key = useFilter ? String(sharpen) : JSON.stringify(adjustments);
+        const cached = this.adjustedImage;
+        const current = cached && cached.image === image && cached.key === key;
+        const result = { image: current ? cached.canvas : image, filter: useFilter ? filter : 'none', pending: null };
+        if (current && cached.scale >= scale) return result;
+
+        const width = Math.max(1, Math.round(this.canvas.width * scale));
+        const height = Math.max(1, Math.round(this.canvas.height * scale));
+        if (sharpen && background) {
+            // Until then the same adjustments at a lower resolution, or the image without the pixel work
+            result.pending = this.startAdjustment(key, scale, width, height);
+            return result;
+        }
+
+        this.cancelAdjustment();
+        let canvas;
+        if (sharpen) {
+            canvas = sharpenImageNow(image, width, height, sharpen);
+        } else {
+            canvas = createCanvas(width, height);
+            canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        }
+        if (!useFilter) applyColorAdjustmentsTo(canvas, adjustments);
+        this.adjustedImage = { image, key, scale, canvas };
+        return { ...result, image: canvas };
     }
 
-    drawObject(obj) {
-        const { ctx } = this;
+    /**
+     * Wait until the image with the current adjustments is ready at the given resolution,
+     * so drawing it won't do the pixel work on the spot. Adjustments changed meanwhile
+     * are waited for too.
+     * @param {number} [scale=1] - Resolution relative to the canvas
+     * @returns {Promise<void>}
+     */
+    async prepareAdjustedImage(scale = 1) {
+        if (!this.editor.state.image) return;
+        let { pending } = this.getAdjustedImage(scale, true);
+        while (pending) {
+            await pending;
+            if (this.destroyed) return;
+            ({ pending } = this.getAdjustedImage(scale, true));
+        }
+    }
+
+    // Sharpen the image for the current adjustments in the background, then redraw.
+    // Joins a running job that covers the request, and replaces any other.
+    startAdjustment(key, scale, width, height) {
+        const { image, adjustments } = this.editor.state;
+        const running = this.adjustmentJob;
+        if (running && running.image === image && running.key === key && running.scale >= scale) {
+            return running.promise;
+        }
+        this.cancelAdjustment();
+
+        const useFilter = supportsCanvasFilter();
+        const controller = new AbortController();
+        const job = { image, key, scale, controller };
+        job.promise = sharpenImage(image, width, height, adjustments.sharpen, controller.signal).then(canvas => {
+            if (this.adjustmentJob !== job) return;
+            this.adjustmentJob = null;
+            if (!useFilter) applyColorAdjustmentsTo(canvas, adjustments);
+            this.adjustedImage = { image, key, scale, canvas };
+            this.render();
+        }, err => {
+            if (this.adjustmentJob === job) this.adjustmentJob = null;
+            throw err;
+        });
+        // Callers that wait get the error too; a redraw has nobody to tell
+        job.promise.catch(err => console.error('Adjustment error:', err));
+        this.adjustmentJob = job;
+        return job.promise;
+    }
+
+    // Stop the background pixel work, e.g. because the adjustments changed
+    cancelAdjustment() {
+        if (!this.adjustmentJob) return;
+        this.adjustmentJob.controller.abort();
+        this.adjustmentJob = null;
+    }
+
+    /**
+     * Resolution of the image while adjustments are previewed, relative to the canvas:
+     * what the view shows of it in device pixels, so every slider step stays cheap.
+     * @returns {number}
+     */
+    getPreviewScale() {
+        const ratio = window.devicePixelRatio || 1;
+        const view = this.getViewSize();
+        const { width, height } = this.canvas;
+        // A zoomed-in canvas is only partly visible; the view holds no more pixels than its own area
+        const visible = Math.sqrt(view.width * view.height / (width * height)) * ratio;
+        return Math.min(1, this.zoomLevel * ratio, visible || 1);
+    }
+
+    /**
+     * Render the committed document into a new offscreen canvas, for export.
+     * Pixel work of the adjustments that isn't ready is done on the spot; wait for
+     * prepareAdjustedImage() first to keep the page responsive.
+     * @param {Array} [objects] - Objects to draw over the image, by default all of them
+     * @returns {HTMLCanvasElement}
+     */
+    createDocumentCanvas(objects = this.editor.state.objects) {
+        const canvas = createCanvas(this.canvas.width, this.canvas.height);
+        this.renderDocument(canvas.getContext('2d'), null, objects);
+        return canvas;
+    }
+
+    drawObject(ctx, obj) {
+        if (obj.type === 'group') {
+            obj.children.forEach(child => this.drawObject(ctx, child));
+            return;
+        }
         ctx.save();
+        if (obj.angle) {
+            // Rotate around the centre of the object's unrotated bounds
+            const center = this.getObjectCenter(obj);
+            ctx.translate(center.x, center.y);
+            ctx.rotate(obj.angle);
+            ctx.translate(-center.x, -center.y);
+        }
         ctx.strokeStyle = obj.color;
         ctx.lineWidth = obj.width;
         ctx.fillStyle = obj.color;
-        ctx.font = `${obj.fontSize || 24}px ${this.editor.options.fontFamily}`;
+        ctx.font = this.getFont(obj);
         ctx.lineCap = 'round';
         ctx.lineJoin = 'round';
+        ctx.globalAlpha = obj.opacity !== undefined ? obj.opacity : 1;
+        ctx.setLineDash(this.getDashPattern(obj));
 
         switch (obj.type) {
             case 'pencil':
                 if (obj.points && obj.points.length > 0) {
-                    ctx.beginPath();
-                    ctx.moveTo(obj.points[0].x, obj.points[0].y);
-                    obj.points.forEach(p => ctx.lineTo(p.x, p.y));
-                    ctx.stroke();
+                    if (obj.points.some(p => p.pressure !== undefined)) {
+                        this.drawPressureStroke(ctx, obj);
+                    } else {
+                        ctx.beginPath();
+                        ctx.moveTo(obj.points[0].x, obj.points[0].y);
+                        obj.points.forEach(p => ctx.lineTo(p.x, p.y));
+                        ctx.stroke();
+                    }
                 }
                 break;
             case 'rect':
-                ctx.strokeRect(obj.x, obj.y, obj.w, obj.h);
+                ctx.beginPath();
+                ctx.rect(obj.x, obj.y, obj.w, obj.h);
+                this.fillShape(ctx, obj);
+                ctx.stroke();
                 break;
             case 'circle':
                 ctx.beginPath();
                 ctx.arc(obj.x + obj.w / 2, obj.y + obj.h / 2, Math.abs(obj.w / 2), 0, Math.PI * 2);
+                this.fillShape(ctx, obj);
                 ctx.stroke();
                 break;
             case 'arrow':
-                this.drawArrow(obj.x, obj.y, obj.x + obj.w, obj.y + obj.h, obj.color, obj.width);
+                this.drawArrow(ctx, obj);
                 break;
             case 'text':
-                this.drawMultilineText(obj);
+                this.drawMultilineText(ctx, obj);
                 break;
             case 'highlight':
-                ctx.globalAlpha = 0.3;
+                ctx.globalAlpha *= 0.3;
                 ctx.fillStyle = obj.color || 'yellow';
                 ctx.fillRect(obj.x, obj.y, obj.w, obj.h);
                 break;
+            case 'blur':
+            case 'pixelate':
+                this.drawRedaction(ctx, obj);
+                break;
+            case 'image':
+                this.drawImageObject(ctx, obj);
+                break;
+            case 'step':
+                this.drawStep(ctx, obj);
+                break;
             case 'crop':
                 this.drawCropOverlay(obj);
                 break;
+            case 'straighten':
+                this.drawStraightenLine(obj);
+                break;
+            case 'textBox':
+                this.drawTextBoxOutline(obj);
+                break;
         }
         ctx.restore();
     }
 
-    drawMultilineText(obj) {
-        const { ctx } = this;
-        const lines = obj.text.split('\n');
-        const lineHeight = (obj.fontSize || 24) * 1.2;
+    /**
+     * Draw a step marker: a filled circle with its label in the middle.
+     */
+    drawStep(ctx, obj) {
+        const radius = (obj.size || DEFAULT_STEP_SIZE) / 2;
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(obj.x, obj.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        // A thin ring in the label colour keeps the marker visible on busy backgrounds
+        ctx.strokeStyle = obj.textColor || '#ffffff';
+        ctx.lineWidth = Math.max(1, radius / 8);
+        ctx.stroke();
 
-        lines.forEach((line, index) => {
-            ctx.fillText(line, obj.x, obj.y + (index * lineHeight));
+        const label = this.getStepLabel(obj);
+        ctx.fillStyle = obj.textColor || '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = this.getFont({ fontWeight: 'bold', fontSize: this.getStepFontSize(obj, label) });
+        ctx.fillText(label, obj.x, obj.y);
+    }
+
+    // Longer labels get a smaller font so they stay inside the circle
+    getStepFontSize(obj, label) {
+        const radius = (obj.size || DEFAULT_STEP_SIZE) / 2;
+        return radius * (label.length > 2 ? 0.75 : label.length > 1 ? 0.9 : 1.1);
+    }
+
+    /**
+     * Get the label of a step marker. Markers of each sequence are counted in
+     * stacking order, so deleting or reordering one renumbers the rest.
+     * @returns {string}
+     */
+    getStepLabel(obj) {
+        const sequence = obj.sequence || 'number';
+        const steps = flattenObjects(this.editor.state.objects)
+            .filter(other => other.type === 'step' && (other.sequence || 'number') === sequence);
+        const index = steps.indexOf(obj);
+        return formatStepLabel(index === -1 ? steps.length + 1 : index + 1, sequence);
+    }
+
+    /**
+     * Draw an image object. Negative w or h mirror the image along that axis.
+     */
+    drawImageObject(ctx, obj) {
+        const img = this.overlayImages.get(obj.src);
+        if (!img) {
+            // Not loaded yet, e.g. restored from history after a reload: draw once it arrives
+            this.loadOverlayImage(obj.src).then(() => {
+                if (!this.destroyed) this.render();
+            }).catch(() => {});
+            return;
+        }
+        ctx.translate(obj.x, obj.y);
+        ctx.scale(Math.sign(obj.w) || 1, Math.sign(obj.h) || 1);
+        ctx.drawImage(img, 0, 0, Math.abs(obj.w), Math.abs(obj.h));
+    }
+
+    /**
+     * Get the loaded image behind an image object.
+     * @returns {HTMLImageElement|null} null until loadOverlayImage() has finished
+     */
+    getOverlayImage(src) {
+        return this.overlayImages.get(src) || null;
+    }
+
+    /**
+     * Load and cache the image behind an image object.
+     * @param {string} src - Image URL
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadOverlayImage(src) {
+        const cached = this.overlayImages.get(src);
+        if (cached) return Promise.resolve(cached);
+        return loadImageElement(src).then(img => {
+            if (!this.destroyed) this.overlayImages.set(src, img);
+            return img;
         });
     }
 
-    getTextBounds(obj) {
-        const { ctx } = this;
+    /**
+     * Get a source for an image object that works outside this page.
+     * Object URLs are turned into PNG data URLs; other sources are returned as they are.
+     */
+    getPortableImageSource(src) {
+        const img = this.overlayImages.get(src);
+        if (!src.startsWith('blob:') || !img) return src;
+        const canvas = createCanvas(img.naturalWidth || img.width, img.naturalHeight || img.height);
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    // Fill the current path with the object's fill colour, if it has one
+    fillShape(ctx, obj) {
+        if (!obj.fill) return;
         ctx.save();
-        ctx.font = `${obj.fontSize || 24}px ${this.editor.options.fontFamily}`;
+        ctx.globalAlpha *= obj.fillOpacity !== undefined ? obj.fillOpacity : 1;
+        ctx.fillStyle = obj.fill;
+        ctx.fill();
+        ctx.restore();
+    }
 
-        const lines = obj.text.split('\n');
-        const lineHeight = (obj.fontSize || 24) * 1.2;
+    /**
+     * Canvas font string for a text object, falling back to the editor's font family.
+     */
+    getFont(obj) {
+        const style = obj.fontStyle === 'italic' ? 'italic ' : '';
+        const weight = obj.fontWeight && obj.fontWeight !== 'normal' ? `${obj.fontWeight} ` : '';
+        return `${style}${weight}${obj.fontSize || 24}px ${obj.fontFamily || this.editor.options.fontFamily}`;
+    }
 
-        // Find the widest line
-        let maxWidth = 0;
-        lines.forEach(line => {
-            const metrics = ctx.measureText(line);
-            maxWidth = Math.max(maxWidth, metrics.width);
+    // Dash lengths scale with the stroke width so patterns look the same at any thickness
+    getDashPattern(obj) {
+        const width = Math.max(1, obj.width || 1);
+        if (obj.dash === 'dashed') return [width * 3, width * 2];
+        // Zero-length dashes with round caps draw as dots
+        if (obj.dash === 'dotted') return [0, width * 2];
+        return [];
+    }
+
+    /**
+     * Draw a pen stroke segment by segment, scaling the width with pressure.
+     * Pressure 0.5 (the default for devices without pressure) gives the nominal width.
+     */
+    drawPressureStroke(ctx, obj) {
+        const points = obj.points;
+        const widthAt = p => this.getPressureWidth(obj, p);
+
+        if (points.length === 1) {
+            ctx.beginPath();
+            ctx.arc(points[0].x, points[0].y, widthAt(points[0]) / 2, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            ctx.lineWidth = (widthAt(a) + widthAt(b)) / 2;
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        }
+    }
+
+    // Stroke width at a point of a pen stroke
+    getPressureWidth(obj, point) {
+        return obj.width * (0.2 + 1.6 * (point.pressure !== undefined ? point.pressure : 0.5));
+    }
+
+    /**
+     * Draw a blur or pixelate region by processing the pixels already rendered beneath it.
+     * The processed copy is built from a downscaled sample, so the original pixels
+     * cannot be recovered from an exported image.
+     */
+    drawRedaction(ctx, obj) {
+        const source = ctx.canvas;
+        const strength = Math.max(1, obj.strength || 10);
+        // Blur samples a little around the region so its edges don't fade to transparent
+        const margin = obj.type === 'blur' ? Math.ceil(strength * 2) : 0;
+        const area = this.getRotatedBounds(obj);
+        const sx = Math.max(0, Math.floor(area.x) - margin);
+        const sy = Math.max(0, Math.floor(area.y) - margin);
+        const sw = Math.min(source.width, Math.ceil(area.x + area.w) + margin) - sx;
+        const sh = Math.min(source.height, Math.ceil(area.y + area.h) + margin) - sy;
+        if (sw <= 0 || sh <= 0) return;
+
+        const processed = obj.type === 'pixelate'
+            ? this.pixelateRegion(source, sx, sy, sw, sh, strength)
+            : this.blurRegion(source, sx, sy, sw, sh, strength);
+
+        ctx.save();
+        ctx.beginPath();
+        if (isPathObject(obj)) {
+            ctx.moveTo(obj.points[0].x, obj.points[0].y);
+            obj.points.forEach(p => ctx.lineTo(p.x, p.y));
+            ctx.closePath();
+        } else {
+            const rect = normalizeRect(obj);
+            ctx.rect(rect.x, rect.y, rect.w, rect.h);
+        }
+        ctx.clip();
+
+        // The clip follows the object's rotation; the pixels go back where they were sampled
+        if (obj.angle) {
+            const center = this.getObjectCenter(obj);
+            ctx.translate(center.x, center.y);
+            ctx.rotate(-obj.angle);
+            ctx.translate(-center.x, -center.y);
+        }
+        ctx.globalAlpha = 1;
+        ctx.drawImage(processed, sx, sy, sw, sh);
+        ctx.restore();
+    }
+
+    pixelateRegion(source, sx, sy, sw, sh, strength) {
+        const blockSize = Math.max(4, Math.round(strength));
+        const small = createCanvas(Math.ceil(sw / blockSize), Math.ceil(sh / blockSize));
+        const smallCtx = small.getContext('2d');
+        smallCtx.imageSmoothingEnabled = true;
+        smallCtx.imageSmoothingQuality = 'high';
+        smallCtx.drawImage(source, sx, sy, sw, sh, 0, 0, small.width, small.height);
+
+        const out = createCanvas(sw, sh);
+        const outCtx = out.getContext('2d');
+        outCtx.imageSmoothingEnabled = false;
+        outCtx.drawImage(small, 0, 0, sw, sh);
+        return out;
+    }
+
+    blurRegion(source, sx, sy, sw, sh, strength) {
+        const factor = Math.max(4, strength / 2);
+        const small = createCanvas(Math.ceil(sw / factor), Math.ceil(sh / factor));
+        const smallCtx = small.getContext('2d');
+        smallCtx.imageSmoothingEnabled = true;
+        smallCtx.imageSmoothingQuality = 'high';
+        smallCtx.drawImage(source, sx, sy, sw, sh, 0, 0, small.width, small.height);
+
+        const out = createCanvas(sw, sh);
+        const outCtx = out.getContext('2d');
+        outCtx.imageSmoothingEnabled = true;
+        outCtx.imageSmoothingQuality = 'high';
+        // Opaque base first, so a filtered pass that fades at the edges never lets originals through
+        outCtx.drawImage(small, 0, 0, sw, sh);
+        if ('filter' in outCtx) {
+            outCtx.filter = `blur(${strength / 2}px)`;
+            outCtx.drawImage(small, 0, 0, sw, sh);
+        }
+        return out;
+    }
+
+    drawMultilineText(ctx, obj) {
+        const { lines, widths, width: blockWidth, height, fontSize, lineHeight, offsetY, align, rtl } = this.layoutText(ctx, obj);
+        const top = obj.y - (obj.fontSize || 24);
+
+        if (obj.background) {
+            const padding = obj.padding || 0;
+            ctx.save();
+            ctx.fillStyle = obj.background;
+            ctx.beginPath();
+            traceRoundRect(ctx, obj.x - padding, top - padding,
+                blockWidth + padding * 2, height + padding * 2, obj.radius || 0);
+            ctx.fill();
+            ctx.restore();
+        }
+
+        if (isTextBox(obj) && obj.overflow === 'clip') {
+            ctx.beginPath();
+            ctx.rect(obj.x, top, obj.w, obj.h);
+            ctx.clip();
+        }
+
+        ctx.direction = rtl ? 'rtl' : 'ltr';
+        ctx.textAlign = 'left';
+
+        // Lines are aligned within the block, which always starts at obj.x
+        lines.forEach((line, index) => {
+            const offset = align === 'center' ? (blockWidth - widths[index]) / 2
+                : align === 'right' ? blockWidth - widths[index] : 0;
+            ctx.fillText(line, obj.x + offset, top + offsetY + fontSize + index * lineHeight);
         });
+    }
 
-        const totalHeight = lines.length * lineHeight;
+    /**
+     * Break a text object into lines: at line breaks, and where they pass its box or
+     * maxWidth. Text set to shrink gets the largest font size that fits instead, and
+     * that font is left set on ctx.
+     * @param {CanvasRenderingContext2D} ctx - Context with the object's font set
+     * @param {Object} obj - Text object
+     * @returns {{lines: string[], widths: number[], width: number, height: number, fontSize: number,
+     *   lineHeight: number, offsetY: number, align: string, rtl: boolean}} width and height are
+     *   those of the block the lines are aligned in; offsetY moves the lines down inside a box
+     */
+    layoutText(ctx, obj) {
+        let fontSize = obj.fontSize || 24;
+        const paragraphs = obj.text.split('\n');
+        let lines = paragraphs;
+        if (isTextBox(obj)) {
+            const wrap = size => {
+                ctx.font = this.getFont({ ...obj, fontSize: size });
+                lines = paragraphs.flatMap(line => wrapLine(ctx, line, obj.w));
+                return lines.length * size * LINE_HEIGHT <= obj.h;
+            };
+            if (!wrap(fontSize) && obj.overflow === 'shrink') {
+                // Fewer lines wrap at smaller sizes, so the fit is searched for rather than computed
+                let low = 0;
+                let high = fontSize;
+                for (let i = 0; i < SHRINK_STEPS; i++) {
+                    const size = (low + high) / 2;
+                    if (wrap(size)) low = size;
+                    else high = size;
+                }
+                fontSize = Math.max(low, 1);
+                wrap(fontSize);
+            }
+        } else if (obj.maxWidth && obj.fit === 'shrink') {
+            const widest = Math.max(0, ...lines.map(line => ctx.measureText(line).width));
+            if (widest > obj.maxWidth) {
+                fontSize *= obj.maxWidth / widest;
+                ctx.font = this.getFont({ ...obj, fontSize });
+            }
+        } else if (obj.maxWidth) {
+            lines = lines.flatMap(line => wrapLine(ctx, line, obj.maxWidth));
+        }
+        const widths = lines.map(line => ctx.measureText(line).width);
+        const lineHeight = fontSize * LINE_HEIGHT;
+        const textHeight = lines.length * lineHeight;
+        const rtl = isRightToLeft(obj.text);
+        const box = isTextBox(obj);
+        const free = box ? obj.h - textHeight : 0;
+        return {
+            lines,
+            widths,
+            width: box ? obj.w : Math.max(0, ...widths),
+            height: box ? obj.h : textHeight,
+            fontSize,
+            lineHeight,
+            offsetY: obj.verticalAlign === 'middle' ? free / 2 : obj.verticalAlign === 'bottom' ? free : 0,
+            // Right-to-left text is aligned from the other side: the default left becomes right
+            align: rtl ? MIRRORED_ALIGN[obj.textAlign || 'left'] : obj.textAlign || 'left',
+            rtl
+        };
+    }
+
+    /**
+     * Lay out a text object with its own font, as it is drawn.
+     * @returns {Object} See layoutText
+     */
+    getTextLayout(obj) {
+        const { ctx } = this;
+        ctx.save();
+        ctx.font = this.getFont(obj);
+        const layout = this.layoutText(ctx, obj);
         ctx.restore();
+        return layout;
+    }
 
+    getTextBounds(obj) {
+        const { width, height } = this.getTextLayout(obj);
         return {
             x: obj.x,
             y: obj.y - (obj.fontSize || 24), // Text baseline is at y, so bounds start above
-            width: maxWidth,
-            height: totalHeight
+            width,
+            height
         };
     }
 
-    drawSelection(obj) {
+    /**
+     * Outline a selected object, with its resize/rotate handles when requested.
+     */
+    drawSelection(obj, withHandles = true) {
         const { ctx } = this;
+        const handleSize = this.getHandleSize();
+        const handles = withHandles ? this.getHandles(obj) : [];
         ctx.save();
         ctx.strokeStyle = '#007bff';
-        ctx.lineWidth = 1;
-        ctx.setLineDash([5, 5]);
+        ctx.lineWidth = 1 / this.zoomLevel;
 
-        let padding = 5;
-        if (obj.type === 'pencil') {
-            const bounds = this.getPencilBounds(obj);
-            ctx.strokeRect(bounds.x - padding, bounds.y - padding, bounds.w + padding * 2, bounds.h + padding * 2);
-        } else if (obj.type === 'text') {
-            const bounds = this.getTextBounds(obj);
-            ctx.strokeRect(bounds.x - padding, bounds.y - padding, bounds.width + padding * 2, bounds.height + padding * 2);
-        } else {
-            const x = obj.w < 0 ? obj.x + obj.w : obj.x;
-            const y = obj.h < 0 ? obj.y + obj.h : obj.y;
-            ctx.strokeRect(x - padding, y - padding, Math.abs(obj.w) + padding * 2, Math.abs(obj.h) + padding * 2);
+        if (obj.type === 'arrow' && withHandles) {
+            // Arrows are reshaped by their endpoints instead of a box
+            this.getHandles(obj).forEach(h => this.drawHandle(h, handleSize, true));
+            ctx.restore();
+            return;
+        }
+
+        const center = this.getObjectCenter(obj);
+        const bounds = this.getObjectBounds(obj);
+        const padding = 5;
+
+        ctx.save();
+        ctx.translate(center.x, center.y);
+        ctx.rotate(obj.angle || 0);
+        ctx.translate(-center.x, -center.y);
+        ctx.setLineDash([5 / this.zoomLevel, 5 / this.zoomLevel]);
+        ctx.strokeRect(bounds.x - padding, bounds.y - padding, bounds.w + padding * 2, bounds.h + padding * 2);
+
+        // Stem connecting the box to the rotation handle
+        if (handles.some(h => h.name === 'rotate')) {
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(bounds.x + bounds.w / 2, bounds.y - padding);
+            ctx.lineTo(bounds.x + bounds.w / 2, bounds.y - padding - this.getRotationHandleOffset());
+            ctx.stroke();
         }
         ctx.restore();
+
+        handles.forEach(h => this.drawHandle(h, handleSize, h.name === 'rotate'));
+        ctx.restore();
+    }
+
+    // Rubber-band rectangle of a marquee selection
+    drawMarquee(rect) {
+        const { ctx } = this;
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 123, 255, 0.1)';
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = 1 / this.zoomLevel;
+        ctx.setLineDash([4 / this.zoomLevel, 4 / this.zoomLevel]);
+        ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+        ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+        ctx.restore();
+    }
+
+    drawHandle(handle, size, round) {
+        const { ctx } = this;
+        ctx.beginPath();
+        if (round) {
+            ctx.arc(handle.x, handle.y, size / 2, 0, Math.PI * 2);
+        } else {
+            ctx.rect(handle.x - size / 2, handle.y - size / 2, size, size);
+        }
+        ctx.fillStyle = 'white';
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Handle size in canvas pixels, constant on screen regardless of zoom
+    getHandleSize() {
+        return 10 / this.zoomLevel;
+    }
+
+    getRotationHandleOffset() {
+        return 25 / this.zoomLevel;
+    }
+
+    /**
+     * Get the interactive handles of a selected object in canvas coordinates.
+     * @returns {Array<{name: string, x: number, y: number}>}
+     */
+    getHandles(obj) {
+        // Groups only move; their members keep their own geometry. Step markers are sized by style.
+        if (obj.type === 'group' || obj.type === 'step') return [];
+        if (obj.type === 'arrow') {
+            return [
+                { name: 'start', x: obj.x, y: obj.y },
+                { name: 'end', x: obj.x + obj.w, y: obj.y + obj.h }
+            ];
+        }
+
+        const bounds = this.getObjectBounds(obj);
+        const padding = 5;
+        const left = bounds.x - padding;
+        const top = bounds.y - padding;
+        const right = bounds.x + bounds.w + padding;
+        const bottom = bounds.y + bounds.h + padding;
+        const midX = (left + right) / 2;
+        const midY = (top + bottom) / 2;
+
+        const handles = [];
+        if (RESIZABLE_TYPES.includes(obj.type)) {
+            handles.push(
+                { name: 'nw', x: left, y: top },
+                { name: 'n', x: midX, y: top },
+                { name: 'ne', x: right, y: top },
+                { name: 'e', x: right, y: midY },
+                { name: 'se', x: right, y: bottom },
+                { name: 's', x: midX, y: bottom },
+                { name: 'sw', x: left, y: bottom },
+                { name: 'w', x: left, y: midY }
+            );
+        }
+        handles.push({ name: 'rotate', x: midX, y: top - this.getRotationHandleOffset() });
+
+        const center = this.getObjectCenter(obj);
+        return handles.map(h => ({ name: h.name, ...rotatePoint(h, center, obj.angle || 0) }));
     }
 
     getPencilBounds(obj) {
@@ -254,21 +1203,175 @@ export default class CanvasManager {
         return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
     }
 
-    drawArrow(fromx, fromy, tox, toy, color, width) {
-        const { ctx } = this;
-        const headlen = 15;
-        const angle = Math.atan2(toy - fromy, tox - fromx);
+    /**
+     * Get the axis-aligned bounds of any object as { x, y, w, h }.
+     */
+    getObjectBounds(obj) {
+        if (obj.type === 'group') return unionRects(obj.children.map(child => this.getRotatedBounds(child)));
+        if (isPathObject(obj)) return this.getPencilBounds(obj);
+        if (obj.type === 'text') {
+            const bounds = this.getTextBounds(obj);
+            return { x: bounds.x, y: bounds.y, w: bounds.width, h: bounds.height };
+        }
+        if (obj.type === 'circle') {
+            const r = Math.abs(obj.w / 2);
+            return { x: obj.x + obj.w / 2 - r, y: obj.y + obj.h / 2 - r, w: r * 2, h: r * 2 };
+        }
+        if (obj.type === 'step') {
+            const size = obj.size || DEFAULT_STEP_SIZE;
+            return { x: obj.x - size / 2, y: obj.y - size / 2, w: size, h: size };
+        }
+        return normalizeRect(obj);
+    }
+
+    /**
+     * Get the centre of an object's unrotated bounds, used as its rotation pivot.
+     */
+    getObjectCenter(obj) {
+        const bounds = this.getObjectBounds(obj);
+        return { x: bounds.x + bounds.w / 2, y: bounds.y + bounds.h / 2 };
+    }
+
+    /**
+     * Get the axis-aligned bounds of an object after applying its rotation.
+     */
+    getRotatedBounds(obj) {
+        const bounds = this.getObjectBounds(obj);
+        if (!obj.angle) return bounds;
+
+        const center = { x: bounds.x + bounds.w / 2, y: bounds.y + bounds.h / 2 };
+        const corners = [
+            { x: bounds.x, y: bounds.y },
+            { x: bounds.x + bounds.w, y: bounds.y },
+            { x: bounds.x + bounds.w, y: bounds.y + bounds.h },
+            { x: bounds.x, y: bounds.y + bounds.h }
+        ].map(p => rotatePoint(p, center, obj.angle));
+        const xs = corners.map(p => p.x);
+        const ys = corners.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return { x: minX, y: minY, w: Math.max(...xs) - minX, h: Math.max(...ys) - minY };
+    }
+
+    /**
+     * Get the area covered by several objects, including their rotation.
+     */
+    getObjectsBounds(objects) {
+        return unionRects(objects.map(obj => this.getRotatedBounds(obj)));
+    }
+
+    /**
+     * Get the outline of a box, circle or path as a polygon, including its rotation.
+     * @param {Object} obj
+     * @returns {Array} Points in canvas pixels
+     */
+    getObjectOutline(obj) {
+        const bounds = this.getObjectBounds(obj);
+        const center = { x: bounds.x + bounds.w / 2, y: bounds.y + bounds.h / 2 };
+        let points;
+        if (isPathObject(obj)) {
+            points = obj.points.map(p => ({ x: p.x, y: p.y }));
+        } else if (obj.type === 'circle') {
+            const r = bounds.w / 2;
+            points = Array.from({ length: CIRCLE_OUTLINE_POINTS }, (_, i) => {
+                const a = i / CIRCLE_OUTLINE_POINTS * Math.PI * 2;
+                return { x: center.x + r * Math.cos(a), y: center.y + r * Math.sin(a) };
+            });
+        } else {
+            points = [
+                { x: bounds.x, y: bounds.y },
+                { x: bounds.x + bounds.w, y: bounds.y },
+                { x: bounds.x + bounds.w, y: bounds.y + bounds.h },
+                { x: bounds.x, y: bounds.y + bounds.h }
+            ];
+        }
+        return obj.angle ? points.map(p => rotatePoint(p, center, obj.angle)) : points;
+    }
+
+    /**
+     * Draw an arrow with heads at the ends selected by obj.arrowHead (default: end).
+     * Head size follows the stroke width.
+     */
+    drawArrow(ctx, obj) {
+        const { from, to, heads } = this.getArrowGeometry(obj);
         ctx.beginPath();
-        ctx.moveTo(fromx, fromy);
-        ctx.lineTo(tox, toy);
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
         ctx.stroke();
+
+        ctx.setLineDash([]);
+        ctx.fillStyle = obj.color;
+        heads.forEach(head => {
+            ctx.beginPath();
+            head.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Get the parts of an arrow: its shaft, and a triangle for each head.
+     * @returns {{from: Object, to: Object, heads: Array<Array<{x: number, y: number}>>}}
+     */
+    getArrowGeometry(obj) {
+        const start = { x: obj.x, y: obj.y };
+        const end = { x: obj.x + obj.w, y: obj.y + obj.h };
+        const headStyle = obj.arrowHead || 'end';
+        const headlen = Math.max(10, (obj.width || 1) * 5);
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const hasStart = headStyle === 'start' || headStyle === 'both';
+        const hasEnd = headStyle === 'end' || headStyle === 'both';
+
+        const head = (tip, direction) => [
+            tip,
+            { x: tip.x - headlen * Math.cos(direction - Math.PI / 6), y: tip.y - headlen * Math.sin(direction - Math.PI / 6) },
+            { x: tip.x - headlen * Math.cos(direction + Math.PI / 6), y: tip.y - headlen * Math.sin(direction + Math.PI / 6) }
+        ];
+        const heads = [];
+        if (hasEnd) heads.push(head(end, angle));
+        if (hasStart) heads.push(head(start, angle + Math.PI));
+
+        // Stop the shaft at the base of each head so thick lines don't poke through the tip
+        const inset = headlen * Math.cos(Math.PI / 6);
+        return {
+            from: hasStart ? { x: start.x + inset * Math.cos(angle), y: start.y + inset * Math.sin(angle) } : start,
+            to: hasEnd ? { x: end.x - inset * Math.cos(angle), y: end.y - inset * Math.sin(angle) } : end,
+            heads
+        };
+    }
+
+    /**
+     * Draw the guide line of the straighten tool.
+     */
+    drawStraightenLine(obj) {
+        const { ctx } = this;
+        ctx.save();
+        ctx.lineWidth = 2 / this.zoomLevel;
+        ctx.setLineDash([5 / this.zoomLevel, 5 / this.zoomLevel]);
         ctx.beginPath();
-        ctx.moveTo(tox, toy);
-        ctx.lineTo(tox - headlen * Math.cos(angle - Math.PI / 6), toy - headlen * Math.sin(angle - Math.PI / 6));
-        ctx.lineTo(tox - headlen * Math.cos(angle + Math.PI / 6), toy - headlen * Math.sin(angle + Math.PI / 6));
-        ctx.closePath();
-        ctx.fillStyle = color;
-        ctx.fill();
+        ctx.moveTo(obj.x, obj.y);
+        ctx.lineTo(obj.x + obj.w, obj.y + obj.h);
+        ctx.strokeStyle = 'white';
+        ctx.stroke();
+        ctx.strokeStyle = 'black';
+        ctx.lineDashOffset = 5 / this.zoomLevel;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Outline of a text box being dragged out, visible on light and dark images
+    drawTextBoxOutline(obj) {
+        const { ctx } = this;
+        const rect = normalizeRect(obj);
+        ctx.save();
+        ctx.lineWidth = 1 / this.zoomLevel;
+        ctx.setLineDash([5 / this.zoomLevel, 5 / this.zoomLevel]);
+        ctx.strokeStyle = 'white';
+        ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+        ctx.strokeStyle = 'black';
+        ctx.lineDashOffset = 5 / this.zoomLevel;
+        ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+        ctx.restore();
     }
 
     drawCropOverlay(obj) {
@@ -301,137 +1404,670 @@ export default class CanvasManager {
         ctx.lineDashOffset = 5;
         ctx.strokeRect(nx, ny, nw, nh);
 
+        // Rule-of-thirds guides
+        ctx.setLineDash([]);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1 / this.zoomLevel;
+        ctx.beginPath();
+        for (let i = 1; i < 3; i++) {
+            ctx.moveTo(nx + nw * i / 3, ny);
+            ctx.lineTo(nx + nw * i / 3, ny + nh);
+            ctx.moveTo(nx, ny + nh * i / 3);
+            ctx.lineTo(nx + nw, ny + nh * i / 3);
+        }
+        ctx.stroke();
+
+        // Live pixel dimensions, kept at a constant on-screen size
+        const label = `${Math.round(nw)} × ${Math.round(nh)}`;
+        const fontSize = 12 / this.zoomLevel;
+        const pad = 4 / this.zoomLevel;
+        ctx.font = `${fontSize}px ${this.editor.options.fontFamily}`;
+        const labelWidth = ctx.measureText(label).width + pad * 2;
+        const labelHeight = fontSize + pad * 2;
+        const labelY = ny - labelHeight - pad >= 0 ? ny - labelHeight - pad : ny + pad;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(nx, labelY, labelWidth, labelHeight);
+        ctx.fillStyle = 'white';
+        ctx.textBaseline = 'top';
+        ctx.fillText(label, nx + pad, labelY + pad);
+
         ctx.restore();
     }
 
+    drawCropHandles(rect) {
+        const { ctx } = this;
+        ctx.save();
+        ctx.strokeStyle = '#007bff';
+        ctx.lineWidth = 1 / this.zoomLevel;
+        const size = this.getHandleSize();
+        this.getCropHandles(rect).forEach(h => this.drawHandle(h, size, false));
+        ctx.restore();
+    }
+
+    /**
+     * Get the eight resize handles of a crop box.
+     * @returns {Array<{name: string, x: number, y: number}>}
+     */
+    getCropHandles(rect) {
+        const { x, y, w, h } = normalizeRect(rect);
+        return [
+            { name: 'nw', x, y },
+            { name: 'n', x: x + w / 2, y },
+            { name: 'ne', x: x + w, y },
+            { name: 'e', x: x + w, y: y + h / 2 },
+            { name: 'se', x: x + w, y: y + h },
+            { name: 's', x: x + w / 2, y: y + h },
+            { name: 'sw', x, y: y + h },
+            { name: 'w', x, y: y + h / 2 }
+        ];
+    }
+
     crop(rect) {
-        const nx = rect.w < 0 ? rect.x + rect.w : rect.x;
-        const ny = rect.h < 0 ? rect.y + rect.h : rect.y;
-        const nw = Math.abs(rect.w);
-        const nh = Math.abs(rect.h);
-        if (nw < 10 || nh < 10) return;
+        const bounds = normalizeRect(rect);
+        const nw = Math.round(bounds.w);
+        const nh = Math.round(bounds.h);
+        if (!this.editor.state.image || nw < 10 || nh < 10) return;
 
-        // Create a temporary canvas to extract the cropped region
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = nw;
-        tempCanvas.height = nh;
-        const tempCtx = tempCanvas.getContext('2d');
+        this.applyTransform({ type: 'crop', x: Math.round(bounds.x), y: Math.round(bounds.y), w: nw, h: nh });
+    }
 
-        // Draw the cropped portion from the current canvas
-        tempCtx.drawImage(this.canvas, nx, ny, nw, nh, 0, 0, nw, nh);
+    flip(direction) {
+        if (!this.editor.state.image) return;
+        this.applyTransform({ type: 'flip', direction });
+    }
 
-        const newImg = new Image();
-        newImg.onload = () => {
-            // Update state and canvas dimensions
-            this.editor.state.image = newImg;
-            this.editor.state.objects = [];
-            this.canvas.width = nw;
-            this.canvas.height = nh;
+    rotate(direction) {
+        if (!this.editor.state.image) return;
+        this.applyTransform({ type: 'rotate', direction });
+    }
 
+    /**
+     * Rotate the image by any angle.
+     * @param {number} degrees - Clockwise angle
+     * @param {'crop'|'expand'} [mode='crop'] - Crop to the largest rectangle without empty corners,
+     *   or grow the canvas to keep the whole image
+     * @param {string|null} [fill=null] - Colour of the corners uncovered by 'expand', null for transparent
+     */
+    rotateBy(degrees, mode = 'crop', fill = null) {
+        if (!this.editor.state.image) return;
+        const angle = normalizeDegrees(degrees);
+        if (!angle) return;
+        const op = { type: 'rotateBy', angle, mode };
+        if (mode === 'expand' && fill) op.fill = fill;
+        this.applyTransform(op);
+    }
+
+    /**
+     * Resample the image to a new size. Annotations are scaled with it.
+     * @param {number} width - New width in pixels
+     * @param {number} height - New height in pixels
+     */
+    resize(width, height) {
+        if (!this.editor.state.image) return;
+        const w = Math.max(1, Math.round(width));
+        const h = Math.max(1, Math.round(height));
+        if (w === this.canvas.width && h === this.canvas.height) return;
+        this.applyTransform({ type: 'resize', w, h });
+    }
+
+    /**
+     * Add space around the image. Annotations keep their place on the image.
+     * @param {{top: number, right: number, bottom: number, left: number}} sides - Pixels to add on each side
+     * @param {string|null} [fill=null] - Colour of the new area, null for transparent
+     */
+    extend(sides, fill = null) {
+        if (!this.editor.state.image) return;
+        const op = { type: 'extend' };
+        ['top', 'right', 'bottom', 'left'].forEach(side => { op[side] = Math.round(sides[side] || 0); });
+        if (!op.top && !op.right && !op.bottom && !op.left) return;
+        if (fill) op.fill = fill;
+        this.applyTransform(op);
+    }
+
+    /**
+     * Apply a transform operation to the base image and move annotations with it.
+     * The operation is recorded in state.transforms so documents can replay it.
+     * @param {Object} op - { type: 'crop', x, y, w, h } | { type: 'flip', direction } | { type: 'rotate', direction }
+     *   | { type: 'rotateBy', angle, mode, fill? } | { type: 'resize', w, h }
+     *   | { type: 'extend', top, right, bottom, left, fill? }
+     */
+    applyTransform(op) {
+        const { state } = this.editor;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const mapPoint = this.getTransformMapping(op, width, height);
+
+        // The result stays a canvas bitmap: no data URL round-trip, and history shares it by reference
+        const transformed = this.renderImageTransform(state.image, op, width, height);
+        state.image = transformed;
+
+        if (op.type === 'crop') {
+            // Drop annotations that end up fully outside the crop, shift the rest.
+            // Partially visible ones are clipped by the canvas edges.
+            const cropBounds = { x: op.x, y: op.y, w: op.w, h: op.h };
+            const kept = state.objects.filter(obj => rectsIntersect(this.getRotatedBounds(obj), cropBounds));
+            const dropped = state.objects.filter(obj => !kept.includes(obj));
+            state.objects = kept;
+            this.editor.setSelection(state.selectedObjects.filter(obj => kept.includes(obj)));
+            dropped.forEach(obj => this.editor.emit('objectRemoved', { object: cloneObject(obj) }));
+        }
+        // Boxes can't stay axis-aligned through a free rotation, so they turn with the image
+        this.transformObjects(mapPoint, op.type === 'flip', op.type === 'rotateBy' ? op.angle * Math.PI / 180 : 0);
+        if (op.type === 'resize') {
+            // Strokes, fonts and markers grow or shrink with the image
+            const scale = Math.sqrt((op.w / width) * (op.h / height));
+            state.objects.forEach(obj => this.scaleObjectSize(obj, scale));
+        }
+        state.transforms.push(op);
+
+        // Preserve current zoom level for flips and rotations
+        const currentZoom = this.zoomLevel;
+        this.canvas.width = transformed.width;
+        this.canvas.height = transformed.height;
+
+        if (op.type === 'crop' || op.type === 'resize') {
             // Recalculate zoom to fit new dimensions
             this.zoomToFit();
+        } else {
+            this.setZoom(currentZoom);
+            this.updateDisplaySize();
+        }
 
-            // Save history and render
-            this.editor.saveHistory();
-            this.render();
-        };
-        newImg.src = tempCanvas.toDataURL();
+        this.editor.saveHistory();
+        this.render();
+
+        if (op.type === 'crop') {
+            this.editor.emit('cropApplied', { x: op.x, y: op.y, width: op.w, height: op.h });
+        }
     }
 
-    flip(direction) {
+    /**
+     * Render a transform operation on an image into a new canvas.
+     * Only touches pixels, so it is also used to replay saved documents.
+     * @param {CanvasImageSource} image - Source image
+     * @param {Object} op - Transform operation
+     * @param {number} width - Current image width
+     * @param {number} height - Current image height
+     * @returns {HTMLCanvasElement}
+     */
+    renderImageTransform(image, op, width, height) {
         const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = this.canvas.width;
-        tempCanvas.height = this.canvas.height;
         const tempCtx = tempCanvas.getContext('2d');
 
-        tempCtx.save();
-        if (direction === 'horizontal') {
-            tempCtx.scale(-1, 1);
-            tempCtx.drawImage(this.canvas, -this.canvas.width, 0);
-        } else {
-            tempCtx.scale(1, -1);
-            tempCtx.drawImage(this.canvas, 0, -this.canvas.height);
+        switch (op.type) {
+            case 'crop':
+                tempCanvas.width = op.w;
+                tempCanvas.height = op.h;
+                tempCtx.drawImage(image, op.x, op.y, op.w, op.h, 0, 0, op.w, op.h);
+                break;
+            case 'flip':
+                tempCanvas.width = width;
+                tempCanvas.height = height;
+                if (op.direction === 'horizontal') {
+                    tempCtx.scale(-1, 1);
+                    tempCtx.drawImage(image, -width, 0, width, height);
+                } else {
+                    tempCtx.scale(1, -1);
+                    tempCtx.drawImage(image, 0, -height, width, height);
+                }
+                break;
+            case 'rotate':
+                // Swap dimensions for 90 degree rotation
+                tempCanvas.width = height;
+                tempCanvas.height = width;
+                if (op.direction === 'right') {
+                    // Rotate 90 degrees clockwise
+                    tempCtx.translate(height, 0);
+                    tempCtx.rotate(Math.PI / 2);
+                } else {
+                    // Rotate 90 degrees counter-clockwise
+                    tempCtx.translate(0, width);
+                    tempCtx.rotate(-Math.PI / 2);
+                }
+                tempCtx.drawImage(image, 0, 0, width, height);
+                break;
+            case 'rotateBy': {
+                const size = getRotatedSize(op, width, height);
+                tempCanvas.width = size.width;
+                tempCanvas.height = size.height;
+                if (op.fill) {
+                    tempCtx.fillStyle = op.fill;
+                    tempCtx.fillRect(0, 0, size.width, size.height);
+                }
+                tempCtx.translate(size.width / 2, size.height / 2);
+                tempCtx.rotate(op.angle * Math.PI / 180);
+                tempCtx.drawImage(image, -width / 2, -height / 2, width, height);
+                break;
+            }
+            case 'resize':
+                tempCanvas.width = op.w;
+                tempCanvas.height = op.h;
+                tempCtx.imageSmoothingQuality = 'high';
+                tempCtx.drawImage(stepDownImage(image, width, height, op.w, op.h), 0, 0, op.w, op.h);
+                break;
+            case 'extend':
+                tempCanvas.width = width + op.left + op.right;
+                tempCanvas.height = height + op.top + op.bottom;
+                if (op.fill) {
+                    tempCtx.fillStyle = op.fill;
+                    tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
+                }
+                tempCtx.drawImage(image, op.left, op.top, width, height);
+                break;
         }
-        tempCtx.restore();
 
-        const newImg = new Image();
-        newImg.onload = () => {
-            this.editor.state.image = newImg;
-            this.editor.state.objects = [];
-            this.editor.saveHistory();
-            this.render();
+        return tempCanvas;
+    }
+
+    /**
+     * Get the function that maps old canvas coordinates to new ones for a transform.
+     */
+    getTransformMapping(op, width, height) {
+        switch (op.type) {
+            case 'crop':
+                return p => ({ x: p.x - op.x, y: p.y - op.y });
+            case 'flip':
+                return op.direction === 'horizontal'
+                    ? p => ({ x: width - p.x, y: p.y })
+                    : p => ({ x: p.x, y: height - p.y });
+            case 'rotate':
+                return op.direction === 'right'
+                    ? p => ({ x: height - p.y, y: p.x })
+                    : p => ({ x: p.y, y: width - p.x });
+            case 'rotateBy': {
+                // Turn around the old centre, which becomes the new centre
+                const size = getRotatedSize(op, width, height);
+                const center = { x: width / 2, y: height / 2 };
+                const angle = op.angle * Math.PI / 180;
+                return p => {
+                    const q = rotatePoint(p, center, angle);
+                    return { x: q.x - center.x + size.width / 2, y: q.y - center.y + size.height / 2 };
+                };
+            }
+            case 'resize':
+                return p => ({ x: p.x * op.w / width, y: p.y * op.h / height });
+            case 'extend':
+                return p => ({ x: p.x + op.left, y: p.y + op.top });
+            default:
+                return p => ({ x: p.x, y: p.y });
+        }
+    }
+
+    /**
+     * Get the function that maps new canvas coordinates back to old ones for a transform.
+     * @param {Object} op - Transform operation
+     * @param {number} width - Image width before the transform
+     * @param {number} height - Image height before the transform
+     */
+    getInverseTransformMapping(op, width, height) {
+        switch (op.type) {
+            case 'crop':
+                return p => ({ x: p.x + op.x, y: p.y + op.y });
+            case 'rotate':
+                return op.direction === 'right'
+                    ? p => ({ x: p.y, y: height - p.x })
+                    : p => ({ x: width - p.y, y: p.x });
+            case 'rotateBy': {
+                const size = getRotatedSize(op, width, height);
+                const center = { x: width / 2, y: height / 2 };
+                const angle = -op.angle * Math.PI / 180;
+                return p => rotatePoint({ x: p.x - size.width / 2 + center.x, y: p.y - size.height / 2 + center.y }, center, angle);
+            }
+            case 'resize':
+                return p => ({ x: p.x * width / op.w, y: p.y * height / op.h });
+            case 'extend':
+                return p => ({ x: p.x - op.left, y: p.y - op.top });
+            default:
+                // Flips are their own inverse
+                return this.getTransformMapping(op, width, height);
+        }
+    }
+
+    /**
+     * Map between canvas pixels and pixels of the image as it was loaded, before any
+     * crop, rotation or resize. Without a loaded image both are the same.
+     * @returns {{toSource: Function, fromSource: Function, width: number, height: number}}
+     */
+    getSourceMapping() {
+        const { state } = this.editor;
+        if (!state.imageSourceWidth || !state.imageSourceHeight) {
+            const identity = p => ({ x: p.x, y: p.y });
+            return { toSource: identity, fromSource: identity, width: this.canvas.width, height: this.canvas.height };
+        }
+
+        const forward = [];
+        const inverse = [];
+        let width = state.imageSourceWidth;
+        let height = state.imageSourceHeight;
+        state.transforms.forEach(op => {
+            forward.push(this.getTransformMapping(op, width, height));
+            inverse.unshift(this.getInverseTransformMapping(op, width, height));
+            ({ width, height } = getTransformedSize(op, width, height));
+        });
+        return {
+            toSource: p => inverse.reduce((point, map) => map(point), p),
+            fromSource: p => forward.reduce((point, map) => map(point), p),
+            width: state.imageSourceWidth,
+            height: state.imageSourceHeight
         };
-        newImg.src = tempCanvas.toDataURL();
     }
 
-    rotate(direction) {
-        const tempCanvas = document.createElement('canvas');
-        // Swap dimensions for 90 degree rotation
-        tempCanvas.width = this.canvas.height;
-        tempCanvas.height = this.canvas.width;
-        const tempCtx = tempCanvas.getContext('2d');
+    /**
+     * Move every annotation along with an image transformation.
+     * @param {Function} mapPoint - Maps an old canvas point to its new position
+     * @param {boolean} [mirror=false] - Whether the mapping mirrors, which inverts object angles
+     * @param {number} [turn=0] - Angle of a free rotation in radians; boxes are rotated by it
+     *   instead of having their corners mapped
+     */
+    transformObjects(mapPoint, mirror = false, turn = 0) {
+        this.editor.state.objects.forEach(obj => this.transformObject(obj, mapPoint, mirror, turn));
+    }
 
-        tempCtx.save();
-        if (direction === 'right') {
-            // Rotate 90 degrees clockwise
-            tempCtx.translate(tempCanvas.width, 0);
-            tempCtx.rotate(Math.PI / 2);
-        } else {
-            // Rotate 90 degrees counter-clockwise
-            tempCtx.translate(0, tempCanvas.height);
-            tempCtx.rotate(-Math.PI / 2);
+    transformObject(obj, mapPoint, mirror = false, turn = 0) {
+        if (obj.type === 'group') {
+            obj.children.forEach(child => this.transformObject(child, mapPoint, mirror, turn));
+            return;
         }
-        tempCtx.drawImage(this.canvas, 0, 0);
-        tempCtx.restore();
+        if (obj.type === 'image') {
+            this.transformImageObject(obj, mapPoint);
+            return;
+        }
+        if (mirror && obj.angle) obj.angle = -obj.angle;
+        switch (obj.type) {
+            case 'pencil':
+            case 'blur':
+            case 'pixelate': {
+                if (!isPathObject(obj)) {
+                    this.transformBox(obj, mapPoint, turn);
+                    break;
+                }
+                obj.points = obj.points.map(p => ({ ...p, ...mapPoint(p) }));
+                const bounds = this.getPencilBounds(obj);
+                obj.x = bounds.x; obj.y = bounds.y;
+                if (obj.type !== 'pencil') {
+                    obj.w = bounds.w; obj.h = bounds.h;
+                }
+                break;
+            }
+            case 'text': {
+                // Text stays upright: move it so its bounding box keeps the same centre
+                const fontSize = obj.fontSize || 24;
+                const bounds = this.getTextBounds(obj);
+                const center = mapPoint({ x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 });
+                obj.x = center.x - bounds.width / 2;
+                obj.y = center.y - bounds.height / 2 + fontSize;
+                break;
+            }
+            case 'step': {
+                // Markers stay upright and keep their size; only the centre moves
+                const center = mapPoint({ x: obj.x, y: obj.y });
+                obj.x = center.x;
+                obj.y = center.y;
+                break;
+            }
+            case 'circle': {
+                // Keep the radius (derived from w) and only move the centre
+                const center = mapPoint({ x: obj.x + obj.w / 2, y: obj.y + obj.h / 2 });
+                obj.x = center.x - obj.w / 2;
+                obj.y = center.y - obj.h / 2;
+                break;
+            }
+            case 'arrow':
+                // Endpoints are points, so mapping them works for any transform
+                this.transformBox(obj, mapPoint);
+                break;
+            default:
+                this.transformBox(obj, mapPoint, turn);
+        }
+    }
 
-        // Preserve current zoom level
-        const currentZoom = this.zoomLevel;
+    /**
+     * Turn and mirror an image object with the base image, so its pixels follow the
+     * transform instead of being stretched into the mapped box.
+     */
+    transformImageObject(obj, mapPoint) {
+        const center = this.getObjectCenter(obj);
+        const angle = obj.angle || 0;
+        const newCenter = mapPoint(center);
+        // Where the object's own x and y axes end up
+        const xAxis = mapPoint(rotatePoint({ x: center.x + 1, y: center.y }, center, angle));
+        const yAxis = mapPoint(rotatePoint({ x: center.x, y: center.y + 1 }, center, angle));
+        const ax = { x: xAxis.x - newCenter.x, y: xAxis.y - newCenter.y };
+        const ay = { x: yAxis.x - newCenter.x, y: yAxis.y - newCenter.y };
 
-        const newImg = new Image();
-        newImg.onload = () => {
-            this.editor.state.image = newImg;
-            this.editor.state.objects = [];
-            this.canvas.width = tempCanvas.width;
-            this.canvas.height = tempCanvas.height;
+        obj.angle = Math.atan2(ax.y, ax.x);
+        // Resizing stretches the axes; flips and rotations keep them at unit length
+        obj.w *= Math.hypot(ax.x, ax.y);
+        obj.h *= Math.hypot(ay.x, ay.y);
+        // A mirroring transform flips the axes' handedness; flip the image vertically to match
+        if (ax.x * ay.y - ax.y * ay.x < 0) obj.h = -obj.h;
+        if (!obj.angle) delete obj.angle;
+        obj.x = newCenter.x - obj.w / 2;
+        obj.y = newCenter.y - obj.h / 2;
+    }
 
-            // Restore the same zoom level instead of fitting
-            this.setZoom(currentZoom);
+    /**
+     * Scale the sizes that positions don't cover - stroke width, font size, marker size,
+     * redaction strength - after an object was moved by a resize.
+     */
+    scaleObjectSize(obj, scale) {
+        if (obj.type === 'group') {
+            obj.children.forEach(child => this.scaleObjectSize(child, scale));
+            return;
+        }
+        if (obj.width !== undefined) obj.width *= scale;
+        if (obj.strength !== undefined) obj.strength = Math.max(1, obj.strength * scale);
+        switch (obj.type) {
+            case 'text': {
+                // Grow around the centre the text was mapped to
+                const before = this.getObjectCenter(obj);
+                obj.fontSize = (obj.fontSize || 24) * scale;
+                if (obj.maxWidth) obj.maxWidth *= scale;
+                if (isTextBox(obj)) {
+                    obj.w *= scale;
+                    obj.h *= scale;
+                }
+                if (obj.padding !== undefined) obj.padding *= scale;
+                if (obj.radius !== undefined) obj.radius *= scale;
+                const after = this.getObjectCenter(obj);
+                obj.x += before.x - after.x;
+                obj.y += before.y - after.y;
+                break;
+            }
+            case 'step':
+                obj.size = (obj.size || DEFAULT_STEP_SIZE) * scale;
+                break;
+            case 'circle': {
+                // The radius was kept while the centre moved
+                const center = { x: obj.x + obj.w / 2, y: obj.y + obj.h / 2 };
+                obj.w *= scale;
+                obj.h *= scale;
+                obj.x = center.x - obj.w / 2;
+                obj.y = center.y - obj.h / 2;
+                break;
+            }
+        }
+    }
 
-            this.editor.saveHistory();
-            this.render();
+    /**
+     * Move an object by an offset, including pencil points and group members.
+     */
+    translateObject(obj, dx, dy) {
+        if (obj.type === 'group') {
+            obj.children.forEach(child => this.translateObject(child, dx, dy));
+            return;
+        }
+        if (isPathObject(obj)) {
+            obj.points = obj.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy }));
+        }
+        obj.x += dx;
+        obj.y += dy;
+    }
+
+    // Map both corners of an x/y/w/h object; w and h may come out negative.
+    // A free rotation moves the centre instead and adds the turn to the object's angle.
+    transformBox(obj, mapPoint, turn = 0) {
+        if (turn) {
+            const center = mapPoint({ x: obj.x + obj.w / 2, y: obj.y + obj.h / 2 });
+            obj.x = center.x - obj.w / 2;
+            obj.y = center.y - obj.h / 2;
+            const angle = Math.atan2(Math.sin((obj.angle || 0) + turn), Math.cos((obj.angle || 0) + turn));
+            if (Math.abs(angle) < 1e-9) delete obj.angle;
+            else obj.angle = angle;
+            return;
+        }
+        const start = mapPoint({ x: obj.x, y: obj.y });
+        const end = mapPoint({ x: obj.x + obj.w, y: obj.y + obj.h });
+        obj.x = start.x;
+        obj.y = start.y;
+        obj.w = end.x - start.x;
+        obj.h = end.y - start.y;
+    }
+
+    /**
+     * Resize the canvas to restored dimensions, refitting the view only when they change.
+     */
+    setCanvasSize(width, height) {
+        if (this.canvas.width === width && this.canvas.height === height) return;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.zoomToFit();
+        this.updateDisplaySize();
+    }
+}
+
+// Rectangle path with rounded corners; the radius is clamped to fit the box
+function traceRoundRect(ctx, x, y, w, h, radius) {
+    const r = Math.max(0, Math.min(radius, w / 2, h / 2));
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+}
+
+let canvasFilterSupported = null;
+
+// Colour adjustments on the pixels, for browsers without canvas filters
+function applyColorAdjustmentsTo(canvas, adjustments) {
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    applyColorAdjustments(imageData, adjustments);
+    ctx.putImageData(imageData, 0, 0);
+}
+
+// Safari before 18 has no CanvasRenderingContext2D.filter
+function supportsCanvasFilter() {
+    if (canvasFilterSupported === null) {
+        canvasFilterSupported = typeof createCanvas(1, 1).getContext('2d').filter === 'string';
+    }
+    return canvasFilterSupported;
+}
+
+// Bring an angle in degrees into (-180, 180]
+function normalizeDegrees(degrees) {
+    const angle = ((degrees % 360) + 360) % 360;
+    return angle > 180 ? angle - 360 : angle;
+}
+
+/**
+ * Size of the image after a free rotation: the rotated image's bounding box
+ * for 'expand', or the largest axis-aligned rectangle inside it for 'crop'.
+ */
+function getRotatedSize(op, width, height) {
+    const angle = op.angle * Math.PI / 180;
+    const sin = Math.abs(Math.sin(angle));
+    const cos = Math.abs(Math.cos(angle));
+    // Tolerate floating point noise so exact sizes don't round up a pixel
+    const snap = value => Math.max(1, Math.round(value * 1e6) / 1e6);
+
+    if (op.mode === 'expand') {
+        return {
+            width: Math.ceil(snap(width * cos + height * sin)),
+            height: Math.ceil(snap(width * sin + height * cos))
         };
-        newImg.src = tempCanvas.toDataURL();
-    }
-
-    // Restore canvas state from history snapshot
-    restoreState(snapshot) {
-        return new Promise((resolve) => {
-            if (snapshot.imageSrc) {
-                const img = new Image();
-                img.onload = () => {
-                    this.editor.state.image = img;
-                    this.canvas.width = snapshot.canvasWidth;
-                    this.canvas.height = snapshot.canvasHeight;
-                    this.zoomToFit();
-                    this.render();
-                    resolve();
-                };
-                img.onerror = () => {
-                    // If image fails to load, still update canvas dimensions
-                    this.canvas.width = snapshot.canvasWidth;
-                    this.canvas.height = snapshot.canvasHeight;
-                    this.zoomToFit();
-                    this.render();
-                    resolve();
-                };
-                img.src = snapshot.imageSrc;
-            } else {
-                this.canvas.width = snapshot.canvasWidth;
-                this.canvas.height = snapshot.canvasHeight;
-                this.zoomToFit();
-                this.render();
-                resolve();
-            }
-        });
     }
+
+    // Largest-area rectangle inside the rotated image
+    const long = Math.max(width, height);
+    const short = Math.min(width, height);
+    let w, h;
+    if (short <= 2 * sin * cos * long || Math.abs(sin - cos) < 1e-10) {
+        // Two corners touch the long sides of the rotated image
+        const half = short / 2;
+        [w, h] = width >= height ? [half / sin, half / cos] : [half / cos, half / sin];
+    } else {
+        // All four corners touch the rotated image's sides
+        const cos2 = cos * cos - sin * sin;
+        w = (width * cos - height * sin) / cos2;
+        h = (height * cos - width * sin) / cos2;
+    }
+    return { width: Math.floor(snap(w)), height: Math.floor(snap(h)) };
+}
+
+// Image size after a transform, without rendering it
+function getTransformedSize(op, width, height) {
+    switch (op.type) {
+        case 'crop':
+        case 'resize':
+            return { width: op.w, height: op.h };
+        case 'rotate':
+            return { width: height, height: width };
+        case 'rotateBy':
+            return getRotatedSize(op, width, height);
+        case 'extend':
+            return { width: width + op.left + op.right, height: height + op.top + op.bottom };
+        default:
+            return { width, height };
+    }
+}
+
+// Break a line at spaces to fit a width; words wider than the width are broken between characters
+function wrapLine(ctx, line, maxWidth) {
+    const lines = [];
+    let current = '';
+    line.split(' ').forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (ctx.measureText(candidate).width <= maxWidth) {
+            current = candidate;
+            return;
+        }
+        if (current) lines.push(current);
+        let chars = Array.from(word);
+        while (chars.length > 1 && ctx.measureText(chars.join('')).width > maxWidth) {
+            let fit = 1;
+            while (fit < chars.length - 1 && ctx.measureText(chars.slice(0, fit + 1).join('')).width <= maxWidth) fit++;
+            lines.push(chars.slice(0, fit).join(''));
+            chars = chars.slice(fit);
+        }
+        current = chars.join('');
+    });
+    lines.push(current);
+    return lines;
+}
+
+// The direction of a text is that of its first letter
+function isRightToLeft(text) {
+    const letter = /\p{L}/u.exec(text);
+    return !!letter && RTL_CHAR.test(letter[0]);
+}
+
+// 1, 2, 3... or A, B, ... Z, AA, AB...
+function formatStepLabel(n, sequence) {
+    if (sequence !== 'letter') return String(n);
+    let label = '';
+    for (let i = n; i > 0; i = Math.floor((i - 1) / 26)) {
+        label = String.fromCharCode(65 + (i - 1) % 26) + label;
+    }
+    return label;
+}
+
+// Smallest rectangle containing all the given rectangles
+function unionRects(rects) {
+    const minX = Math.min(...rects.map(r => r.x));
+    const minY = Math.min(...rects.map(r => r.y));
+    const maxX = Math.max(...rects.map(r => r.x + r.w));
+    const maxY = Math.max(...rects.map(r => r.y + r.h));
+    return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
 }
@@ -0,0 +1,173 @@
+import { assignIds, cloneObject, flattenObjects, readFileAsDataURL } from './utils.js';
+import { validateObject } from './serializer.js';
+
+// Clipboard format for copied annotations, so they can be pasted into another editor
+const OBJECTS_MIME = 'application/x-crop-annotate+json';
+
+// Distance each paste or duplicate is shifted from the previous copy, in canvas pixels
+const PASTE_OFFSET = 10;
+
+/**
+ * ClipboardManager - Copy, cut, paste and duplicate annotations, and paste images.
+ *
+ * Copied objects are kept in memory and, during a copy/cut event, also written to
+ * the system clipboard. Pasted images load as the base image when none is loaded,
+ * otherwise they are inserted as movable image objects.
+ */
+export default class ClipboardManager {
+    constructor(editor) {
+        this.editor = editor;
+        // Copies of the last copied objects
+        this.objects = [];
+        // How many times the current clipboard contents have been pasted
+        this.pasteCount = 0;
+    }
+
+    /**
+     * Copy the selected objects.
+     * @returns {boolean} True if anything was copied
+     */
+    copy() {
+        const { selectedObjects, objects } = this.editor.state;
+        if (!selectedObjects.length) return false;
+        // Keep stacking order, not selection order
+        this.objects = objects.filter(obj => selectedObjects.includes(obj)).map(obj => cloneObject(obj));
+        this.pasteCount = 0;
+        return true;
+    }
+
+    /**
+     * Copy the selected objects, then remove them.
+     * @returns {boolean} True if anything was cut
+     */
+    cut() {
+        if (!this.copy()) return false;
+        // Cut objects paste back where they were
+        this.pasteCount = -1;
+        return this.editor.deleteSelected();
+    }
+
+    /**
+     * Insert the copied objects, shifted so they don't cover the originals.
+     * @returns {boolean} True if anything was pasted
+     */
+    paste() {
+        if (!this.objects.length) return false;
+        this.pasteCount++;
+        this.insertObjects(this.objects, this.pasteCount * PASTE_OFFSET);
+        return true;
+    }
+
+    /**
+     * Copy and paste the selected objects in one step, leaving the clipboard untouched.
+     * @returns {boolean} True if anything was duplicated
+     */
+    duplicate() {
+        const { selectedObjects, objects } = this.editor.state;
+        if (!selectedObjects.length) return false;
+        this.insertObjects(objects.filter(obj => selectedObjects.includes(obj)), PASTE_OFFSET);
+        return true;
+    }
+
+    // Add copies of objects on top of the stack and select them
+    insertObjects(objects, offset) {
+        const { state, canvasManager } = this.editor;
+        const added = objects.map(obj => {
+            const copy = cloneObject(obj);
+            assignIds([copy], true);
+            canvasManager.translateObject(copy, offset, offset);
+            return copy;
+        });
+        state.objects.push(...added);
+        this.editor.setSelection(added);
+        this.editor.saveHistory();
+        canvasManager.render();
+        added.forEach(obj => this.editor.emit('objectAdded', { object: cloneObject(obj) }));
+    }
+
+    /**
+     * Handle a copy or cut event on the editor.
+     * @param {ClipboardEvent} e
+     * @param {boolean} [remove=false] - Cut instead of copy
+     */
+    handleCopy(e, remove = false) {
+        if (!(remove ? this.cut() : this.copy())) return;
+        e.preventDefault();
+        if (!e.clipboardData) return;
+        const { canvasManager } = this.editor;
+        // Object URLs of pasted images only live in this page, so inline them
+        const portable = this.objects.map(obj => cloneObject(obj));
+        flattenObjects(portable).forEach(obj => {
+            if (obj.type === 'image') obj.src = canvasManager.getPortableImageSource(obj.src);
+        });
+        e.clipboardData.setData(OBJECTS_MIME, JSON.stringify(portable));
+    }
+
+    /**
+     * Handle a paste event on the editor: annotations copied from an editor,
+     * then images, then the in-memory clipboard.
+     * @param {ClipboardEvent} e
+     */
+    handlePaste(e) {
+        const data = e.clipboardData;
+        const json = data ? data.getData(OBJECTS_MIME) : '';
+        if (json) {
+            e.preventDefault();
+            this.pasteJSON(json);
+            return;
+        }
+
+        const item = data ? [...data.items].find(i => i.kind === 'file' && i.type.startsWith('image/')) : null;
+        const file = item ? item.getAsFile() : null;
+        if (file) {
+            e.preventDefault();
+            this.pasteImage(file).catch(err => console.error('Paste error:', err));
+            return;
+        }
+
+        if (this.paste()) e.preventDefault();
+    }
+
+    pasteJSON(json) {
+        let objects;
+        try {
+            objects = JSON.parse(json);
+        } catch (err) {
+            return;
+        }
+        if (!Array.isArray(objects) || !objects.length) return;
+        // Any app can put this format on the clipboard, so check it like a loaded document
+        try {
+            objects.forEach((obj, i) => validateObject(obj, `objects[${i}]`, message => new TypeError(`Invalid pasted annotations: ${message}`)));
+        } catch (err) {
+            console.error('Paste error:', err);
+            return;
+        }
+        this.objects = objects;
+        this.pasteCount = 0;
+        const { canvasManager } = this.editor;
+        // Make sure pasted image objects can be drawn before they show up
+        Promise.all(flattenObjects(objects)
+            .filter(obj => obj.type === 'image')
+            .map(obj => canvasManager.loadOverlayImage(obj.src)))
+            .then(() => {
+                if (!this.editor.destroyed) this.paste();
+            })
+            .catch(err => console.error('Paste error:', err));
+    }
+
+    /**
+     * Load a pasted image as the base image, or insert it as an image object
+     * when an image is already loaded.
+     * @param {Blob} file - Image data
+     * @returns {Promise<void>}
+     */
+    async pasteImage(file) {
+        if (!this.editor.state.image) {
+            // A data URL keeps the document portable, unlike an object URL
+            await this.editor.loadImage(await readFileAsDataURL(file));
+            return;
+        }
+        await this.editor.insertImage(file);
+    }
+}
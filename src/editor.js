@@ -5,36 +5,67 @@
 
 import CanvasManager from './canvas.js';
 import ToolManager from './tools.js';
+import EventEmitter from './events.js';
+import HistoryManager from './history.js';
+import ClipboardManager from './clipboard.js';
+import ShortcutManager from './shortcuts.js';
+import { serializeDocument, parseDocument, validateObject, collectIds } from './serializer.js';
+import { normalizeExportOptions, formatFromFileName, createExportCanvas, encodeDataURL, encodeBlob } from './exporter.js';
+import { assignIds, cloneObject, createId, flattenObjects, loadImageElement } from './utils.js';
+import { DEFAULT_STEP_SIZE, checkStyleValue, pickStyle, styleKeysFor } from './styles.js';
+import { ADJUSTMENT_KEYS, checkAdjustmentValue } from './adjustments.js';
+import { TRANSLATION_FORMATS, formatTranslations, parseTranslations } from './translations.js';
+import { ANNOTATION_FORMATS, ANNOTATION_TYPES, DEFAULT_LABEL, formatAnnotations, parseAnnotations } from './annotations.js';
+import { canWritePDFText, formatPDF, formatSVG, getRasterObjects } from './vector.js';
 
-export default class CropAnnotate {
+export default class CropAnnotate extends EventEmitter {
     constructor(container, options = {}) {
+        super();
         this.container = typeof container === 'string' ? document.querySelector(container) : container;
         this.options = {
             strokeColor: options.strokeColor || '#ff0000',
             strokeWidth: options.strokeWidth || 3,
             fontSize: options.fontSize || 24,
             fontFamily: options.fontFamily || 'Arial',
+            maxHistory: options.maxHistory || 50,
+            redactionStrength: options.redactionStrength || 10,
             ...options
         };
 
         this.state = {
             image: null,
+            imageSource: null, // Source passed to loadImage, before any transforms
+            imageSourceWidth: 0,
+            imageSourceHeight: 0,
+            transforms: [], // Crop/flip/rotate operations applied since the image was loaded
+            adjustments: {}, // Non-zero image adjustments, e.g. { brightness: 20 }
             currentTool: 'select',
             currentColor: this.options.strokeColor,
             currentWidth: this.options.strokeWidth,
+            currentStyle: {}, // Style properties set with setStyle(), applied to new objects
+            currentLabel: null, // Label given to new rectangles, circles and pencil strokes
+            redactionStrength: this.options.redactionStrength,
+            redactionShape: 'rect', // 'rect' or 'freehand' for the blur and pixelate tools
             objects: [],
-            history: [],
-            historyIndex: -1,
             activeObject: null,
             isDrawing: false,
-            selectedObject: null,
-            cropAspectRatio: null // null = free, or { width: number, height: number }
+            selectedObject: null, // The selected object when exactly one is selected
+            selectedObjects: [], // Every selected object, in selection order
+            marqueeRect: null, // Rubber-band selection box while dragging in select mode
+            editingObject: null, // Text object being edited inline
+            cropAspectRatio: null, // null = free, or { width: number, height: number }
+            cropRect: null // Pending crop box { x, y, w, h }, applied with applyCrop()
         };
 
         // Translation storage: { langCode: { textId: translatedString } }
         this.translations = {};
 
-        // Callback for zoom changes (can be set by consumer)
+        // Object URLs created for inserted image Blobs, revoked by destroy()
+        this.objectURLs = [];
+        this.destroyed = false;
+
+        // Callback for zoom changes (can be set by consumer).
+        // Kept for backwards compatibility; prefer editor.on('zoomChanged', ...)
         this.onZoomChange = null;
 
         this.init();
@@ -43,46 +74,446 @@ export default class CropAnnotate {
     init() {
         this.canvasManager = new CanvasManager(this);
         this.toolManager = new ToolManager(this);
+        this.history = new HistoryManager(this);
+        this.clipboard = new ClipboardManager(this);
+        this.shortcuts = new ShortcutManager(this);
+        // Remember what init() changes on the container so destroy() can put it back
+        const { style } = this.container;
+        this.containerState = {
+            tabIndex: this.container.getAttribute('tabindex'),
+            position: style.position,
+            userSelect: style.userSelect,
+            outline: style.outline,
+            overflow: style.overflow
+        };
+        // Focusable, so clipboard events and shortcuts reach the editor
+        if (this.containerState.tabIndex === null) this.container.tabIndex = 0;
         this.container.style.position = 'relative';
         this.container.style.userSelect = 'none';
         this.container.style.outline = 'none';
+        // The container is the viewport; the canvas is panned inside it
+        this.container.style.overflow = 'hidden';
     }
 
     async loadImage(source) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            img.onload = () => {
-                this.state.image = img;
-                this.state.objects = [];
-                this.state.history = [];
-                this.state.historyIndex = -1;
-                this.canvasManager.resizeToImage(img);
-                this.saveHistory();
-                this.canvasManager.render();
-                resolve(img);
-            };
-            img.onerror = (err) => {
-                console.error('Image load error:', err);
-                reject(err);
-            };
-            img.src = source;
-        });
+        let img;
+        try {
+            img = await loadImageElement(source);
+        } catch (err) {
+            console.error('Image load error:', err);
+            throw err;
+        }
+        assertActive(this, 'loadImage');
+        this.state.image = img;
+        this.state.imageSource = source;
+        this.state.imageSourceWidth = img.naturalWidth || img.width;
+        this.state.imageSourceHeight = img.naturalHeight || img.height;
+        this.state.transforms = [];
+        this.state.adjustments = {};
+        this.state.objects = [];
+        this.setSelectedObject(null);
+        this.state.cropRect = null;
+        this.history.reset();
+        this.canvasManager.resizeToImage(img);
+        this.saveHistory();
+        this.canvasManager.render();
+        this.emit('imageLoaded', { source, width: this.canvasManager.canvas.width, height: this.canvasManager.canvas.height });
+        return img;
     }
 
     setTool(tool) {
+        const previous = this.state.currentTool;
         this.state.currentTool = tool;
-        this.state.selectedObject = null;
+        this.setSelectedObject(null);
+        // A pending crop box only lives while the crop tool is active
+        if (tool !== 'crop') this.state.cropRect = null;
+        this.canvasManager.canvas.style.cursor = '';
         this.canvasManager.render();
+        if (previous !== tool) this.emit('toolChanged', { tool, previous });
     }
 
     setColor(color) {
         this.state.currentColor = color;
-        if (this.state.selectedObject) {
-            this.state.selectedObject.color = color;
-            this.saveHistory();
-            this.canvasManager.render();
+        this.modifySelection(obj => flattenObjects([obj]).reduce((changed, member) => {
+            if (!styleKeysFor(member.type).includes('color')) return changed;
+            member.color = color;
+            return true;
+        }, false));
+    }
+
+    /**
+     * Apply a change to each selected object and record it as one undo step.
+     * @param {Function} apply - Called with each selected object, returns true if it changed it
+     */
+    modifySelection(apply) {
+        const modified = this.state.selectedObjects.filter(obj => apply(obj));
+        if (!modified.length) return;
+        this.saveHistory();
+        this.canvasManager.render();
+        modified.forEach(obj => this.emit('objectModified', { object: cloneObject(obj) }));
+    }
+
+    /**
+     * Set style properties for new objects and for the selected objects.
+     * Properties that don't apply to an object's type are ignored for it.
+     * @param {Object} style - Any of color, width, fontSize, fill, fillOpacity, opacity, dash,
+     *   arrowHead, fontFamily, fontWeight, fontStyle, textAlign, background, padding, radius
+     * @throws {TypeError} If a property is unknown or its value is invalid
+     */
+    setStyle(style) {
+        Object.keys(style).forEach(key => {
+            const problem = checkStyleValue(key, style[key]);
+            if (problem) throw new TypeError(`Style "${key}" ${problem}`);
+        });
+
+        const { color, width, ...rest } = style;
+        if (color !== undefined) this.state.currentColor = color;
+        if (width !== undefined) this.state.currentWidth = width;
+        Object.assign(this.state.currentStyle, rest);
+
+        // Groups pass the style on to each member
+        this.modifySelection(obj => flattenObjects([obj]).reduce((changed, member) => {
+            const changes = pickStyle(member.type, style);
+            Object.assign(member, changes);
+            return changed || Object.keys(changes).length > 0;
+        }, false));
+    }
+
+    /**
+     * Get the style applied to new objects.
+     * @returns {Object}
+     */
+    getStyle() {
+        return {
+            color: this.state.currentColor,
+            width: this.state.currentWidth,
+            fontSize: this.options.fontSize,
+            ...this.state.currentStyle
+        };
+    }
+
+    /**
+     * Set the strength of the blur and pixelate tools: blur radius or block size in image pixels.
+     * Also updates the selected redaction regions, if any.
+     * @param {number} strength - Positive number
+     */
+    setRedactionStrength(strength) {
+        if (!(strength > 0)) return;
+        this.state.redactionStrength = strength;
+        this.modifySelection(obj => flattenObjects([obj]).reduce((changed, member) => {
+            if (member.type !== 'blur' && member.type !== 'pixelate') return changed;
+            member.strength = strength;
+            return true;
+        }, false));
+    }
+
+    /**
+     * Choose how new blur and pixelate regions are drawn.
+     * @param {'rect'|'freehand'} shape - Drag a rectangle or trace a freehand outline
+     */
+    setRedactionShape(shape) {
+        if (shape !== 'rect' && shape !== 'freehand') return;
+        this.state.redactionShape = shape;
+    }
+
+    /**
+     * Select a single object and notify listeners.
+     * @param {Object|null} obj - Object from state.objects, or null to deselect
+     */
+    setSelectedObject(obj) {
+        this.setSelection(obj ? [obj] : []);
+    }
+
+    /**
+     * Replace the selection and notify listeners.
+     * @param {Object[]} objects - Objects from state.objects
+     */
+    setSelection(objects) {
+        const previous = this.state.selectedObject;
+        const previousObjects = this.state.selectedObjects;
+        const next = [...new Set(objects)];
+        this.state.selectedObjects = next;
+        this.state.selectedObject = next.length === 1 ? next[0] : null;
+
+        const changed = next.length !== previousObjects.length || next.some((obj, i) => obj !== previousObjects[i]);
+        if (changed) {
+            this.emit('selectionChanged', {
+                object: this.state.selectedObject ? cloneObject(this.state.selectedObject) : null,
+                previous: previous ? cloneObject(previous) : null,
+                objects: next.map(obj => cloneObject(obj))
+            });
+        }
+    }
+
+    // ========== SELECTION & ARRANGEMENT API ==========
+
+    /**
+     * Get copies of the selected objects.
+     * @returns {Array<Object>}
+     */
+    getSelection() {
+        return this.state.selectedObjects.map(obj => cloneObject(obj));
+    }
+
+    selectAll() {
+        this.setSelection(this.state.objects.slice());
+        this.canvasManager.render();
+    }
+
+    clearSelection() {
+        this.setSelection([]);
+        this.canvasManager.render();
+    }
+
+    /**
+     * Move the selected objects by an offset and record it as one undo step.
+     * @param {number} dx - Horizontal distance in canvas pixels
+     * @param {number} dy - Vertical distance in canvas pixels
+     * @returns {boolean} True if anything was moved
+     */
+    moveSelection(dx, dy) {
+        const selected = this.state.selectedObjects;
+        if (!selected.length) return false;
+        this.modifySelection(obj => {
+            this.canvasManager.translateObject(obj, dx, dy);
+            return true;
+        });
+        return true;
+    }
+
+    /**
+     * Remove the selected objects.
+     * @returns {boolean} True if anything was removed
+     */
+    deleteSelected() {
+        return this.toolManager.deleteSelection();
+    }
+
+    /**
+     * Group the selected objects so they move and restyle as one.
+     * @returns {boolean} True if a group was created (needs at least two selected objects)
+     */
+    group() {
+        return this.toolManager.groupSelection() !== null;
+    }
+
+    /**
+     * Split the selected groups back into their members.
+     * @returns {boolean} True if any group was split
+     */
+    ungroup() {
+        return this.toolManager.ungroupSelection();
+    }
+
+    // ========== OBJECTS API ==========
+    // Every object has a unique id that is kept in documents, so host apps can
+    // refer to it across sessions. Group members can be addressed by id too.
+
+    /**
+     * Get a copy of an object.
+     * @param {string} id
+     * @returns {Object|null} Copy of the object, or null if there is none with this id
+     */
+    getObject(id) {
+        const found = findObject(this.state.objects, id);
+        return found ? cloneObject(found.obj) : null;
+    }
+
+    /**
+     * Add an object on top of the others. Color, width and the style set with
+     * setStyle() fill in what the spec leaves out.
+     * @param {Object} spec - Object as stored in the editor, e.g. { type: 'rect', x, y, w, h, meta }
+     * @returns {Object} Copy of the new object, with its id
+     */
+    addObject(spec) {
+        const obj = withDefaults(this, spec && typeof spec === 'object' ? cloneObject(spec) : spec);
+        validateObject(obj, 'spec', message => new TypeError(`addObject: ${message}`));
+        const existing = collectIds(this.state.objects);
+        const ids = collectIds([obj]);
+        const taken = ids.find((id, i) => existing.includes(id) || ids.indexOf(id) !== i);
+        if (taken) throw new TypeError(`addObject: id "${taken}" is already used`);
+        assignIds([obj]);
+
+        this.state.objects.push(obj);
+        this.saveHistory();
+        this.canvasManager.render();
+        this.emit('objectAdded', { object: cloneObject(obj) });
+        return cloneObject(obj);
+    }
+
+    /**
+     * Change properties of an object as one undo step. Properties set to undefined are removed.
+     * @param {string} id
+     * @param {Object} patch - Properties to change, e.g. { color: '#ff0000', meta: { reviewed: true } }
+     * @returns {Object|null} Copy of the updated object, or null if there is none with this id
+     */
+    updateObject(id, patch) {
+        if (!patch || typeof patch !== 'object') {
+            throw new TypeError('updateObject: patch must be an object');
+        }
+        const found = findObject(this.state.objects, id);
+        if (!found) return null;
+        const { obj } = found;
+        if (['id', 'type', 'children'].some(key => key in patch && patch[key] !== obj[key])) {
+            throw new TypeError('updateObject: id, type and children can not be changed');
+        }
+
+        const updated = cloneObject(obj);
+        Object.keys(patch).forEach(key => {
+            if (patch[key] === undefined) {
+                delete updated[key];
+            } else {
+                updated[key] = cloneObject(patch[key]);
+            }
+        });
+        validateObject(updated, 'object', message => new TypeError(`updateObject: ${message}`));
+
+        // Update in place so the selection and groups keep referring to it, and to its members
+        delete updated.children;
+        Object.keys(obj).forEach(key => { if (key !== 'children') delete obj[key]; });
+        Object.assign(obj, updated);
+        this.saveHistory();
+        this.canvasManager.render();
+        this.emit('objectModified', { object: cloneObject(obj) });
+        return cloneObject(obj);
+    }
+
+    /**
+     * Remove an object. A group left without members is removed with it.
+     * @param {string} id
+     * @returns {boolean} True if the object was found and removed
+     */
+    removeObject(id) {
+        let found = findObject(this.state.objects, id);
+        if (!found) return false;
+        const removed = found.obj;
+        found.list.splice(found.list.indexOf(removed), 1);
+        while (found.group && !found.group.children.length) {
+            found = findObject(this.state.objects, found.group.id);
+            found.list.splice(found.list.indexOf(found.obj), 1);
+        }
+
+        this.setSelection(this.state.selectedObjects.filter(obj => this.state.objects.includes(obj)));
+        this.saveHistory();
+        this.canvasManager.render();
+        this.emit('objectRemoved', { object: cloneObject(removed) });
+        return true;
+    }
+
+    // ========== KEYBOARD API ==========
+
+    /**
+     * Bind a key combination to an action, replacing any existing binding.
+     * @param {string} combo - e.g. 'mod+shift+z' ('mod' is Ctrl, or Cmd on macOS)
+     * @param {string|Function|null} action - Action name, (editor, event) => void, or null to unbind
+     * @throws {TypeError} If the combination or action is unknown
+     */
+    setShortcut(combo, action) {
+        this.shortcuts.set(combo, action);
+    }
+
+    /**
+     * Get the current key bindings.
+     * @returns {Object} Combination -> action name or function
+     */
+    getShortcuts() {
+        return this.shortcuts.getAll();
+    }
+
+    // ========== CLIPBOARD API ==========
+
+    /**
+     * Copy the selected objects to the editor's clipboard.
+     * @returns {boolean} True if anything was copied
+     */
+    copy() {
+        return this.clipboard.copy();
+    }
+
+    /**
+     * Copy the selected objects, then remove them.
+     * @returns {boolean} True if anything was cut
+     */
+    cut() {
+        return this.clipboard.cut();
+    }
+
+    /**
+     * Paste copied objects, offset from the originals, and select them.
+     * @returns {boolean} True if anything was pasted
+     */
+    paste() {
+        return this.clipboard.paste();
+    }
+
+    /**
+     * Duplicate the selected objects without touching the clipboard.
+     * @returns {boolean} True if anything was duplicated
+     */
+    duplicate() {
+        return this.clipboard.duplicate();
+    }
+
+    /**
+     * Write the rendered image to the system clipboard as PNG.
+     * Call it from a user gesture such as a click; browsers refuse otherwise.
+     * @param {Object} [options] - Export options as for exportBlob(); the format is always PNG
+     * @returns {Promise<void>}
+     */
+    async copyToClipboard(options = {}) {
+        if (!navigator.clipboard || !navigator.clipboard.write || typeof ClipboardItem === 'undefined') {
+            throw new Error('Copying images to the clipboard is not supported in this browser');
         }
+        // Passing the Blob promise keeps the write inside the user gesture in Safari
+        const blob = this.exportBlob({ ...options, format: 'image/png' });
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+    }
+
+    /**
+     * Add an image on top of the annotations as a movable, resizable object.
+     * Large images are scaled down to fit half the canvas.
+     * @param {string|Blob} source - URL, data URL, or image Blob/File
+     * @returns {Promise<Object>} Copy of the new image object
+     */
+    async insertImage(source) {
+        let src = source;
+        if (typeof source !== 'string') {
+            src = URL.createObjectURL(source);
+            this.objectURLs.push(src);
+        }
+        const img = await this.canvasManager.loadOverlayImage(src);
+        assertActive(this, 'insertImage');
+        const { width, height } = this.canvasManager.canvas;
+        const naturalWidth = img.naturalWidth || img.width;
+        const naturalHeight = img.naturalHeight || img.height;
+        const scale = Math.min(1, (width / 2) / naturalWidth, (height / 2) / naturalHeight);
+        const w = naturalWidth * scale;
+        const h = naturalHeight * scale;
+
+        const obj = { id: createId(), type: 'image', src, x: (width - w) / 2, y: (height - h) / 2, w, h };
+        this.state.objects.push(obj);
+        if (this.state.currentTool !== 'select') this.setTool('select');
+        this.setSelection([obj]);
+        this.saveHistory();
+        this.canvasManager.render();
+        this.emit('objectAdded', { object: cloneObject(obj) });
+        return cloneObject(obj);
+    }
+
+    bringForward() {
+        return this.toolManager.reorderSelection('forward');
+    }
+
+    sendBackward() {
+        return this.toolManager.reorderSelection('backward');
+    }
+
+    bringToFront() {
+        return this.toolManager.reorderSelection('front');
+    }
+
+    sendToBack() {
+        return this.toolManager.reorderSelection('back');
     }
 
     // Aspect ratio methods for crop tool
@@ -103,6 +534,44 @@ export default class CropAnnotate {
         } else if (ratio && typeof ratio === 'object' && ratio.width && ratio.height) {
             this.state.cropAspectRatio = ratio;
         }
+
+        // Reshape a pending crop box to the new ratio around its centre
+        const { cropRect, cropAspectRatio } = this.state;
+        if (cropRect && cropAspectRatio) {
+            const target = cropAspectRatio.width / cropAspectRatio.height;
+            let w = cropRect.w;
+            let h = cropRect.h;
+            if (w / h > target) w = h * target; else h = w / target;
+            this.state.cropRect = {
+                x: cropRect.x + (cropRect.w - w) / 2,
+                y: cropRect.y + (cropRect.h - h) / 2,
+                w,
+                h
+            };
+            this.canvasManager.render();
+        }
+    }
+
+    /**
+     * Apply the pending crop box drawn with the crop tool.
+     * @returns {boolean} True if a crop was applied
+     */
+    applyCrop() {
+        const rect = this.state.cropRect;
+        if (!rect) return false;
+        this.state.cropRect = null;
+        this.canvasManager.crop(rect);
+        this.canvasManager.render();
+        return true;
+    }
+
+    /**
+     * Discard the pending crop box without changing the image.
+     */
+    cancelCrop() {
+        if (!this.state.cropRect) return;
+        this.state.cropRect = null;
+        this.canvasManager.render();
     }
 
     getCropAspectRatio() {
@@ -134,49 +603,84 @@ export default class CropAnnotate {
         this.canvasManager.resetZoom();
     }
 
-    saveHistory() {
-        // Deep copy objects and image state
-        const snapshot = {
-            objects: JSON.parse(JSON.stringify(this.state.objects)),
-            imageSrc: this.state.image ? this.state.image.src : null,
-            canvasWidth: this.canvasManager.canvas.width,
-            canvasHeight: this.canvasManager.canvas.height
-        };
+    /**
+     * Zoom and pan so the selected objects fill the view.
+     * @param {number} [padding=20] - Space kept around them, in screen pixels
+     * @returns {boolean} True if anything was selected
+     */
+    zoomToSelection(padding = 20) {
+        const { selectedObjects } = this.state;
+        if (!selectedObjects.length) return false;
+        this.canvasManager.zoomToRect(this.canvasManager.getObjectsBounds(selectedObjects), padding);
+        return true;
+    }
+
+    /**
+     * Centre the view on a canvas point, as far as the canvas edges allow.
+     * @param {number} x - Canvas x in pixels
+     * @param {number} y - Canvas y in pixels
+     */
+    panTo(x, y) {
+        this.canvasManager.panTo(x, y);
+    }
 
-        this.state.history = this.state.history.slice(0, this.state.historyIndex + 1);
-        this.state.history.push(snapshot);
-        this.state.historyIndex++;
+    /**
+     * Get the visible part of the canvas.
+     * @returns {{x: number, y: number, width: number, height: number, zoom: number}} Area in canvas pixels and zoom level
+     */
+    getViewport() {
+        return this.canvasManager.getViewport();
+    }
+
+    saveHistory() {
+        this.history.push();
+        this.emitHistoryChanged();
     }
 
     undo() {
-        if (this.state.historyIndex > 0) {
-            this.state.historyIndex--;
+        if (this.history.undo()) {
             this.restoreFromHistory();
+            this.emitHistoryChanged();
         }
     }
 
     redo() {
-        if (this.state.historyIndex < this.state.history.length - 1) {
-            this.state.historyIndex++;
+        if (this.history.redo()) {
             this.restoreFromHistory();
+            this.emitHistoryChanged();
         }
     }
 
+    /**
+     * Drop all undo/redo steps, keeping the current state as the new starting point.
+     */
+    clearHistory() {
+        this.history.clear();
+        this.emitHistoryChanged();
+    }
+
+    emitHistoryChanged() {
+        this.emit('historyChanged', {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            index: this.history.index,
+            length: this.history.entries.length
+        });
+    }
+
     canUndo() {
-        return this.state.historyIndex > 0;
+        return this.history.canUndo();
     }
 
     canRedo() {
-        return this.state.historyIndex < this.state.history.length - 1;
+        return this.history.canRedo();
     }
 
     restoreFromHistory() {
-        const snapshot = this.state.history[this.state.historyIndex];
-        this.state.objects = JSON.parse(JSON.stringify(snapshot.objects));
-        this.state.selectedObject = null;
-
-        // Use the canvas manager's restoreState for proper async handling
-        this.canvasManager.restoreState(snapshot);
+        this.setSelectedObject(null);
+        this.state.cropRect = null;
+        this.history.restore();
+        this.canvasManager.render();
     }
 
     flip(direction) {
@@ -187,8 +691,212 @@ export default class CropAnnotate {
         this.canvasManager.rotate(direction);
     }
 
-    export(format = 'image/png', quality = 0.92) {
-        return this.canvasManager.canvas.toDataURL(format, quality);
+    /**
+     * Rotate the image by any angle, e.g. to straighten a photo. Annotations turn with it.
+     * @param {number} degrees - Clockwise angle; negative turns counter-clockwise
+     * @param {Object} [options]
+     * @param {'crop'|'expand'} [options.mode='crop'] - Crop to the largest rectangle without empty
+     *   corners, or grow the canvas to keep the whole image
+     * @param {string|null} [options.fill=null] - Colour of the corners uncovered by 'expand', null for transparent
+     */
+    rotateBy(degrees, options = {}) {
+        const { mode = 'crop', fill = null } = options;
+        if (typeof degrees !== 'number' || !Number.isFinite(degrees)) {
+            throw new TypeError('rotateBy: degrees must be a number');
+        }
+        if (mode !== 'crop' && mode !== 'expand') {
+            throw new TypeError('rotateBy: mode must be "crop" or "expand"');
+        }
+        this.canvasManager.rotateBy(degrees, mode, fill);
+    }
+
+    /**
+     * Resample the image to new dimensions. Large reductions are done in steps for a
+     * smooth result. Annotations, stroke widths and font sizes scale with the image.
+     * @param {Object} size - { width, height } in pixels; with only one of them the aspect
+     *   ratio is kept. Or { scale }, e.g. 0.5 for 50%.
+     */
+    resizeImage(size) {
+        const { width: currentWidth, height: currentHeight } = this.canvasManager.canvas;
+        const isSize = value => value === undefined || (typeof value === 'number' && value > 0 && Number.isFinite(value));
+        if (!size || !isSize(size.width) || !isSize(size.height) || !isSize(size.scale) ||
+            (size.width === undefined && size.height === undefined && size.scale === undefined)) {
+            throw new TypeError('resizeImage: expected positive { width, height } or { scale }');
+        }
+        let { width, height } = size;
+        if (size.scale !== undefined) {
+            width = currentWidth * size.scale;
+            height = currentHeight * size.scale;
+        } else if (width === undefined) {
+            width = currentWidth * height / currentHeight;
+        } else if (height === undefined) {
+            height = currentHeight * width / currentWidth;
+        }
+        this.canvasManager.resize(width, height);
+    }
+
+    /**
+     * Add space around the image, e.g. a border or room for notes on one side.
+     * Annotations keep their place on the image.
+     * @param {number|Object} sides - Pixels to add on every side, or { top, right, bottom, left }
+     * @param {Object} [options]
+     * @param {string|null} [options.fill=null] - Colour of the new area, null for transparent
+     */
+    extendCanvas(sides, options = {}) {
+        const amounts = typeof sides === 'number'
+            ? { top: sides, right: sides, bottom: sides, left: sides }
+            : { ...sides };
+        const valid = (typeof sides === 'number' || (sides && typeof sides === 'object')) &&
+            Object.values(amounts).every(value => typeof value === 'number' && value >= 0 && Number.isFinite(value));
+        if (!valid) {
+            throw new TypeError('extendCanvas: sides must be a non-negative number or { top, right, bottom, left }');
+        }
+        this.canvasManager.extend(amounts, options.fill || null);
+    }
+
+    // ========== ADJUSTMENTS API ==========
+
+    /**
+     * Adjust the colours and sharpness of the base image. Annotations are not affected.
+     * Values are merged into the current adjustments; 0 resets one. The image pixels
+     * are kept, so adjustments can be changed or undone at any time.
+     * @param {Object} values - brightness, contrast, saturation, exposure (-100 to 100),
+     *   grayscale, invert, sharpen (0 to 100)
+     * @param {Object} [options]
+     * @param {boolean} [options.preview=false] - Only show the values, e.g. while a slider
+     *   is dragged; the next adjust() without preview records them as one undo step
+     * @returns {Promise<void>} Resolves once sharpening is done and drawn; it runs in the
+     *   background, a slice of the image at a time
+     */
+    adjust(values, options = {}) {
+        if (!values || typeof values !== 'object') {
+            throw new TypeError('adjust: expected an object of adjustment values');
+        }
+        Object.keys(values).forEach(key => {
+            const problem = checkAdjustmentValue(key, values[key]);
+            if (problem) throw new TypeError(`adjust: ${key} ${problem}`);
+        });
+
+        const merged = { ...this.state.adjustments, ...values };
+        const next = {};
+        ADJUSTMENT_KEYS.forEach(key => {
+            if (merged[key]) next[key] = merged[key];
+        });
+        this.state.adjustments = next;
+        // Previews sharpen at screen resolution; the committed values get the full-resolution pass
+        const { canvasManager } = this;
+        canvasManager.render({ adjustmentPreview: !!options.preview });
+        const ready = canvasManager.prepareAdjustedImage(options.preview ? canvasManager.getPreviewScale() : 1);
+        if (options.preview) return ready;
+
+        // Compare with the last recorded step, which a preview may have moved away from
+        const current = this.history.current();
+        if (current && JSON.stringify(current.adjustments) === JSON.stringify(next)) return ready;
+        this.saveHistory();
+        this.emit('adjustmentsChanged', { adjustments: { ...next } });
+        return ready;
+    }
+
+    /**
+     * Get the current image adjustments. Adjustments at 0 are left out.
+     * @returns {Object}
+     */
+    getAdjustments() {
+        return { ...this.state.adjustments };
+    }
+
+    /**
+     * Remove all image adjustments.
+     * @returns {Promise<void>}
+     */
+    resetAdjustments() {
+        const zeros = {};
+        ADJUSTMENT_KEYS.forEach(key => { zeros[key] = 0; });
+        return this.adjust(zeros);
+    }
+
+    /**
+     * Export the image with its annotations as a data URL. It returns at once, so sharpening
+     * that is still running in the background is finished on the spot; exportBlob() waits for it.
+     * @param {string|Object} [format='image/png'] - MIME type, or an options object as for exportBlob()
+     * @param {number} [quality=0.92] - Image quality (for jpeg/webp)
+     * @returns {string} Data URL
+     */
+    export(format, quality) {
+        const options = normalizeExportOptions(format, quality);
+        return encodeDataURL(this.renderExportCanvas(options), options);
+    }
+
+    /**
+     * Export the image with its annotations as a Blob, e.g. for uploads.
+     * @param {Object} [options]
+     * @param {string} [options.format='image/png'] - MIME type
+     * @param {number} [options.quality=0.92] - Image quality (for jpeg/webp)
+     * @param {number} [options.scale=1] - Output scale relative to the image size
+     * @param {number} [options.maxWidth] - Shrink to fit this width
+     * @param {number} [options.maxHeight] - Shrink to fit this height
+     * @param {number} [options.targetBytes] - Lower jpeg/webp quality until the file fits this size
+     * @param {string} [options.background] - Fill behind transparent pixels (default white for jpeg)
+     * @param {string} [options.lang] - Apply the translations of this language
+     * @returns {Promise<Blob>}
+     */
+    async exportBlob(options = {}) {
+        const normalized = normalizeExportOptions(options);
+        await this.canvasManager.prepareAdjustedImage();
+        return encodeBlob(this.renderExportCanvas(normalized, options.lang), normalized);
+    }
+
+    /**
+     * Export the image as a File. The format is taken from the file extension
+     * unless options.format is given.
+     * @param {string} name - File name, e.g. 'screenshot.jpg'
+     * @param {Object} [options] - Same as exportBlob()
+     * @returns {Promise<File>}
+     */
+    async exportFile(name, options = {}) {
+        const format = options.format || formatFromFileName(name) || undefined;
+        const blob = await this.exportBlob({ ...options, format });
+        return new File([blob], name, { type: blob.type });
+    }
+
+    /**
+     * Render the committed document offscreen and copy it at export size.
+     * Selection, crop box, in-progress drawing and inline editing never reach the output.
+     * @param {Object} options - Normalized export options
+     * @param {string} [langCode] - Swap text annotations for this language's translations
+     * @returns {HTMLCanvasElement}
+     */
+    renderExportCanvas(options, langCode) {
+        return withTranslations(this, langCode, () =>
+            createExportCanvas(this.canvasManager.createDocumentCanvas(), options));
+    }
+
+    /**
+     * Export the document as SVG: the image as an embedded <image>, with blur and
+     * pixelate regions and the annotations beneath them drawn into it, and the other
+     * annotations as SVG shapes and selectable text.
+     * @param {Object} [options]
+     * @param {string} [options.lang] - Apply the translations of this language
+     * @returns {string} SVG markup
+     */
+    exportSVG(options = {}) {
+        return withTranslations(this, options.lang, () => formatSVG(this.canvasManager, getVectorScene(this)));
+    }
+
+    /**
+     * Export the document as a single-page PDF, built the same way as exportSVG().
+     * The page is as many points as the image is pixels wide and high. Texts with
+     * characters the standard PDF fonts don't have are drawn into the image.
+     * @param {Object} [options]
+     * @param {string} [options.lang] - Apply the translations of this language
+     * @returns {Promise<Blob>}
+     */
+    async exportPDF(options = {}) {
+        await this.canvasManager.prepareAdjustedImage();
+        // The page is laid out before formatPDF returns, so the translations are still in place
+        const pdf = withTranslations(this, options.lang, () => formatPDF(this.canvasManager,
+            getVectorScene(this, obj => obj.type === 'text' && !canWritePDFText(obj.text))));
+        return pdf.then(bytes => new Blob([bytes], { type: 'application/pdf' }));
     }
 
     // Get current image dimensions
@@ -199,31 +907,205 @@ export default class CropAnnotate {
         };
     }
 
+    // ========== DOCUMENT API ==========
+
+    /**
+     * Serialize the editing session to a JSON document.
+     * The document references the original image source and the transforms
+     * applied to it, so it can be reopened with loadJSON() and edited further.
+     * @returns {Object} Versioned document
+     */
+    toJSON() {
+        return serializeDocument(this);
+    }
+
+    /**
+     * Restore an editing session from a document created by toJSON().
+     * Older document versions are migrated; malformed documents are rejected
+     * before anything on the canvas is changed.
+     * @param {Object|string} doc - Document object or JSON string
+     * @returns {Promise<void>}
+     */
+    async loadJSON(doc) {
+        const parsed = parseDocument(doc);
+        const transforms = parsed.transforms || [];
+
+        let image = null;
+        let sourceWidth = 0;
+        let sourceHeight = 0;
+        let width = parsed.canvas.width;
+        let height = parsed.canvas.height;
+
+        if (parsed.image) {
+            const source = await loadImageElement(parsed.image.src);
+            sourceWidth = width = source.naturalWidth || source.width;
+            sourceHeight = height = source.naturalHeight || source.height;
+
+            // Replay transforms on the original pixels
+            let replayed = source;
+            transforms.forEach(op => {
+                replayed = this.canvasManager.renderImageTransform(replayed, op, width, height);
+                width = replayed.width;
+                height = replayed.height;
+            });
+
+            if (width !== parsed.canvas.width || height !== parsed.canvas.height) {
+                throw new Error(`Invalid document: image resolves to ${width}x${height} but canvas is ${parsed.canvas.width}x${parsed.canvas.height}`);
+            }
+            image = replayed;
+        }
+
+        // Image objects must be loaded before they can be drawn
+        await Promise.all(flattenObjects(parsed.objects)
+            .filter(obj => obj.type === 'image')
+            .map(obj => this.canvasManager.loadOverlayImage(obj.src)));
+        assertActive(this, 'loadJSON');
+
+        this.state.image = image;
+        this.state.imageSource = parsed.image ? parsed.image.src : null;
+        this.state.imageSourceWidth = sourceWidth;
+        this.state.imageSourceHeight = sourceHeight;
+        this.state.transforms = transforms.map(op => ({ ...op }));
+        this.state.adjustments = { ...parsed.adjustments };
+        this.state.objects = JSON.parse(JSON.stringify(parsed.objects));
+        assignIds(this.state.objects);
+        this.setSelectedObject(null);
+        this.state.activeObject = null;
+        this.state.cropRect = null;
+        this.translations = JSON.parse(JSON.stringify(parsed.translations || {}));
+
+        this.history.reset();
+        this.canvasManager.resizeToImage({ width, height });
+        this.saveHistory();
+        this.canvasManager.render();
+        this.emit('imageLoaded', { source: this.state.imageSource, width, height });
+    }
+
+    // ========== ANNOTATION DATASETS API ==========
+
+    /**
+     * Set the label of the selected rectangles, circles and pencil strokes, and of
+     * new ones. The label is the category they are exported with.
+     * @param {string|null} label - Label, or null to remove it
+     */
+    setLabel(label) {
+        if (label !== null && typeof label !== 'string') {
+            throw new TypeError('setLabel: label must be a string or null');
+        }
+        this.state.currentLabel = label || null;
+        this.modifySelection(obj => flattenObjects([obj]).reduce((changed, member) => {
+            if (!ANNOTATION_TYPES.includes(member.type) || member.label === (label || undefined)) return changed;
+            if (label) {
+                member.label = label;
+            } else {
+                delete member.label;
+            }
+            return true;
+        }, false));
+    }
+
+    /**
+     * Get the label given to new annotations.
+     * @returns {string|null}
+     */
+    getLabel() {
+        return this.state.currentLabel;
+    }
+
+    /**
+     * Export the rectangles, circles and pencil strokes as training data.
+     * Coordinates are in pixels of the image as it was loaded, so crops, rotations
+     * and resizes made in the editor are undone. Regions are cut at the image edges.
+     * @param {'coco'|'voc'|'yolo'} format - COCO JSON, Pascal VOC XML or YOLO text
+     * @param {Object} [options]
+     * @param {string} [options.fileName] - Image file name; defaults to the name in the image URL
+     * @param {string[]} [options.classes] - Class order for category ids and YOLO indices;
+     *   other labels follow in alphabetical order
+     * @returns {string}
+     */
+    exportAnnotations(format, options = {}) {
+        checkAnnotationOptions('exportAnnotations', format, options);
+        const mapping = this.canvasManager.getSourceMapping();
+        const regions = flattenObjects(this.state.objects)
+            .filter(obj => ANNOTATION_TYPES.includes(obj.type))
+            .map(obj => ({
+                label: obj.label || DEFAULT_LABEL,
+                polygon: this.canvasManager.getObjectOutline(obj).map(mapping.toSource)
+            }));
+        return formatAnnotations(format, regions, getAnnotationImage(this, mapping, options), options.classes);
+    }
+
+    /**
+     * Add labelled boxes from a dataset file as rectangles, e.g. to review predictions.
+     * The boxes are placed on the image as it was loaded, following any crop, rotation
+     * or resize made since. All of them are added as one undo step.
+     * @param {'coco'|'voc'|'yolo'} format - COCO JSON, Pascal VOC XML or YOLO text
+     * @param {string|Object} data - File contents; COCO may also be a parsed object
+     * @param {Object} [options]
+     * @param {string} [options.fileName] - Image to take from a COCO file with several images
+     * @param {string[]} [options.classes] - YOLO class names by index
+     * @returns {Array} Copies of the new rectangles
+     */
+    importAnnotations(format, data, options = {}) {
+        checkAnnotationOptions('importAnnotations', format, options);
+        const mapping = this.canvasManager.getSourceMapping();
+        const boxes = parseAnnotations(format, data, getAnnotationImage(this, mapping, options), options.classes);
+        const objects = boxes.map(box => ({
+            id: createId(),
+            ...placeBox(box.bbox, mapping.fromSource),
+            color: this.state.currentColor,
+            width: this.state.currentWidth,
+            ...pickStyle('rect', this.state.currentStyle),
+            label: box.label
+        }));
+        if (!objects.length) return [];
+
+        this.state.objects.push(...objects);
+        this.saveHistory();
+        this.canvasManager.render();
+        objects.forEach(obj => this.emit('objectAdded', { object: cloneObject(obj) }));
+        return objects.map(cloneObject);
+    }
+
+    // ========== STEP MARKERS API ==========
+
+    /**
+     * Get all step markers in order, with the labels they show.
+     * Markers are counted per sequence in stacking order.
+     * @returns {Array} Array of step marker objects
+     */
+    getStepAnnotations() {
+        return flattenObjects(this.state.objects)
+            .filter(obj => obj.type === 'step')
+            .map(obj => ({
+                id: obj.id,
+                label: this.canvasManager.getStepLabel(obj),
+                sequence: obj.sequence || 'number',
+                x: obj.x,
+                y: obj.y,
+                color: obj.color,
+                size: obj.size || DEFAULT_STEP_SIZE
+            }));
+    }
+
     // ========== TEXT ANNOTATIONS API ==========
 
     /**
      * Get all text annotations as JSON.
-     * Each text object gets a unique ID for translation mapping.
+     * The object ID of each text is the key for its translations.
      * @returns {Array} Array of text annotation objects
      */
     getTextAnnotations() {
-        let textIdCounter = 0;
-        return this.state.objects
+        return flattenObjects(this.state.objects)
             .filter(obj => obj.type === 'text')
-            .map(obj => {
-                // Generate stable ID based on position if not already assigned
-                if (!obj._textId) {
-                    obj._textId = `text_${textIdCounter++}_${Math.round(obj.x)}_${Math.round(obj.y)}`;
-                }
-                return {
-                    id: obj._textId,
-                    text: obj.text,
-                    x: obj.x,
-                    y: obj.y,
-                    color: obj.color,
-                    fontSize: obj.fontSize
-                };
-            });
+            .map(obj => ({
+                id: obj.id,
+                text: obj.text,
+                x: obj.x,
+                y: obj.y,
+                color: obj.color,
+                fontSize: obj.fontSize
+            }));
     }
 
     /**
@@ -264,54 +1146,85 @@ export default class CropAnnotate {
         }
     }
 
+    /**
+     * Export the text annotations for translators. Each text is keyed by its object ID,
+     * with the object's meta.comment and max width as notes.
+     * @param {'xliff'|'po'|'i18next'} format - XLIFF 2.0, gettext PO or i18next JSON
+     * @param {string} [langCode] - Target language; its current translations are included.
+     *   Without it, PO gives a template and i18next the source texts.
+     * @param {Object} [options]
+     * @param {string} [options.sourceLanguage='en'] - Language of the texts on the canvas
+     * @returns {string}
+     */
+    exportTranslations(format, langCode, options = {}) {
+        checkTranslationFormat('exportTranslations', format);
+        const { sourceLanguage = 'en' } = options;
+        const translations = (langCode && this.translations[langCode]) || {};
+        const units = flattenObjects(this.state.objects)
+            .filter(obj => obj.type === 'text')
+            .map(obj => {
+                const notes = [];
+                if (obj.meta && typeof obj.meta.comment === 'string' && obj.meta.comment) notes.push(obj.meta.comment);
+                if (obj.maxWidth) {
+                    notes.push(`Max width ${Math.round(obj.maxWidth)}px at ${Math.round(obj.fontSize || 24)}px font size`);
+                }
+                const unit = { id: obj.id, source: obj.text, notes };
+                if (translations[obj.id] !== undefined) unit.target = translations[obj.id];
+                return unit;
+            });
+        return formatTranslations(format, units, { sourceLanguage, targetLanguage: langCode || null });
+    }
+
+    /**
+     * Load translations from a translation file, replacing those of the same language.
+     * Entries keyed by a source text instead of an object ID apply to every text that reads the same.
+     * @param {'xliff'|'po'|'i18next'} format - XLIFF 2.0, gettext PO or i18next JSON
+     * @param {string|Object} data - File contents; i18next may also be a parsed object
+     * @param {string} [langCode] - Language of the translations; XLIFF and PO files name it themselves
+     * @returns {string} The language code the translations were stored under
+     */
+    importTranslations(format, data, langCode) {
+        checkTranslationFormat('importTranslations', format);
+        const parsed = parseTranslations(format, data);
+        const language = langCode || parsed.language;
+        if (!language) {
+            throw new TypeError(`importTranslations: the ${format} file names no language, pass a langCode`);
+        }
+        const texts = flattenObjects(this.state.objects).filter(obj => obj.type === 'text');
+        const translations = {};
+        Object.keys(parsed.translations).forEach(key => {
+            const matches = texts.some(obj => obj.id === key) ? [key]
+                : texts.filter(obj => obj.text === key).map(obj => obj.id);
+            (matches.length ? matches : [key]).forEach(id => { translations[id] = parsed.translations[key]; });
+        });
+        this.setTranslations(language, translations);
+        return language;
+    }
+
     /**
      * Export image with translations applied for a specific language.
      * This temporarily replaces text annotations with translated versions,
      * exports, then restores original text.
      * @param {string} langCode - Language code for export
-     * @param {string} [format='image/png'] - Image format
-     * @param {number} [quality=0.92] - Image quality (for jpeg)
+     * @param {string|Object} [format='image/png'] - MIME type, or an options object as for exportBlob()
+     * @param {number} [quality=0.92] - Image quality (for jpeg/webp)
      * @returns {string|null} Data URL of exported image, or null if translations not available
      */
-    exportWithTranslations(langCode, format = 'image/png', quality = 0.92) {
-        const translations = this.translations[langCode];
-        if (!translations) {
+    exportWithTranslations(langCode, format, quality) {
+        if (!this.translations[langCode]) {
             return null;
         }
-
-        // Store original texts
-        const originalTexts = new Map();
-        this.state.objects.forEach(obj => {
-            if (obj.type === 'text' && obj._textId && translations[obj._textId]) {
-                originalTexts.set(obj, obj.text);
-                obj.text = translations[obj._textId];
-            }
-        });
-
-        // Render with translations
-        this.canvasManager.render();
-
-        // Export
-        const dataUrl = this.canvasManager.canvas.toDataURL(format, quality);
-
-        // Restore original texts
-        originalTexts.forEach((originalText, obj) => {
-            obj.text = originalText;
-        });
-
-        // Re-render with original texts
-        this.canvasManager.render();
-
-        return dataUrl;
+        const options = normalizeExportOptions(format, quality);
+        return encodeDataURL(this.renderExportCanvas(options, langCode), options);
     }
 
     /**
      * Export all versions: original and all translations.
-     * @param {string} [format='image/png'] - Image format
-     * @param {number} [quality=0.92] - Image quality
+     * @param {string|Object} [format='image/png'] - MIME type, or an options object as for exportBlob()
+     * @param {number} [quality=0.92] - Image quality (for jpeg/webp)
      * @returns {Object} Object with 'original' and each langCode as keys
      */
-    exportAllVersions(format = 'image/png', quality = 0.92) {
+    exportAllVersions(format, quality) {
         const result = {
             original: this.export(format, quality)
         };
@@ -326,10 +1239,165 @@ export default class CropAnnotate {
         return result;
     }
 
-    // Destroy instance and clean up
+    /**
+     * Remove the editor from the page: detach every listener, discard any open
+     * text edit, drop images and history, and restore the container.
+     * Any later method call throws. Calling destroy() again does nothing.
+     */
     destroy() {
-        if (this.canvasManager && this.canvasManager.canvas) {
-            this.canvasManager.canvas.remove();
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        this.toolManager.destroy();
+        this.canvasManager.destroy();
+        this.history.reset();
+        this.clipboard.objects = [];
+        this.objectURLs.forEach(url => URL.revokeObjectURL(url));
+        this.objectURLs = [];
+
+        const { tabIndex, position, userSelect, outline, overflow } = this.containerState;
+        if (tabIndex === null) this.container.removeAttribute('tabindex');
+        this.container.style.position = position;
+        this.container.style.userSelect = userSelect;
+        this.container.style.outline = outline;
+        this.container.style.overflow = overflow;
+
+        Object.assign(this.state, {
+            image: null,
+            imageSource: null,
+            objects: [],
+            activeObject: null,
+            selectedObject: null,
+            selectedObjects: [],
+            editingObject: null,
+            isEditingText: false,
+            cropRect: null
+        });
+        this.translations = {};
+        this.eventHandlers = {};
+        this.onZoomChange = null;
+
+        // Shadow every method so that using the editor afterwards fails loudly
+        [CropAnnotate.prototype, EventEmitter.prototype].forEach(proto => {
+            Object.getOwnPropertyNames(proto).forEach(name => {
+                if (name === 'constructor' || name === 'destroy' || typeof proto[name] !== 'function') return;
+                this[name] = () => assertActive(this, name);
+            });
+        });
+    }
+}
+
+function checkTranslationFormat(method, format) {
+    if (!TRANSLATION_FORMATS.includes(format)) {
+        throw new TypeError(`${method}: format must be one of ${TRANSLATION_FORMATS.map(f => `"${f}"`).join(', ')}`);
+    }
+}
+
+function checkAnnotationOptions(method, format, options) {
+    if (!ANNOTATION_FORMATS.includes(format)) {
+        throw new TypeError(`${method}: format must be one of ${ANNOTATION_FORMATS.map(f => `"${f}"`).join(', ')}`);
+    }
+    if (options.classes !== undefined &&
+        (!Array.isArray(options.classes) || !options.classes.every(name => typeof name === 'string'))) {
+        throw new TypeError(`${method}: classes must be an array of strings`);
+    }
+}
+
+// The image annotations refer to: the loaded image, before any transforms
+function getAnnotationImage(editor, mapping, options) {
+    let fileName = options.fileName;
+    const source = editor.state.imageSource;
+    if (!fileName && typeof source === 'string' && !/^(data|blob):/.test(source)) {
+        fileName = decodeURIComponent(source.split(/[?#]/)[0].split('/').pop());
+    }
+    return { fileName: fileName || 'image', width: mapping.width, height: mapping.height };
+}
+
+// A rectangle covering an image box on the canvas; rotations since loading turn it
+function placeBox(bbox, map) {
+    const corners = [
+        { x: bbox.x, y: bbox.y },
+        { x: bbox.x + bbox.w, y: bbox.y },
+        { x: bbox.x + bbox.w, y: bbox.y + bbox.h }
+    ].map(map);
+    const angle = Math.atan2(corners[1].y - corners[0].y, corners[1].x - corners[0].x);
+    const quarter = angle / (Math.PI / 2);
+    if (Math.abs(quarter - Math.round(quarter)) < 1e-9) {
+        const x = Math.min(corners[0].x, corners[2].x);
+        const y = Math.min(corners[0].y, corners[2].y);
+        return { type: 'rect', x, y, w: Math.abs(corners[2].x - corners[0].x), h: Math.abs(corners[2].y - corners[0].y) };
+    }
+    const w = Math.hypot(corners[1].x - corners[0].x, corners[1].y - corners[0].y);
+    const h = Math.hypot(corners[2].x - corners[1].x, corners[2].y - corners[1].y);
+    const center = { x: (corners[0].x + corners[2].x) / 2, y: (corners[0].y + corners[2].y) / 2 };
+    return { type: 'rect', x: center.x - w / 2, y: center.y - h / 2, w, h, angle };
+}
+
+// Find an object by id, with the list that holds it and the group it is a member of
+function findObject(objects, id, group = null) {
+    for (const obj of objects) {
+        if (obj.id === id) return { obj, list: objects, group };
+        if (obj.type === 'group') {
+            const found = findObject(obj.children, id, obj);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+// Fill in the properties an object would get if it were drawn with the current settings
+function withDefaults(editor, spec) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return spec;
+    const { state, options } = editor;
+    const defaults = {};
+    if (spec.type !== 'image' && spec.type !== 'group') defaults.color = state.currentColor;
+    if (!['text', 'step', 'image', 'group'].includes(spec.type)) defaults.width = state.currentWidth;
+    if (spec.type === 'text') defaults.fontSize = options.fontSize;
+    if (spec.type === 'step') defaults.size = DEFAULT_STEP_SIZE;
+    if (spec.type === 'blur' || spec.type === 'pixelate') defaults.strength = state.redactionStrength;
+    const obj = { ...defaults, ...pickStyle(spec.type, state.currentStyle), ...spec };
+    if (Array.isArray(spec.children)) obj.children = spec.children.map(child => withDefaults(editor, child));
+    return obj;
+}
+
+// Swap text annotations for a language's translations while callback runs
+function withTranslations(editor, langCode, callback) {
+    const translations = langCode ? editor.translations[langCode] || {} : {};
+    const originalTexts = new Map();
+    flattenObjects(editor.state.objects).forEach(obj => {
+        // An empty translation is one too: the text is left out in that language
+        if (obj.type === 'text' && translations[obj.id] !== undefined) {
+            originalTexts.set(obj, obj.text);
+            obj.text = translations[obj.id];
         }
+    });
+    try {
+        return callback();
+    } finally {
+        originalTexts.forEach((originalText, obj) => {
+            obj.text = originalText;
+        });
+    }
+}
+
+// The image with the redactions and what they cover drawn into it, and the objects to draw over it as vectors.
+// isRaster picks more objects to draw into the image, ones the format can't write.
+function getVectorScene(editor, isRaster) {
+    const { canvasManager, state } = editor;
+    const rasterized = getRasterObjects(canvasManager, state.objects, isRaster);
+    const raster = flattenObjects(state.objects).filter(obj => rasterized.has(obj));
+    return {
+        width: canvasManager.canvas.width,
+        height: canvasManager.canvas.height,
+        image: state.image || raster.length ? canvasManager.createDocumentCanvas(raster) : null,
+        objects: state.objects,
+        rasterized
+    };
+}
+
+// Throw if the editor was destroyed, e.g. while an image was still loading
+function assertActive(editor, method) {
+    if (editor.destroyed) {
+        throw new Error(`Cannot call ${method}() on a destroyed CropAnnotate instance`);
     }
 }
@@ -0,0 +1,73 @@
+/**
+ * EventEmitter - Minimal on/off/once event emitter the editor extends.
+ */
+export default class EventEmitter {
+    constructor() {
+        // { eventName: [handler, ...] }
+        this.eventHandlers = {};
+    }
+
+    /**
+     * Register a handler for an event.
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {this}
+     */
+    on(event, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError(`Handler for "${event}" must be a function`);
+        }
+        (this.eventHandlers[event] = this.eventHandlers[event] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Remove a handler, or every handler for the event if none is given.
+     * @param {string} event - Event name
+     * @param {Function} [handler] - Handler passed to on() or once()
+     * @returns {this}
+     */
+    off(event, handler) {
+        const handlers = this.eventHandlers[event];
+        if (!handlers) return this;
+        if (!handler) {
+            delete this.eventHandlers[event];
+            return this;
+        }
+        this.eventHandlers[event] = handlers.filter(h => h !== handler && h.originalHandler !== handler);
+        return this;
+    }
+
+    /**
+     * Register a handler that is removed after its first call.
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {this}
+     */
+    once(event, handler) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            handler.call(this, payload);
+        };
+        wrapper.originalHandler = handler;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Call every handler registered for an event.
+     * A throwing handler is reported and does not stop the others.
+     * @param {string} event - Event name
+     * @param {Object} [payload] - Event data
+     */
+    emit(event, payload) {
+        const handlers = this.eventHandlers[event];
+        if (!handlers) return;
+        handlers.slice().forEach(handler => {
+            try {
+                handler.call(this, payload);
+            } catch (err) {
+                console.error(`Error in "${event}" handler:`, err);
+            }
+        });
+    }
+}
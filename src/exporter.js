@@ -0,0 +1,158 @@
+/**
+ * Exporter - Encodes the rendered image as data URLs or Blobs, optionally
+ * scaled, limited to a byte size or flattened onto a background colour.
+ */
+
+import { createCanvas, stepDownImage } from './utils.js';
+
+const DEFAULT_QUALITY = 0.92;
+const LOSSY_FORMATS = ['image/jpeg', 'image/webp'];
+// Formats without an alpha channel; transparent pixels would come out black
+const OPAQUE_FORMATS = ['image/jpeg'];
+const MIN_QUALITY = 0.05;
+const QUALITY_SEARCH_STEPS = 7;
+
+const FORMATS_BY_EXTENSION = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+
+/**
+ * Fill in defaults for export options.
+ * Also accepts the legacy (format, quality) arguments.
+ * @param {Object|string} [formatOrOptions] - Options object or MIME type
+ * @param {number} [quality] - Quality when a MIME type is passed
+ * @returns {Object} Complete options
+ */
+export function normalizeExportOptions(formatOrOptions, quality) {
+    const options = formatOrOptions !== null && typeof formatOrOptions === 'object'
+        ? formatOrOptions
+        : { format: formatOrOptions, quality };
+    const format = options.format || 'image/png';
+    return {
+        format,
+        quality: options.quality !== undefined ? options.quality : DEFAULT_QUALITY,
+        scale: options.scale > 0 ? options.scale : 1,
+        maxWidth: options.maxWidth > 0 ? options.maxWidth : Infinity,
+        maxHeight: options.maxHeight > 0 ? options.maxHeight : Infinity,
+        targetBytes: options.targetBytes > 0 ? options.targetBytes : null,
+        background: options.background !== undefined
+            ? options.background
+            : OPAQUE_FORMATS.includes(format) ? '#ffffff' : null
+    };
+}
+
+/**
+ * Guess the MIME type from a file name's extension.
+ * @returns {string|null}
+ */
+export function formatFromFileName(name) {
+    const match = /\.([a-z0-9]+)$/i.exec(name || '');
+    return match ? FORMATS_BY_EXTENSION[match[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Copy a canvas at the size and background requested by the options.
+ * @param {HTMLCanvasElement} source - Fully rendered canvas
+ * @param {Object} options - Normalized export options
+ * @returns {HTMLCanvasElement} New canvas, independent of the source
+ */
+export function createExportCanvas(source, options) {
+    const scale = Math.min(
+        options.scale,
+        options.maxWidth / source.width,
+        options.maxHeight / source.height
+    );
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+
+    const current = stepDownImage(source, source.width, source.height, width, height);
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (options.background) {
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, width, height);
+    }
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(current, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Encode a canvas as a data URL.
+ * With targetBytes, JPEG/WebP quality is lowered until the image fits.
+ * @returns {string}
+ */
+export function encodeDataURL(canvas, options) {
+    const encode = quality => canvas.toDataURL(options.format, quality);
+    if (!needsQualitySearch(options)) return encode(options.quality);
+
+    let low = MIN_QUALITY;
+    let high = options.quality;
+    let smallest = encode(high);
+    if (dataURLBytes(smallest) <= options.targetBytes) return smallest;
+    let fitting = null;
+    for (let i = 0; i < QUALITY_SEARCH_STEPS; i++) {
+        const quality = (low + high) / 2;
+        const dataUrl = encode(quality);
+        if (dataURLBytes(dataUrl) <= options.targetBytes) {
+            fitting = dataUrl;
+            low = quality;
+        } else {
+            high = quality;
+        }
+        if (dataUrl.length < smallest.length) smallest = dataUrl;
+    }
+    return fitting || smallest;
+}
+
+/**
+ * Encode a canvas as a Blob without blocking on a data URL.
+ * With targetBytes, JPEG/WebP quality is lowered until the image fits.
+ * @returns {Promise<Blob>}
+ */
+export async function encodeBlob(canvas, options) {
+    const encode = quality => canvasToBlob(canvas, options.format, quality);
+    if (!needsQualitySearch(options)) return encode(options.quality);
+
+    let low = MIN_QUALITY;
+    let high = options.quality;
+    let smallest = await encode(high);
+    if (smallest.size <= options.targetBytes) return smallest;
+    let fitting = null;
+    for (let i = 0; i < QUALITY_SEARCH_STEPS; i++) {
+        const quality = (low + high) / 2;
+        const blob = await encode(quality);
+        if (blob.size <= options.targetBytes) {
+            fitting = blob;
+            low = quality;
+        } else {
+            high = quality;
+        }
+        if (blob.size < smallest.size) smallest = blob;
+    }
+    return fitting || smallest;
+}
+
+function canvasToBlob(canvas, format, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) resolve(blob);
+            else reject(new Error(`Export failed: could not encode the image as ${format}`));
+        }, format, quality);
+    });
+}
+
+function needsQualitySearch(options) {
+    return options.targetBytes !== null && LOSSY_FORMATS.includes(options.format);
+}
+
+// Size of the decoded payload, which is what an upload of the image costs
+function dataURLBytes(dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.floor(base64.length * 3 / 4) - padding;
+}
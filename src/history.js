@@ -0,0 +1,113 @@
+/**
+ * HistoryManager - Undo/redo stack that shares unchanged data between steps.
+ *
+ * Entries reference the base image bitmap instead of copying it, so steps that
+ * don't touch the image all point at the same bitmap. Objects are stored as
+ * JSON records that are reused while an object is unchanged, so a step only
+ * costs memory for the objects it actually modified.
+ */
+export default class HistoryManager {
+    constructor(editor) {
+        this.editor = editor;
+        this.entries = [];
+        this.index = -1;
+        this.maxSize = Math.max(1, editor.options.maxHistory);
+        // Live object -> record last stored for it
+        this.records = new WeakMap();
+    }
+
+    /**
+     * Record the current editor state as a new step, discarding any redo steps.
+     */
+    push() {
+        const { state, canvasManager } = this.editor;
+        const entry = {
+            objects: state.objects.map(obj => this.recordFor(obj)),
+            image: state.image,
+            transforms: state.transforms.slice(),
+            adjustments: { ...state.adjustments },
+            canvasWidth: canvasManager.canvas.width,
+            canvasHeight: canvasManager.canvas.height
+        };
+
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push(entry);
+        if (this.entries.length > this.maxSize) {
+            this.entries.splice(0, this.entries.length - this.maxSize);
+        }
+        this.index = this.entries.length - 1;
+    }
+
+    // Reuse the previous record for an object whose serialized form hasn't changed
+    recordFor(obj) {
+        const json = JSON.stringify(obj);
+        const previous = this.records.get(obj);
+        if (previous && previous.json === json) return previous;
+        const record = { json };
+        this.records.set(obj, record);
+        return record;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+        this.index--;
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+        this.index++;
+        return true;
+    }
+
+    /**
+     * The current step, or null before the first push.
+     */
+    current() {
+        return this.entries[this.index] || null;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Drop every step except the current one, which becomes the new baseline.
+     */
+    clear() {
+        const current = this.entries[this.index];
+        this.entries = current ? [current] : [];
+        this.index = this.entries.length - 1;
+    }
+
+    /**
+     * Forget all steps, e.g. when a new image is loaded.
+     */
+    reset() {
+        this.entries = [];
+        this.index = -1;
+    }
+
+    /**
+     * Write the current step back into the editor state.
+     */
+    restore() {
+        const entry = this.entries[this.index];
+        if (!entry) return;
+        const { state, canvasManager } = this.editor;
+
+        state.objects = entry.objects.map(record => {
+            const obj = JSON.parse(record.json);
+            this.records.set(obj, record);
+            return obj;
+        });
+        state.transforms = entry.transforms.slice();
+        state.adjustments = { ...entry.adjustments };
+        state.image = entry.image;
+        canvasManager.setCanvasSize(entry.canvasWidth, entry.canvasHeight);
+    }
+}
@@ -0,0 +1,331 @@
+/**
+ * Serializer - Converts an editing session to and from a versioned JSON document.
+ */
+
+import { STYLE_KEYS, checkStyleValue } from './styles.js';
+import { checkAdjustmentValue } from './adjustments.js';
+
+export const DOCUMENT_VERSION = 2;
+
+const OBJECT_TYPES = ['pencil', 'rect', 'circle', 'arrow', 'text', 'highlight', 'blur', 'pixelate', 'image', 'step', 'group'];
+const TRANSFORM_TYPES = ['crop', 'flip', 'rotate', 'rotateBy', 'resize', 'extend'];
+
+/**
+ * Upgrade steps keyed by the version they upgrade from.
+ * Each step receives a document of version N and returns one of version N + 1.
+ */
+const migrations = {
+    // Version 2 gives objects an id. Text objects keep the id translations were keyed on.
+    1: doc => ({ ...doc, version: 2, objects: Array.isArray(doc.objects) ? migrateTextIds(doc.objects) : doc.objects })
+};
+
+function migrateTextIds(objects) {
+    return objects.map(obj => {
+        if (!isPlainObject(obj)) return obj;
+        const { _textId, ...rest } = obj;
+        if (typeof _textId === 'string' && _textId) rest.id = _textId;
+        if (Array.isArray(rest.children)) rest.children = migrateTextIds(rest.children);
+        return rest;
+    });
+}
+
+/**
+ * Build a JSON document describing the editor session.
+ * @param {Object} editor - CropAnnotate instance
+ * @returns {Object} Plain JSON-compatible document
+ */
+export function serializeDocument(editor) {
+    const { state, canvasManager } = editor;
+    return {
+        version: DOCUMENT_VERSION,
+        image: state.imageSource ? {
+            src: state.imageSource,
+            width: state.imageSourceWidth,
+            height: state.imageSourceHeight
+        } : null,
+        canvas: {
+            width: canvasManager.canvas.width,
+            height: canvasManager.canvas.height
+        },
+        transforms: JSON.parse(JSON.stringify(state.transforms)),
+        adjustments: { ...state.adjustments },
+        objects: serializeObjects(state.objects, canvasManager),
+        translations: JSON.parse(JSON.stringify(editor.translations))
+    };
+}
+
+// Deep copy objects, inlining image objects whose source only exists in this page
+function serializeObjects(objects, canvasManager) {
+    return objects.map(obj => {
+        const copy = JSON.parse(JSON.stringify(obj));
+        if (copy.type === 'image') copy.src = canvasManager.getPortableImageSource(copy.src);
+        if (copy.type === 'group') copy.children = serializeObjects(obj.children, canvasManager);
+        return copy;
+    });
+}
+
+/**
+ * Parse, migrate and validate a document.
+ * @param {Object|string} input - Document object or JSON string
+ * @returns {Object} Document at the current version
+ * @throws {Error} If the document is malformed
+ */
+export function parseDocument(input) {
+    let doc = input;
+    if (typeof doc === 'string') {
+        try {
+            doc = JSON.parse(doc);
+        } catch (err) {
+            throw new Error(`Invalid document: not valid JSON (${err.message})`);
+        }
+    }
+    if (!isPlainObject(doc)) {
+        throw new Error('Invalid document: expected an object');
+    }
+    doc = migrateDocument(doc);
+    validateDocument(doc);
+    return doc;
+}
+
+/**
+ * Run migrations until the document reaches DOCUMENT_VERSION.
+ */
+export function migrateDocument(doc) {
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new Error('Invalid document: missing or invalid "version"');
+    }
+    if (doc.version > DOCUMENT_VERSION) {
+        throw new Error(`Unsupported document version ${doc.version} (this build supports up to ${DOCUMENT_VERSION})`);
+    }
+    let migrated = doc;
+    while (migrated.version < DOCUMENT_VERSION) {
+        const step = migrations[migrated.version];
+        if (!step) {
+            throw new Error(`No migration available from document version ${migrated.version}`);
+        }
+        migrated = step(migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Validate a document at the current version.
+ * @throws {Error} Describing the first problem found
+ */
+export function validateDocument(doc) {
+    if (doc.image !== null && doc.image !== undefined) {
+        if (!isPlainObject(doc.image) || typeof doc.image.src !== 'string' || !doc.image.src) {
+            throw new Error('Invalid document: "image.src" must be a non-empty string');
+        }
+    }
+
+    if (!isPlainObject(doc.canvas) || !isPositive(doc.canvas.width) || !isPositive(doc.canvas.height)) {
+        throw new Error('Invalid document: "canvas" must have positive "width" and "height"');
+    }
+
+    const transforms = doc.transforms || [];
+    if (!Array.isArray(transforms)) {
+        throw new Error('Invalid document: "transforms" must be an array');
+    }
+    transforms.forEach((op, i) => validateTransform(op, `transforms[${i}]`));
+
+    if (doc.adjustments !== undefined) {
+        if (!isPlainObject(doc.adjustments)) {
+            throw new Error('Invalid document: "adjustments" must be an object');
+        }
+        Object.keys(doc.adjustments).forEach(key => {
+            const problem = checkAdjustmentValue(key, doc.adjustments[key]);
+            if (problem) throw new Error(`Invalid document: adjustments.${key} ${problem}`);
+        });
+    }
+
+    if (!Array.isArray(doc.objects)) {
+        throw new Error('Invalid document: "objects" must be an array');
+    }
+    doc.objects.forEach((obj, i) => validateObject(obj, `objects[${i}]`));
+    const ids = collectIds(doc.objects);
+    const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (duplicate) {
+        throw new Error(`Invalid document: object id "${duplicate}" is used more than once`);
+    }
+
+    if (doc.translations !== undefined) {
+        if (!isPlainObject(doc.translations)) {
+            throw new Error('Invalid document: "translations" must be an object');
+        }
+        Object.keys(doc.translations).forEach(lang => {
+            const map = doc.translations[lang];
+            if (!isPlainObject(map) || Object.values(map).some(v => typeof v !== 'string')) {
+                throw new Error(`Invalid document: translations for "${lang}" must map text IDs to strings`);
+            }
+        });
+    }
+}
+
+function validateTransform(op, path) {
+    if (!isPlainObject(op) || !TRANSFORM_TYPES.includes(op.type)) {
+        throw new Error(`Invalid document: ${path} has unknown transform type`);
+    }
+    if (op.type === 'crop') {
+        if (!isPositive(op.w) || !isPositive(op.h) || !isFiniteNumber(op.x) || !isFiniteNumber(op.y)) {
+            throw new Error(`Invalid document: ${path} crop needs numeric "x", "y" and positive "w", "h"`);
+        }
+    } else if (op.type === 'flip' && !['horizontal', 'vertical'].includes(op.direction)) {
+        throw new Error(`Invalid document: ${path} flip direction must be "horizontal" or "vertical"`);
+    } else if (op.type === 'rotate' && !['left', 'right'].includes(op.direction)) {
+        throw new Error(`Invalid document: ${path} rotate direction must be "left" or "right"`);
+    } else if (op.type === 'rotateBy') {
+        if (!isFiniteNumber(op.angle)) {
+            throw new Error(`Invalid document: ${path} rotateBy needs a numeric "angle"`);
+        }
+        if (!['crop', 'expand'].includes(op.mode)) {
+            throw new Error(`Invalid document: ${path} rotateBy mode must be "crop" or "expand"`);
+        }
+        if (op.fill !== undefined && typeof op.fill !== 'string') {
+            throw new Error(`Invalid document: ${path} rotateBy fill must be a colour string`);
+        }
+    } else if (op.type === 'resize') {
+        if (!Number.isInteger(op.w) || !Number.isInteger(op.h) || op.w < 1 || op.h < 1) {
+            throw new Error(`Invalid document: ${path} resize needs positive integer "w" and "h"`);
+        }
+    } else if (op.type === 'extend') {
+        if (!['top', 'right', 'bottom', 'left'].every(side => Number.isInteger(op[side]) && op[side] >= 0)) {
+            throw new Error(`Invalid document: ${path} extend needs non-negative integer "top", "right", "bottom" and "left"`);
+        }
+        if (op.fill !== undefined && typeof op.fill !== 'string') {
+            throw new Error(`Invalid document: ${path} extend fill must be a colour string`);
+        }
+    }
+}
+
+/**
+ * Validate a single object, e.g. one added through the API.
+ * @param {Object} obj
+ * @param {string} path - Name of the object in error messages
+ * @param {Function} [fail] - Creates the error to throw from a description of the problem
+ */
+export function validateObject(obj, path, fail = documentError) {
+    if (!isPlainObject(obj)) {
+        throw fail(`${path} must be an object`);
+    }
+    if (!OBJECT_TYPES.includes(obj.type)) {
+        throw fail(`${path} has unsupported type "${obj.type}"`);
+    }
+    if (obj.color !== undefined && typeof obj.color !== 'string') {
+        throw fail(`${path}.color must be a string`);
+    }
+    if (obj.width !== undefined && !isFiniteNumber(obj.width)) {
+        throw fail(`${path}.width must be a number`);
+    }
+    if (obj.angle !== undefined && !isFiniteNumber(obj.angle)) {
+        throw fail(`${path}.angle must be a number`);
+    }
+    if (obj.id !== undefined && (typeof obj.id !== 'string' || !obj.id)) {
+        throw fail(`${path}.id must be a non-empty string`);
+    }
+    if (obj.label !== undefined && typeof obj.label !== 'string') {
+        throw fail(`${path}.label must be a string`);
+    }
+    if (obj.meta !== undefined && !isPlainObject(obj.meta)) {
+        throw fail(`${path}.meta must be an object`);
+    }
+    STYLE_KEYS.forEach(key => {
+        if (obj[key] === undefined) return;
+        const problem = checkStyleValue(key, obj[key]);
+        if (problem) throw fail(`${path}.${key} ${problem}`);
+    });
+
+    switch (obj.type) {
+        case 'group':
+            if (!Array.isArray(obj.children) || obj.children.length === 0) {
+                throw fail(`${path}.children must be a non-empty array`);
+            }
+            obj.children.forEach((child, i) => validateObject(child, `${path}.children[${i}]`, fail));
+            break;
+        case 'pencil':
+            validatePoints(obj, path, fail);
+            break;
+        case 'blur':
+        case 'pixelate':
+            if (obj.strength !== undefined && !isPositive(obj.strength)) {
+                throw fail(`${path}.strength must be a positive number`);
+            }
+            if (obj.shape !== undefined && !['rect', 'freehand'].includes(obj.shape)) {
+                throw fail(`${path}.shape must be "rect" or "freehand"`);
+            }
+            if (obj.shape === 'freehand') {
+                validatePoints(obj, path, fail);
+            } else if (!['x', 'y', 'w', 'h'].every(key => isFiniteNumber(obj[key]))) {
+                throw fail(`${path} needs numeric "x", "y", "w" and "h"`);
+            }
+            break;
+        case 'image':
+            if (typeof obj.src !== 'string' || !obj.src) {
+                throw fail(`${path}.src must be a non-empty string`);
+            }
+            if (!['x', 'y', 'w', 'h'].every(key => isFiniteNumber(obj[key]))) {
+                throw fail(`${path} needs numeric "x", "y", "w" and "h"`);
+            }
+            break;
+        case 'step':
+            if (!isFiniteNumber(obj.x) || !isFiniteNumber(obj.y)) {
+                throw fail(`${path} needs numeric "x" and "y"`);
+            }
+            break;
+        case 'text':
+            if (typeof obj.text !== 'string') {
+                throw fail(`${path}.text must be a string`);
+            }
+            if (!isFiniteNumber(obj.x) || !isFiniteNumber(obj.y)) {
+                throw fail(`${path} needs numeric "x" and "y"`);
+            }
+            if (obj.fontSize !== undefined && !isPositive(obj.fontSize)) {
+                throw fail(`${path}.fontSize must be a positive number`);
+            }
+            // Text boxes have a size; point text has none
+            if ((obj.w !== undefined || obj.h !== undefined) && !(isPositive(obj.w) && isPositive(obj.h))) {
+                throw fail(`${path}.w and ${path}.h must both be positive numbers`);
+            }
+            break;
+        default:
+            if (!['x', 'y', 'w', 'h'].every(key => isFiniteNumber(obj[key]))) {
+                throw fail(`${path} needs numeric "x", "y", "w" and "h"`);
+            }
+    }
+}
+
+function validatePoints(obj, path, fail) {
+    if (!Array.isArray(obj.points) || obj.points.length === 0 ||
+        obj.points.some(p => !isPlainObject(p) || !isFiniteNumber(p.x) || !isFiniteNumber(p.y) ||
+            (p.pressure !== undefined && !isFiniteNumber(p.pressure)))) {
+        throw fail(`${path}.points must be a non-empty array of { x, y, pressure? }`);
+    }
+}
+
+function documentError(message) {
+    return new Error(`Invalid document: ${message}`);
+}
+
+/**
+ * List the ids of objects, group members and groups.
+ * @param {Array<Object>} objects
+ * @returns {string[]}
+ */
+export function collectIds(objects) {
+    return objects.flatMap(obj => [
+        ...(obj.id ? [obj.id] : []),
+        ...(obj.type === 'group' ? collectIds(obj.children) : [])
+    ]);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPositive(value) {
+    return isFiniteNumber(value) && value > 0;
+}
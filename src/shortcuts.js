@@ -0,0 +1,200 @@
+/**
+ * ShortcutManager - Maps key combinations to editor actions.
+ *
+ * Keys are only handled while the editor container has focus, so inputs elsewhere
+ * on the page and other editor instances are never affected.
+ *
+ * Combinations are written like 'mod+shift+z': modifiers first, then the key as
+ * reported by KeyboardEvent.key. 'mod' is Ctrl, or Cmd on macOS.
+ */
+
+// Distance arrow keys move the selection, in canvas pixels; Shift moves further
+const NUDGE = 1;
+const NUDGE_FAR = 10;
+
+const nudgeStep = e => (e && e.shiftKey ? NUDGE_FAR : NUDGE);
+
+/** Actions that shortcuts can trigger, by name. Returning false lets the key through. */
+const ACTIONS = {
+    'tool:select': editor => editor.setTool('select'),
+    'tool:crop': editor => editor.setTool('crop'),
+    'tool:pencil': editor => editor.setTool('pencil'),
+    'tool:arrow': editor => editor.setTool('arrow'),
+    'tool:rect': editor => editor.setTool('rect'),
+    'tool:circle': editor => editor.setTool('circle'),
+    'tool:text': editor => editor.setTool('text'),
+    'tool:highlight': editor => editor.setTool('highlight'),
+    'tool:blur': editor => editor.setTool('blur'),
+    'tool:pixelate': editor => editor.setTool('pixelate'),
+    'tool:step': editor => editor.setTool('step'),
+    'tool:straighten': editor => editor.setTool('straighten'),
+    undo: editor => editor.undo(),
+    redo: editor => editor.redo(),
+    zoomIn: editor => editor.zoomIn(),
+    zoomOut: editor => editor.zoomOut(),
+    zoomToFit: editor => editor.zoomToFit(),
+    resetZoom: editor => editor.resetZoom(),
+    zoomToSelection: editor => editor.zoomToSelection(),
+    delete: editor => editor.deleteSelected(),
+    duplicate: editor => editor.duplicate(),
+    selectAll: editor => editor.selectAll(),
+    group: editor => editor.group(),
+    ungroup: editor => editor.ungroup(),
+    bringForward: editor => editor.bringForward(),
+    sendBackward: editor => editor.sendBackward(),
+    bringToFront: editor => editor.bringToFront(),
+    sendToBack: editor => editor.sendToBack(),
+    nudgeLeft: (editor, e) => editor.moveSelection(-nudgeStep(e), 0),
+    nudgeRight: (editor, e) => editor.moveSelection(nudgeStep(e), 0),
+    nudgeUp: (editor, e) => editor.moveSelection(0, -nudgeStep(e)),
+    nudgeDown: (editor, e) => editor.moveSelection(0, nudgeStep(e)),
+    confirm: editor => editor.applyCrop(),
+    // Escape discards a pending crop first, then deselects
+    cancel: editor => {
+        if (editor.state.cropRect) {
+            editor.cancelCrop();
+            return true;
+        }
+        if (!editor.state.selectedObjects.length) return false;
+        editor.clearSelection();
+        return true;
+    }
+};
+
+export const DEFAULT_SHORTCUTS = {
+    'v': 'tool:select',
+    'c': 'tool:crop',
+    'p': 'tool:pencil',
+    'a': 'tool:arrow',
+    'r': 'tool:rect',
+    'o': 'tool:circle',
+    't': 'tool:text',
+    'h': 'tool:highlight',
+    's': 'tool:step',
+    'mod+z': 'undo',
+    'mod+shift+z': 'redo',
+    'mod+y': 'redo',
+    '+': 'zoomIn',
+    '=': 'zoomIn',
+    '-': 'zoomOut',
+    '0': 'zoomToFit',
+    'mod+=': 'zoomIn',
+    'mod++': 'zoomIn',
+    'mod+-': 'zoomOut',
+    'mod+0': 'zoomToFit',
+    'mod+1': 'resetZoom',
+    'mod+2': 'zoomToSelection',
+    'delete': 'delete',
+    'backspace': 'delete',
+    'mod+d': 'duplicate',
+    'mod+a': 'selectAll',
+    'mod+g': 'group',
+    'mod+shift+g': 'ungroup',
+    'mod+]': 'bringForward',
+    'mod+[': 'sendBackward',
+    'mod+shift+]': 'bringToFront',
+    'mod+shift+[': 'sendToBack',
+    'arrowleft': 'nudgeLeft',
+    'shift+arrowleft': 'nudgeLeft',
+    'arrowright': 'nudgeRight',
+    'shift+arrowright': 'nudgeRight',
+    'arrowup': 'nudgeUp',
+    'shift+arrowup': 'nudgeUp',
+    'arrowdown': 'nudgeDown',
+    'shift+arrowdown': 'nudgeDown',
+    'enter': 'confirm',
+    'escape': 'cancel'
+};
+
+const MODIFIERS = ['mod', 'alt', 'shift'];
+const MODIFIER_ALIASES = { ctrl: 'mod', control: 'mod', cmd: 'mod', command: 'mod', meta: 'mod', option: 'alt' };
+const KEY_ALIASES = {
+    esc: 'escape', del: 'delete', return: 'enter', space: ' ', plus: '+', minus: '-',
+    left: 'arrowleft', right: 'arrowright', up: 'arrowup', down: 'arrowdown'
+};
+
+/**
+ * Bring a combination to its canonical form, e.g. 'Shift+Ctrl+Z' -> 'mod+shift+z'.
+ * @param {string} combo
+ * @returns {string}
+ */
+export function normalizeShortcut(combo) {
+    const text = String(combo).trim().toLowerCase();
+    // A trailing '+' after a separator (or on its own) is the plus key
+    const parts = text === '+' ? ['+'] : text.endsWith('++')
+        ? [...text.slice(0, -2).split('+'), '+']
+        : text.split('+');
+    const key = parts.pop();
+    const modifiers = new Set(parts.map(part => MODIFIER_ALIASES[part] || part));
+    modifiers.forEach(mod => {
+        if (!MODIFIERS.includes(mod)) throw new TypeError(`Unknown modifier "${mod}" in shortcut "${combo}"`);
+    });
+    if (!key) throw new TypeError(`Shortcut "${combo}" has no key`);
+    return [...MODIFIERS.filter(mod => modifiers.has(mod)), KEY_ALIASES[key] || key].join('+');
+}
+
+export default class ShortcutManager {
+    constructor(editor) {
+        this.editor = editor;
+        // Canonical combination -> action name or function
+        this.shortcuts = {};
+        const overrides = editor.options.shortcuts;
+        if (overrides === false) return;
+        Object.entries({ ...DEFAULT_SHORTCUTS, ...overrides }).forEach(([combo, action]) => {
+            this.set(combo, action);
+        });
+    }
+
+    /**
+     * Bind a combination to an action name or function, or unbind it with null.
+     * @param {string} combo - e.g. 'mod+shift+z'
+     * @param {string|Function|null} action - Action name, (editor, event) => void, or null
+     */
+    set(combo, action) {
+        const key = normalizeShortcut(combo);
+        if (action === null) {
+            delete this.shortcuts[key];
+            return;
+        }
+        if (typeof action !== 'function' && !Object.prototype.hasOwnProperty.call(ACTIONS, action)) {
+            throw new TypeError(`Unknown shortcut action "${action}"`);
+        }
+        this.shortcuts[key] = action;
+    }
+
+    /**
+     * Get the current bindings.
+     * @returns {Object} Canonical combination -> action
+     */
+    getAll() {
+        return { ...this.shortcuts };
+    }
+
+    /**
+     * Build the combination for a key event.
+     */
+    comboFor(e) {
+        let key = e.key.toLowerCase();
+        // Shift is part of typing symbols like '+', so it only counts for letters and named keys
+        const shift = e.shiftKey && (key.length > 1 || key !== key.toUpperCase());
+        const parts = [];
+        if (e.ctrlKey || e.metaKey) parts.push('mod');
+        if (e.altKey) parts.push('alt');
+        if (shift) parts.push('shift');
+        parts.push(key);
+        return parts.join('+');
+    }
+
+    handleKeyDown(e) {
+        const { state } = this.editor;
+        const target = e.target;
+        const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+            target.tagName === 'SELECT' || target.isContentEditable);
+        if (isTyping || state.isEditingText || e.isComposing) return;
+
+        const action = this.shortcuts[this.comboFor(e)];
+        if (!action) return;
+        const run = typeof action === 'function' ? action : ACTIONS[action];
+        if (run(this.editor, e) !== false) e.preventDefault();
+    }
+}
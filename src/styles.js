@@ -0,0 +1,115 @@
+/**
+ * Styles - Per-object style properties: which object types use them and which values are valid.
+ */
+
+const SHAPE_STYLE = ['color', 'width', 'fill', 'fillOpacity', 'dash', 'opacity'];
+
+const STYLE_KEYS_BY_TYPE = {
+    rect: SHAPE_STYLE,
+    circle: SHAPE_STYLE,
+    arrow: ['color', 'width', 'dash', 'arrowHead', 'opacity'],
+    pencil: ['color', 'width', 'dash', 'opacity'],
+    highlight: ['color', 'opacity'],
+    image: ['opacity'],
+    step: ['color', 'size', 'textColor', 'sequence', 'opacity'],
+    text: ['color', 'fontSize', 'fontFamily', 'fontWeight', 'fontStyle', 'textAlign',
+        'background', 'padding', 'radius', 'maxWidth', 'fit', 'verticalAlign', 'overflow', 'opacity']
+};
+
+/** Style properties beyond the basic color, width and fontSize */
+export const STYLE_KEYS = ['fill', 'fillOpacity', 'opacity', 'dash', 'arrowHead', 'fontFamily',
+    'fontWeight', 'fontStyle', 'textAlign', 'background', 'padding', 'radius', 'maxWidth', 'fit',
+    'verticalAlign', 'overflow', 'size', 'textColor', 'sequence'];
+
+/** Diameter of step markers without a size, in canvas pixels */
+export const DEFAULT_STEP_SIZE = 32;
+
+const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+const ARROW_HEADS = ['none', 'start', 'end', 'both'];
+const FONT_STYLES = ['normal', 'italic'];
+const TEXT_ALIGNS = ['left', 'center', 'right'];
+const STEP_SEQUENCES = ['number', 'letter'];
+const TEXT_FITS = ['wrap', 'shrink'];
+const VERTICAL_ALIGNS = ['top', 'middle', 'bottom'];
+const TEXT_OVERFLOWS = ['visible', 'clip', 'shrink'];
+
+/**
+ * Style properties used by an object type.
+ * @param {string} type - Object type
+ * @returns {string[]}
+ */
+export function styleKeysFor(type) {
+    return STYLE_KEYS_BY_TYPE[type] || [];
+}
+
+/**
+ * Pick the properties of a style that apply to an object type.
+ * @param {string} type - Object type
+ * @param {Object} style - Style properties
+ * @returns {Object}
+ */
+export function pickStyle(type, style) {
+    const picked = {};
+    styleKeysFor(type).forEach(key => {
+        if (style[key] !== undefined) picked[key] = style[key];
+    });
+    return picked;
+}
+
+/**
+ * Check a single style value.
+ * @returns {string|null} What the value must be, or null if it is valid
+ */
+export function checkStyleValue(key, value) {
+    switch (key) {
+        case 'color':
+        case 'textColor':
+            return typeof value === 'string' ? null : 'must be a colour string';
+        case 'fill':
+        case 'background':
+            return value === null || typeof value === 'string' ? null : 'must be a colour string or null';
+        case 'width':
+        case 'padding':
+        case 'radius':
+            return isFiniteNumber(value) && value >= 0 ? null : 'must be a non-negative number';
+        case 'fontSize':
+        case 'size':
+            return isFiniteNumber(value) && value > 0 ? null : 'must be a positive number';
+        case 'maxWidth':
+            return value === null || (isFiniteNumber(value) && value > 0) ? null : 'must be a positive number or null';
+        case 'fillOpacity':
+        case 'opacity':
+            return isFiniteNumber(value) && value >= 0 && value <= 1 ? null : 'must be a number from 0 to 1';
+        case 'fontFamily':
+            return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+        case 'fontWeight':
+            return value === 'normal' || value === 'bold' || (isFiniteNumber(value) && value >= 1 && value <= 1000)
+                ? null : 'must be "normal", "bold" or a number from 1 to 1000';
+        case 'dash':
+            return oneOf(value, DASH_STYLES);
+        case 'arrowHead':
+            return oneOf(value, ARROW_HEADS);
+        case 'fontStyle':
+            return oneOf(value, FONT_STYLES);
+        case 'textAlign':
+            return oneOf(value, TEXT_ALIGNS);
+        case 'sequence':
+            return oneOf(value, STEP_SEQUENCES);
+        case 'fit':
+            return oneOf(value, TEXT_FITS);
+        case 'verticalAlign':
+            return oneOf(value, VERTICAL_ALIGNS);
+        case 'overflow':
+            return oneOf(value, TEXT_OVERFLOWS);
+        default:
+            return 'is not a style property';
+    }
+}
+
+function oneOf(value, allowed) {
+    return allowed.includes(value) ? null : `must be one of ${allowed.map(v => `"${v}"`).join(', ')}`;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
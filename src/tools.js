@@ -1,3 +1,33 @@
+import { cloneObject, createId, isPathObject, isTextBox, normalizeRect, pointInPolygon, rectsIntersect, rotatePoint } from './utils.js';
+import { DEFAULT_STEP_SIZE, pickStyle } from './styles.js';
+import { ANNOTATION_TYPES } from './annotations.js';
+
+const REDACTION_TYPES = ['blur', 'pixelate'];
+
+// Smallest size a handle resize can shrink an object to, in canvas pixels
+const MIN_RESIZE = 5;
+
+// Smallest crop box accepted, matching CanvasManager.crop
+const MIN_CROP = 10;
+
+// A marquee smaller than this is treated as a plain click on empty space
+const MIN_MARQUEE = 3;
+
+// Shortest straighten line that is applied, in canvas pixels
+const MIN_STRAIGHTEN = 10;
+
+// Smallest text box that is created from a drag; anything less places point text
+const MIN_TEXT_BOX = 10;
+
+const HANDLE_CURSORS = {
+    nw: 'nwse-resize', se: 'nwse-resize',
+    ne: 'nesw-resize', sw: 'nesw-resize',
+    n: 'ns-resize', s: 'ns-resize',
+    e: 'ew-resize', w: 'ew-resize',
+    start: 'crosshair', end: 'crosshair',
+    rotate: 'grab'
+};
+
 /**
  * ToolManager - Manages tools, object selection, and manipulation.
  */
@@ -5,41 +35,112 @@ export default class ToolManager {
     constructor(editor) {
         this.editor = editor;
         this.startPos = null;
-        this.dragOffset = null;
         this.isDragging = false;
+        // Whether the current move or handle drag actually changed the selection
+        this.dragMoved = false;
+        // Copies of the selected objects being moved, to undo an interrupted drag
+        this.dragStart = null;
+        // Last pointer position of a move, objects are shifted by the difference
+        this.lastDragPos = null;
+        // Active rubber-band selection: { start, base } where base is the selection kept with Shift
+        this.marquee = null;
+        // Active resize/rotate/endpoint drag: { handle, start, bounds, center, angle, grab }
+        this.handleDrag = null;
+        // Active move or resize of the pending crop box: { handle, startRect, startPos }
+        this.cropDrag = null;
+        // Floating textarea of an inline text edit: { textarea, timer }
+        this.textEdit = null;
     }
 
-    onMouseDown(pos, e) {
+    /**
+     * @param {{x: number, y: number}} pos - Pointer position in canvas pixels
+     * @param {PointerEvent|MouseEvent} e - Original event
+     * @param {number} [clickCount] - Consecutive clicks/taps, 2 for a double-click
+     */
+    onMouseDown(pos, e, clickCount = e.detail) {
         const { currentTool, objects } = this.editor.state;
 
         if (currentTool === 'select') {
+            const { selectedObject, selectedObjects } = this.editor.state;
+            const handle = selectedObject ? this.findHandleAt(pos, selectedObject) : null;
+            if (handle) {
+                this.beginHandleDrag(selectedObject, handle, pos);
+                return;
+            }
+
             const clickedObj = this.findObjectAt(pos);
-            this.editor.state.selectedObject = clickedObj;
-            if (clickedObj) {
-                this.isDragging = true;
-                this.dragOffset = { x: pos.x - clickedObj.x, y: pos.y - clickedObj.y };
-                if (clickedObj.type === 'pencil') {
-                    this.dragOffset.points = clickedObj.points.map(p => ({ x: pos.x - p.x, y: pos.y - p.y }));
-                }
+            if (!clickedObj) {
+                // Empty space starts a marquee; Shift adds its objects to the current selection
+                const base = e.shiftKey ? selectedObjects.slice() : [];
+                if (!e.shiftKey) this.editor.setSelection([]);
+                this.marquee = { start: pos, base };
+                this.editor.state.marqueeRect = { x: pos.x, y: pos.y, w: 0, h: 0 };
+                this.editor.canvasManager.render();
+                return;
+            }
 
-                // Double click for text editing
-                if (clickedObj.type === 'text' && e.detail === 2) {
-                    this.startInlineTextEdit(clickedObj);
+            if (e.shiftKey) {
+                // Shift-click toggles the object in or out of the selection
+                if (selectedObjects.includes(clickedObj)) {
+                    this.editor.setSelection(selectedObjects.filter(obj => obj !== clickedObj));
+                    this.editor.canvasManager.render();
+                    return;
                 }
+                this.editor.setSelection([...selectedObjects, clickedObj]);
+            } else if (!selectedObjects.includes(clickedObj)) {
+                this.editor.setSelection([clickedObj]);
+            }
+
+            // Drag moves the whole selection
+            this.isDragging = true;
+            this.dragMoved = false;
+            this.dragStart = this.editor.state.selectedObjects.map(obj => cloneObject(obj));
+            this.lastDragPos = pos;
+
+            // Double click for text editing
+            if (clickedObj.type === 'text' && clickCount === 2 && this.editor.state.selectedObject === clickedObj) {
+                this.startInlineTextEdit(clickedObj);
             }
             this.editor.canvasManager.render();
             return;
         }
 
+        if (currentTool === 'crop' && this.editor.state.cropRect) {
+            const cropRect = this.editor.state.cropRect;
+            const handle = this.findCropHandleAt(pos, cropRect);
+            const inside = pos.x >= cropRect.x && pos.x <= cropRect.x + cropRect.w &&
+                           pos.y >= cropRect.y && pos.y <= cropRect.y + cropRect.h;
+
+            if (inside && !handle && clickCount === 2) {
+                this.editor.applyCrop();
+                return;
+            }
+            if (handle || inside) {
+                this.cropDrag = { handle: handle || 'move', startRect: { ...cropRect }, startPos: pos };
+                return;
+            }
+            // Dragging outside the box starts a new one
+            this.editor.state.cropRect = null;
+        }
+
+        if (currentTool === 'step') {
+            this.placeStep(pos);
+            return;
+        }
+
         this.editor.state.isDrawing = true;
         this.startPos = pos;
 
         if (currentTool === 'text') {
-            this.createNewText(pos);
+            // Dragging out a box makes text that wraps inside it; a click places point text
+            this.editor.state.activeObject = { type: 'textBox', x: pos.x, y: pos.y, w: 0, h: 0 };
             return;
         }
 
-        this.editor.state.activeObject = {
+        const isRedaction = REDACTION_TYPES.includes(currentTool);
+        const freehand = isRedaction && this.editor.state.redactionShape === 'freehand';
+        const activeObject = {
+            id: createId(),
             type: currentTool,
             x: pos.x,
             y: pos.y,
@@ -47,31 +148,96 @@ export default class ToolManager {
             h: 0,
             color: this.editor.state.currentColor,
             width: this.editor.state.currentWidth,
-            points: currentTool === 'pencil' ? [{ x: pos.x, y: pos.y }] : []
+            points: currentTool === 'pencil' || freehand ? [this.createPoint(pos, e)] : [],
+            ...pickStyle(currentTool, this.editor.state.currentStyle)
         };
+        if (this.editor.state.currentLabel && ANNOTATION_TYPES.includes(currentTool)) {
+            activeObject.label = this.editor.state.currentLabel;
+        }
+        if (isRedaction) {
+            activeObject.strength = this.editor.state.redactionStrength;
+            if (freehand) activeObject.shape = 'freehand';
+        }
+        this.editor.state.activeObject = activeObject;
+    }
+
+    // Pencil point, with pen pressure when drawn with a stylus
+    createPoint(pos, e) {
+        const point = { x: pos.x, y: pos.y };
+        if (e && e.pointerType === 'pen' && e.pressure > 0) point.pressure = e.pressure;
+        return point;
+    }
+
+    /**
+     * Abandon any in-progress drawing or drag, e.g. when a touch turns into a pinch gesture.
+     */
+    cancelInteraction() {
+        const { state } = this.editor;
+        // Put the objects back where the drag started
+        const restore = (obj, start) => {
+            Object.keys(obj).forEach(key => delete obj[key]);
+            Object.assign(obj, start);
+        };
+        if (this.handleDrag && state.selectedObject) {
+            restore(state.selectedObject, this.handleDrag.start);
+        } else if (this.isDragging && this.dragStart) {
+            state.selectedObjects.forEach((obj, i) => restore(obj, this.dragStart[i]));
+        }
+        state.isDrawing = false;
+        state.activeObject = null;
+        state.marqueeRect = null;
+        this.isDragging = false;
+        this.dragMoved = false;
+        this.marquee = null;
+        this.handleDrag = null;
+        this.cropDrag = null;
+        this.editor.canvasManager.render();
     }
 
-    onMouseMove(pos) {
+    onMouseMove(pos, e) {
         const { isDrawing, activeObject, selectedObject, currentTool } = this.editor.state;
 
-        if (currentTool === 'select' && this.isDragging && selectedObject) {
-            if (selectedObject.type === 'pencil') {
-                selectedObject.points = this.dragOffset.points.map(offset => ({ x: pos.x - offset.x, y: pos.y - offset.y }));
-                // Update base x,y for selection box
-                const bounds = this.editor.canvasManager.getPencilBounds(selectedObject);
-                selectedObject.x = bounds.x; selectedObject.y = bounds.y;
-            } else {
-                selectedObject.x = pos.x - this.dragOffset.x;
-                selectedObject.y = pos.y - this.dragOffset.y;
+        if (currentTool === 'select' && this.handleDrag && selectedObject) {
+            this.dragMoved = true;
+            this.dragHandle(selectedObject, pos, e.shiftKey);
+            this.editor.canvasManager.render();
+            return;
+        }
+
+        if (currentTool === 'select' && !this.isDragging) {
+            this.updateCursor(pos);
+        }
+
+        if (currentTool === 'crop') {
+            if (this.cropDrag) {
+                this.dragCropRect(pos);
+                this.editor.canvasManager.render();
+                return;
             }
+            if (!isDrawing) this.updateCropCursor(pos);
+        }
+
+        if (currentTool === 'select' && this.isDragging) {
+            const dx = pos.x - this.lastDragPos.x;
+            const dy = pos.y - this.lastDragPos.y;
+            this.lastDragPos = pos;
+            this.dragMoved = true;
+            this.editor.state.selectedObjects.forEach(obj => this.editor.canvasManager.translateObject(obj, dx, dy));
+            this.editor.canvasManager.render();
+            return;
+        }
+
+        if (currentTool === 'select' && this.marquee) {
+            const { start } = this.marquee;
+            this.editor.state.marqueeRect = normalizeRect({ x: start.x, y: start.y, w: pos.x - start.x, h: pos.y - start.y });
             this.editor.canvasManager.render();
             return;
         }
 
         if (!isDrawing || !activeObject) return;
 
-        if (activeObject.type === 'pencil') {
-            activeObject.points.push({ x: pos.x, y: pos.y });
+        if (isPathObject(activeObject)) {
+            activeObject.points.push(this.createPoint(pos, e));
         } else if (activeObject.type === 'crop' && this.editor.state.cropAspectRatio) {
             // Apply aspect ratio constraint for crop tool
             const ratio = this.editor.state.cropAspectRatio;
@@ -106,21 +272,55 @@ export default class ToolManager {
         const { isDrawing, activeObject, currentTool } = this.editor.state;
 
         if (currentTool === 'select') {
-            if (this.isDragging) {
+            if (this.marquee) {
+                this.finishMarquee();
+                return;
+            }
+            const { selectedObjects } = this.editor.state;
+            if ((this.handleDrag || this.isDragging) && this.dragMoved && selectedObjects.length) {
                 this.editor.saveHistory();
-                this.isDragging = false;
+                selectedObjects.forEach(obj => this.editor.emit('objectModified', { object: cloneObject(obj) }));
             }
+            this.handleDrag = null;
+            this.isDragging = false;
+            this.dragMoved = false;
+            return;
+        }
+
+        if (this.cropDrag) {
+            this.cropDrag = null;
             return;
         }
 
         if (!isDrawing) return;
 
         if (activeObject) {
-            if (activeObject.type === 'crop') {
-                this.editor.canvasManager.crop(activeObject);
+            if (activeObject.type === 'textBox') {
+                // Drawing goes on until the text is entered
+                this.editor.state.activeObject = null;
+                this.editor.canvasManager.render();
+                const rect = normalizeRect(activeObject);
+                this.createNewText(this.startPos, rect.w >= MIN_TEXT_BOX && rect.h >= MIN_TEXT_BOX ? rect : null);
+                return;
+            }
+            if (activeObject.type === 'straighten') {
+                // The rotation re-renders, so drop the guide line first
+                this.editor.state.isDrawing = false;
+                this.editor.state.activeObject = null;
+                this.straightenAlong(activeObject);
+            } else if (activeObject.type === 'crop') {
+                // Keep the box on screen for adjustment; it is applied with Enter, double-click or applyCrop()
+                const rect = normalizeRect(activeObject);
+                if (rect.w >= MIN_CROP && rect.h >= MIN_CROP) {
+                    this.editor.state.cropRect = rect;
+                }
             } else if (this.isValidObject(activeObject)) {
+                if (activeObject.shape === 'freehand') {
+                    Object.assign(activeObject, this.editor.canvasManager.getPencilBounds(activeObject));
+                }
                 this.editor.state.objects.push(activeObject);
                 this.editor.saveHistory();
+                this.editor.emit('objectAdded', { object: cloneObject(activeObject) });
             }
         }
 
@@ -129,8 +329,39 @@ export default class ToolManager {
         this.editor.canvasManager.render();
     }
 
+    /**
+     * Rotate the image by the smallest angle that makes a line horizontal or vertical.
+     * @param {{x: number, y: number, w: number, h: number}} line - Start point and offset to the end
+     */
+    straightenAlong(line) {
+        if (Math.hypot(line.w, line.h) < MIN_STRAIGHTEN) return;
+        const degrees = Math.atan2(line.h, line.w) * 180 / Math.PI;
+        const correction = Math.round(degrees / 90) * 90 - degrees;
+        if (Math.abs(correction) > 1e-6) this.editor.rotateBy(correction);
+    }
+
+    // Select everything the marquee touches, plus the Shift-kept selection
+    finishMarquee() {
+        const { state, canvasManager } = this.editor;
+        const rect = state.marqueeRect;
+        const { base } = this.marquee;
+        this.marquee = null;
+        state.marqueeRect = null;
+
+        if (rect && (rect.w >= MIN_MARQUEE || rect.h >= MIN_MARQUEE)) {
+            const hits = state.objects.filter(obj =>
+                !base.includes(obj) && rectsIntersect(canvasManager.getRotatedBounds(obj), rect));
+            this.editor.setSelection([...base, ...hits]);
+        }
+        canvasManager.render();
+    }
+
     isValidObject(obj) {
         if (obj.type === 'pencil') return obj.points.length > 1;
+        if (obj.shape === 'freehand') {
+            const bounds = this.editor.canvasManager.getPencilBounds(obj);
+            return obj.points.length > 2 && (bounds.w > 2 || bounds.h > 2);
+        }
         if (obj.type === 'text') return obj.text.length > 0;
         return Math.abs(obj.w) > 2 || Math.abs(obj.h) > 2;
     }
@@ -144,10 +375,21 @@ export default class ToolManager {
     }
 
     isPointInObject(pos, obj) {
+        if (obj.type === 'group') return obj.children.some(child => this.isPointInObject(pos, child));
         const padding = 10;
+        if (obj.angle) {
+            // Test in the object's own unrotated frame
+            pos = rotatePoint(pos, this.editor.canvasManager.getObjectCenter(obj), -obj.angle);
+        }
         if (obj.type === 'pencil') {
             return obj.points.some(p => Math.hypot(p.x - pos.x, p.y - pos.y) < padding);
         }
+        if (isPathObject(obj)) {
+            return pointInPolygon(pos, obj.points);
+        }
+        if (obj.type === 'step') {
+            return Math.hypot(pos.x - obj.x, pos.y - obj.y) <= (obj.size || DEFAULT_STEP_SIZE) / 2 + padding / 2;
+        }
         if (obj.type === 'text') {
             const bounds = this.editor.canvasManager.getTextBounds(obj);
             return pos.x >= bounds.x - padding && pos.x <= bounds.x + bounds.width + padding &&
@@ -166,6 +408,365 @@ export default class ToolManager {
         return pos.x >= x - padding && pos.x <= x + w + padding && pos.y >= y - padding && pos.y <= y + h + padding;
     }
 
+    findHandleAt(pos, obj) {
+        const radius = this.editor.canvasManager.getHandleSize();
+        const handle = this.editor.canvasManager.getHandles(obj)
+            .find(h => Math.abs(pos.x - h.x) <= radius && Math.abs(pos.y - h.y) <= radius);
+        return handle ? handle.name : null;
+    }
+
+    updateCursor(pos) {
+        const { selectedObject } = this.editor.state;
+        const handle = selectedObject ? this.findHandleAt(pos, selectedObject) : null;
+        let cursor = '';
+        if (handle) {
+            cursor = HANDLE_CURSORS[handle];
+        } else if (this.findObjectAt(pos)) {
+            cursor = 'move';
+        }
+        this.editor.canvasManager.canvas.style.cursor = cursor;
+    }
+
+    beginHandleDrag(obj, handle, pos) {
+        const { canvasManager } = this.editor;
+        const bounds = canvasManager.getObjectBounds(obj);
+        const center = canvasManager.getObjectCenter(obj);
+        const angle = obj.angle || 0;
+
+        // Remember how far from the bounds edge the handle was grabbed, so the edge doesn't jump
+        const local = rotatePoint(pos, center, -angle);
+        const grab = {
+            x: handle.includes('w') ? local.x - bounds.x : handle.includes('e') ? local.x - (bounds.x + bounds.w) : 0,
+            y: handle.includes('n') ? local.y - bounds.y : handle.includes('s') ? local.y - (bounds.y + bounds.h) : 0
+        };
+
+        this.handleDrag = {
+            handle,
+            start: JSON.parse(JSON.stringify(obj)),
+            bounds,
+            center,
+            angle,
+            grab
+        };
+    }
+
+    /**
+     * Update the selected object while one of its handles is dragged.
+     * @param {Object} obj - Selected object
+     * @param {{x: number, y: number}} pos - Pointer position
+     * @param {boolean} constrain - Shift held: keep proportions, snap angles
+     */
+    dragHandle(obj, pos, constrain) {
+        const { handle, start, center } = this.handleDrag;
+
+        if (handle === 'rotate') {
+            let angle = Math.atan2(pos.y - center.y, pos.x - center.x) + Math.PI / 2;
+            if (constrain) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+            // Keep the stored angle within (-PI, PI]
+            angle = Math.atan2(Math.sin(angle), Math.cos(angle));
+            obj.angle = Math.abs(angle) < 1e-9 ? 0 : angle;
+            return;
+        }
+
+        if (handle === 'start') {
+            const end = { x: start.x + start.w, y: start.y + start.h };
+            const p = constrain ? this.snapToAngle(end, pos) : pos;
+            obj.x = p.x;
+            obj.y = p.y;
+            obj.w = end.x - p.x;
+            obj.h = end.y - p.y;
+            return;
+        }
+
+        if (handle === 'end') {
+            const p = constrain ? this.snapToAngle(start, pos) : pos;
+            obj.w = p.x - start.x;
+            obj.h = p.y - start.y;
+            return;
+        }
+
+        // Circles stay round and point text scales its font, so both always keep proportions
+        const keepRatio = constrain || obj.type === 'circle' || obj.type === 'image' ||
+            (obj.type === 'text' && !isTextBox(obj));
+        this.resizeObject(obj, pos, keepRatio);
+    }
+
+    // Snap a segment from origin to pos to the nearest 45 degrees
+    snapToAngle(origin, pos) {
+        const step = Math.PI / 4;
+        const length = Math.hypot(pos.x - origin.x, pos.y - origin.y);
+        const angle = Math.round(Math.atan2(pos.y - origin.y, pos.x - origin.x) / step) * step;
+        return { x: origin.x + Math.cos(angle) * length, y: origin.y + Math.sin(angle) * length };
+    }
+
+    resizeObject(obj, pos, keepRatio) {
+        const { handle, start, bounds, center, angle, grab } = this.handleDrag;
+        const local = rotatePoint(pos, center, -angle);
+        const px = local.x - grab.x;
+        const py = local.y - grab.y;
+
+        // Direction the handle pulls in on each axis (0 = axis not affected)
+        const dirX = handle.includes('w') ? -1 : handle.includes('e') ? 1 : 0;
+        const dirY = handle.includes('n') ? -1 : handle.includes('s') ? 1 : 0;
+
+        let w = dirX === 1 ? px - bounds.x : dirX === -1 ? bounds.x + bounds.w - px : bounds.w;
+        let h = dirY === 1 ? py - bounds.y : dirY === -1 ? bounds.y + bounds.h - py : bounds.h;
+        w = Math.max(MIN_RESIZE, w);
+        h = Math.max(MIN_RESIZE, h);
+
+        if (keepRatio && bounds.w > 0 && bounds.h > 0) {
+            const ratio = bounds.w / bounds.h;
+            if (dirX && dirY) {
+                if (w / ratio > h) h = w / ratio; else w = h * ratio;
+            } else if (dirX) {
+                h = w / ratio;
+            } else {
+                w = h * ratio;
+            }
+        }
+
+        // New box in the object's local frame: anchored on the opposite side, centred on untouched axes
+        const nx = dirX === 1 ? bounds.x : dirX === -1 ? bounds.x + bounds.w - w : bounds.x + (bounds.w - w) / 2;
+        const ny = dirY === 1 ? bounds.y : dirY === -1 ? bounds.y + bounds.h - h : bounds.y + (bounds.h - h) / 2;
+
+        // Rotating the new centre about the old pivot keeps the anchored side fixed on screen
+        const newCenter = rotatePoint({ x: nx + w / 2, y: ny + h / 2 }, center, angle);
+        const x = newCenter.x - w / 2;
+        const y = newCenter.y - h / 2;
+
+        if (isTextBox(obj)) {
+            // Boxes keep their font and the text reflows
+            obj.x = x;
+            obj.y = y + (obj.fontSize || 24);
+            obj.w = w;
+            obj.h = h;
+        } else if (obj.type === 'text') {
+            obj.fontSize = Math.max(4, (start.fontSize || 24) * (h / bounds.h));
+            // Wrapped lines keep breaking at the same words
+            if (start.maxWidth) obj.maxWidth = start.maxWidth * obj.fontSize / (start.fontSize || 24);
+            obj.x = x;
+            obj.y = y + obj.fontSize; // Text baseline sits one font size below the bounds top
+        } else if (obj.type === 'circle') {
+            obj.x = x;
+            obj.y = y;
+            obj.w = w;
+            obj.h = w;
+        } else if (obj.type === 'image') {
+            // Keep any mirroring, which is stored as the sign of w and h
+            obj.w = Math.sign(start.w || 1) * w;
+            obj.h = Math.sign(start.h || 1) * h;
+            obj.x = obj.w < 0 ? x + w : x;
+            obj.y = obj.h < 0 ? y + h : y;
+        } else if (isPathObject(obj)) {
+            // Scale the outline from its original bounds into the new box
+            obj.points = start.points.map(p => ({
+                ...p,
+                x: x + (p.x - bounds.x) * w / (bounds.w || 1),
+                y: y + (p.y - bounds.y) * h / (bounds.h || 1)
+            }));
+            obj.x = x;
+            obj.y = y;
+            obj.w = w;
+            obj.h = h;
+        } else {
+            obj.x = x;
+            obj.y = y;
+            obj.w = w;
+            obj.h = h;
+        }
+    }
+
+    /**
+     * Remove the selected objects.
+     * @returns {boolean} True if anything was removed
+     */
+    deleteSelection() {
+        const { state } = this.editor;
+        const removed = state.selectedObjects.slice();
+        if (!removed.length) return false;
+        state.objects = state.objects.filter(obj => !removed.includes(obj));
+        this.editor.setSelection([]);
+        this.editor.saveHistory();
+        this.editor.canvasManager.render();
+        removed.forEach(obj => this.editor.emit('objectRemoved', { object: cloneObject(obj) }));
+        return true;
+    }
+
+    /**
+     * Combine the selected objects into a group at the stacking position of the topmost one.
+     * @returns {Object|null} The new group, or null if fewer than two objects are selected
+     */
+    groupSelection() {
+        const { state } = this.editor;
+        // Members keep their stacking order inside the group
+        const members = state.objects.filter(obj => state.selectedObjects.includes(obj));
+        if (members.length < 2) return null;
+
+        const group = { id: createId(), type: 'group', children: members };
+        const index = state.objects.indexOf(members[members.length - 1]) - (members.length - 1);
+        state.objects = state.objects.filter(obj => !members.includes(obj));
+        state.objects.splice(index, 0, group);
+
+        this.editor.setSelection([group]);
+        this.editor.saveHistory();
+        this.editor.canvasManager.render();
+        members.forEach(obj => this.editor.emit('objectRemoved', { object: cloneObject(obj) }));
+        this.editor.emit('objectAdded', { object: cloneObject(group) });
+        return group;
+    }
+
+    /**
+     * Replace each selected group with its members, which become the selection.
+     * @returns {boolean} True if any group was split
+     */
+    ungroupSelection() {
+        const { state } = this.editor;
+        const groups = state.selectedObjects.filter(obj => obj.type === 'group');
+        if (!groups.length) return false;
+
+        const released = [];
+        state.objects = state.objects.flatMap(obj => {
+            if (!groups.includes(obj)) return [obj];
+            released.push(...obj.children);
+            return obj.children;
+        });
+
+        this.editor.setSelection([...state.selectedObjects.filter(obj => !groups.includes(obj)), ...released]);
+        this.editor.saveHistory();
+        this.editor.canvasManager.render();
+        groups.forEach(group => this.editor.emit('objectRemoved', { object: cloneObject(group) }));
+        released.forEach(obj => this.editor.emit('objectAdded', { object: cloneObject(obj) }));
+        return true;
+    }
+
+    /**
+     * Move the selected objects in the stacking order, keeping their relative order.
+     * @param {'forward'|'backward'|'front'|'back'} direction
+     * @returns {boolean} True if the order changed
+     */
+    reorderSelection(direction) {
+        const { state } = this.editor;
+        const selected = new Set(state.selectedObjects);
+        let objects = state.objects.slice();
+
+        if (direction === 'front' || direction === 'back') {
+            const moving = objects.filter(obj => selected.has(obj));
+            const rest = objects.filter(obj => !selected.has(obj));
+            objects = direction === 'front' ? [...rest, ...moving] : [...moving, ...rest];
+        } else if (direction === 'forward') {
+            // Walk top-down so a run of selected objects steps over the next one as a block
+            for (let i = objects.length - 2; i >= 0; i--) {
+                if (selected.has(objects[i]) && !selected.has(objects[i + 1])) {
+                    [objects[i], objects[i + 1]] = [objects[i + 1], objects[i]];
+                }
+            }
+        } else if (direction === 'backward') {
+            for (let i = 1; i < objects.length; i++) {
+                if (selected.has(objects[i]) && !selected.has(objects[i - 1])) {
+                    [objects[i], objects[i - 1]] = [objects[i - 1], objects[i]];
+                }
+            }
+        }
+
+        if (objects.every((obj, i) => obj === state.objects[i])) return false;
+        state.objects = objects;
+        this.editor.saveHistory();
+        this.editor.canvasManager.render();
+        return true;
+    }
+
+    findCropHandleAt(pos, rect) {
+        const radius = this.editor.canvasManager.getHandleSize();
+        const handle = this.editor.canvasManager.getCropHandles(rect)
+            .find(h => Math.abs(pos.x - h.x) <= radius && Math.abs(pos.y - h.y) <= radius);
+        return handle ? handle.name : null;
+    }
+
+    updateCropCursor(pos) {
+        const { cropRect } = this.editor.state;
+        let cursor = 'crosshair';
+        if (cropRect) {
+            const handle = this.findCropHandleAt(pos, cropRect);
+            if (handle) {
+                cursor = HANDLE_CURSORS[handle];
+            } else if (pos.x >= cropRect.x && pos.x <= cropRect.x + cropRect.w &&
+                       pos.y >= cropRect.y && pos.y <= cropRect.y + cropRect.h) {
+                cursor = 'move';
+            }
+        }
+        this.editor.canvasManager.canvas.style.cursor = cursor;
+    }
+
+    /**
+     * Move or resize the pending crop box, keeping it inside the image
+     * and honouring the crop aspect ratio.
+     */
+    dragCropRect(pos) {
+        const { handle, startRect, startPos } = this.cropDrag;
+        const { canvas } = this.editor.canvasManager;
+        const maxW = canvas.width;
+        const maxH = canvas.height;
+
+        if (handle === 'move') {
+            const x = Math.max(0, Math.min(maxW - startRect.w, startRect.x + pos.x - startPos.x));
+            const y = Math.max(0, Math.min(maxH - startRect.h, startRect.y + pos.y - startPos.y));
+            this.editor.state.cropRect = { ...startRect, x, y };
+            return;
+        }
+
+        const px = Math.max(0, Math.min(maxW, pos.x));
+        const py = Math.max(0, Math.min(maxH, pos.y));
+        const dirX = handle.includes('w') ? -1 : handle.includes('e') ? 1 : 0;
+        const dirY = handle.includes('n') ? -1 : handle.includes('s') ? 1 : 0;
+        const right = startRect.x + startRect.w;
+        const bottom = startRect.y + startRect.h;
+
+        let w = dirX === 1 ? px - startRect.x : dirX === -1 ? right - px : startRect.w;
+        let h = dirY === 1 ? py - startRect.y : dirY === -1 ? bottom - py : startRect.h;
+        w = Math.max(MIN_CROP, w);
+        h = Math.max(MIN_CROP, h);
+
+        const ratio = this.editor.state.cropAspectRatio;
+        if (ratio) {
+            const targetRatio = ratio.width / ratio.height;
+            if (dirX && dirY) {
+                if (w / targetRatio > h) h = w / targetRatio; else w = h * targetRatio;
+            } else if (dirX) {
+                h = w / targetRatio;
+            } else {
+                w = h * targetRatio;
+            }
+        }
+
+        // Anchor the opposite side; edge handles grow the other axis around its centre
+        const x = dirX === 1 ? startRect.x : dirX === -1 ? right - w : startRect.x + (startRect.w - w) / 2;
+        const y = dirY === 1 ? startRect.y : dirY === -1 ? bottom - h : startRect.y + (startRect.h - h) / 2;
+
+        // Ignore moves that would push the box outside the image
+        if (x < 0 || y < 0 || x + w > maxW || y + h > maxH) return;
+
+        this.editor.state.cropRect = { x, y, w, h };
+    }
+
+    /**
+     * Drop a step marker centred on a point. It is numbered after the markers below it.
+     */
+    placeStep(pos) {
+        const obj = {
+            id: createId(),
+            type: 'step',
+            x: pos.x,
+            y: pos.y,
+            color: this.editor.state.currentColor,
+            size: DEFAULT_STEP_SIZE,
+            ...pickStyle('step', this.editor.state.currentStyle)
+        };
+        this.editor.state.objects.push(obj);
+        this.editor.saveHistory();
+        this.editor.canvasManager.render();
+        this.editor.emit('objectAdded', { object: cloneObject(obj) });
+    }
+
     distToSegment(p, v, w) {
         const l2 = Math.pow(v.x - w.x, 2) + Math.pow(v.y - w.y, 2);
         if (l2 === 0) return Math.hypot(p.x - v.x, p.y - v.y);
@@ -174,59 +775,46 @@ export default class ToolManager {
         return Math.hypot(p.x - (v.x + t * (w.x - v.x)), p.y - (v.y + t * (w.y - v.y)));
     }
 
-    createNewText(pos) {
-        const textarea = document.createElement('textarea');
-        textarea.style.position = 'fixed';
-        textarea.style.resize = 'none';
-        textarea.style.overflow = 'hidden';
-
-        const rect = this.editor.canvasManager.canvas.getBoundingClientRect();
-        const scale = rect.width / this.editor.canvasManager.canvas.width;
-        const fontSize = this.editor.options.fontSize * scale;
-
-        textarea.style.left = (rect.left + pos.x * scale) + 'px';
-        textarea.style.top = (rect.top + pos.y * scale - fontSize) + 'px';
-        textarea.style.font = `${fontSize}px ${this.editor.options.fontFamily}`;
-        textarea.style.color = this.editor.state.currentColor;
-        textarea.style.border = '1px dashed #007bff';
-        textarea.style.background = 'rgba(255,255,255,0.8)';
-        textarea.style.outline = 'none';
-        textarea.style.padding = '2px';
-        textarea.style.margin = '0';
-        textarea.style.zIndex = '10000';
-        textarea.style.minWidth = '100px';
-        textarea.style.minHeight = fontSize + 'px';
-        textarea.style.lineHeight = '1.2';
-        textarea.rows = 1;
+    /**
+     * Open a textarea for a new text object.
+     * @param {{x: number, y: number}} pos - Baseline start of point text
+     * @param {Object|null} [box] - { x, y, w, h } of a text box to wrap the text in
+     */
+    createNewText(pos, box = null) {
+        const draft = {
+            type: 'text',
+            x: pos.x,
+            y: pos.y,
+            text: '',
+            color: this.editor.state.currentColor,
+            fontSize: this.editor.options.fontSize,
+            ...pickStyle('text', this.editor.state.currentStyle)
+        };
+        if (box) {
+            Object.assign(draft, { x: box.x, y: box.y + draft.fontSize, w: box.w, h: box.h });
+        }
 
+        const textarea = this.createTextarea(draft);
         document.body.appendChild(textarea);
-        setTimeout(() => textarea.focus(), 10);
-
-        // Auto-resize textarea as user types
-        const autoResize = () => {
-            textarea.style.height = 'auto';
-            textarea.style.height = textarea.scrollHeight + 'px';
-        };
-        textarea.addEventListener('input', autoResize);
+        this.textEdit = { textarea, timer: setTimeout(() => textarea.focus(), 10) };
+        textarea.addEventListener('input', () => this.layoutTextarea(textarea, draft));
+        this.editor.emit('textEditStart', { object: null, x: draft.x, y: draft.y });
 
         let finished = false;
         const finish = () => {
             if (finished) return;
             finished = true;
+            let created = null;
             if (textarea.value.trim()) {
-                this.editor.state.objects.push({
-                    type: 'text',
-                    x: pos.x,
-                    y: pos.y,
-                    text: textarea.value,
-                    color: this.editor.state.currentColor,
-                    fontSize: this.editor.options.fontSize
-                });
+                created = { id: createId(), ...draft, text: textarea.value };
+                this.editor.state.objects.push(created);
                 this.editor.saveHistory();
                 this.editor.canvasManager.render();
             }
-            if (textarea.parentNode) document.body.removeChild(textarea);
+            this.removeTextarea(textarea);
             this.editor.state.isDrawing = false;
+            this.editor.emit('textEditEnd', { object: created ? cloneObject(created) : null, cancelled: false });
+            if (created) this.editor.emit('objectAdded', { object: cloneObject(created) });
         };
 
         textarea.onblur = finish;
@@ -238,53 +826,30 @@ export default class ToolManager {
             }
             if (e.key === 'Escape') {
                 finished = true;
-                document.body.removeChild(textarea);
+                this.removeTextarea(textarea);
                 this.editor.state.isDrawing = false;
+                this.editor.emit('textEditEnd', { object: null, cancelled: true });
             }
         };
     }
 
     startInlineTextEdit(obj) {
-        const textarea = document.createElement('textarea');
-        textarea.value = obj.text;
-        textarea.style.position = 'fixed';
-        textarea.style.resize = 'none';
-        textarea.style.overflow = 'hidden';
-
-        const rect = this.editor.canvasManager.canvas.getBoundingClientRect();
-        const scale = rect.width / this.editor.canvasManager.canvas.width;
-        const fontSize = obj.fontSize * scale;
-
-        textarea.style.left = (rect.left + obj.x * scale) + 'px';
-        textarea.style.top = (rect.top + obj.y * scale - fontSize) + 'px';
-        textarea.style.font = `${fontSize}px ${this.editor.options.fontFamily}`;
-        textarea.style.color = obj.color;
-        textarea.style.border = '1px dashed #007bff';
-        textarea.style.background = 'rgba(255,255,255,0.8)';
-        textarea.style.outline = 'none';
-        textarea.style.padding = '2px';
-        textarea.style.zIndex = '10000';
-        textarea.style.minWidth = '100px';
-        textarea.style.lineHeight = '1.2';
-
+        const textarea = this.createTextarea(obj);
         document.body.appendChild(textarea);
-
-        // Auto-resize to fit content
-        const autoResize = () => {
-            textarea.style.height = 'auto';
-            textarea.style.height = textarea.scrollHeight + 'px';
+        textarea.addEventListener('input', () => this.layoutTextarea(textarea, obj));
+
+        this.textEdit = {
+            textarea,
+            timer: setTimeout(() => {
+                textarea.focus();
+                textarea.select();
+            }, 10)
         };
-        textarea.addEventListener('input', autoResize);
-
-        setTimeout(() => {
-            textarea.focus();
-            textarea.select();
-            autoResize();
-        }, 10);
 
         this.editor.state.isEditingText = true;
+        this.editor.state.editingObject = obj; // Hidden on screen while the textarea shows it
         const originalText = obj.text;
-        obj.text = ''; // Hide original text while editing
+        this.editor.emit('textEditStart', { object: cloneObject(obj), x: obj.x, y: obj.y });
         this.editor.canvasManager.render();
 
         let finished = false;
@@ -292,10 +857,14 @@ export default class ToolManager {
             if (finished) return;
             finished = true;
             obj.text = textarea.value.trim() || originalText;
-            if (textarea.value !== originalText) this.editor.saveHistory();
-            if (textarea.parentNode) document.body.removeChild(textarea);
+            const changed = obj.text !== originalText;
+            if (changed) this.editor.saveHistory();
+            this.removeTextarea(textarea);
             this.editor.state.isEditingText = false;
+            this.editor.state.editingObject = null;
             this.editor.canvasManager.render();
+            this.editor.emit('textEditEnd', { object: cloneObject(obj), cancelled: false });
+            if (changed) this.editor.emit('objectModified', { object: cloneObject(obj) });
         };
 
         textarea.onblur = finish;
@@ -307,11 +876,107 @@ export default class ToolManager {
             }
             if (e.key === 'Escape') {
                 finished = true;
-                obj.text = originalText;
-                document.body.removeChild(textarea);
+                this.removeTextarea(textarea);
                 this.editor.state.isEditingText = false;
+                this.editor.state.editingObject = null;
                 this.editor.canvasManager.render();
+                this.editor.emit('textEditEnd', { object: cloneObject(obj), cancelled: true });
             }
         };
     }
+
+    // Textarea for editing a text object, laid over where it is drawn
+    createTextarea(obj) {
+        const textarea = document.createElement('textarea');
+        textarea.value = obj.text;
+        textarea.style.position = 'fixed';
+        textarea.style.resize = 'none';
+        textarea.style.overflow = 'hidden';
+        textarea.style.color = obj.color;
+        textarea.style.background = obj.background || 'rgba(255,255,255,0.8)';
+        // An outline takes no room, so the text inside sits exactly where it is drawn
+        textarea.style.border = 'none';
+        textarea.style.outline = '1px dashed #007bff';
+        textarea.style.margin = '0';
+        textarea.style.zIndex = '10000';
+        textarea.rows = 1;
+        this.layoutTextarea(textarea, obj);
+        return textarea;
+    }
+
+    /**
+     * Give a textarea the layout the canvas draws its text with: the same font size,
+     * line height, line breaks, alignment and box. Runs again on every input, as
+     * wrapping and shrinking depend on the text.
+     * @param {HTMLTextAreaElement} textarea
+     * @param {Object} obj - Text object; its text is taken from the textarea
+     */
+    layoutTextarea(textarea, obj) {
+        const { canvasManager } = this.editor;
+        const rect = canvasManager.canvas.getBoundingClientRect();
+        const scale = rect.width / canvasManager.canvas.width;
+        const text = { ...obj, text: textarea.value };
+        const layout = canvasManager.getTextLayout(text);
+        const bounds = canvasManager.getTextBounds(text);
+        const box = isTextBox(obj);
+        const clip = box && obj.overflow === 'clip';
+        const wraps = box || (obj.maxWidth && obj.fit !== 'shrink');
+
+        // Unwrapped text gets room for the caret after its widest line
+        const width = box ? obj.w : wraps ? obj.maxWidth : layout.width + layout.fontSize / 2;
+        // Lines are aligned in a block as wide as the widest; line up the textarea's own alignment with it
+        const left = bounds.x + (layout.align === 'center' ? (layout.width - width) / 2
+            : layout.align === 'right' ? layout.width - width : 0);
+        // Text that overflows a box upwards is shown above it
+        const textHeight = layout.lines.length * layout.lineHeight;
+        const shift = clip ? 0 : Math.min(0, layout.offsetY);
+        const paddingTop = Math.max(0, layout.offsetY);
+        const top = bounds.y + shift;
+        const height = clip ? obj.h : Math.max(layout.height - shift, paddingTop + textHeight);
+
+        textarea.dir = layout.rtl ? 'rtl' : 'ltr';
+        textarea.style.boxSizing = 'border-box';
+        textarea.style.left = (rect.left + left * scale) + 'px';
+        textarea.style.top = (rect.top + top * scale) + 'px';
+        textarea.style.width = (width * scale) + 'px';
+        textarea.style.height = (height * scale) + 'px';
+        textarea.style.padding = `${paddingTop * scale}px 0 0`;
+        textarea.style.font = canvasManager.getFont({ ...obj, fontSize: layout.fontSize * scale });
+        textarea.style.lineHeight = (layout.lineHeight * scale) + 'px';
+        textarea.style.textAlign = layout.align;
+        textarea.style.whiteSpace = wraps ? 'pre-wrap' : 'pre';
+        textarea.style.overflowWrap = 'anywhere';
+
+        if (obj.angle) {
+            const center = canvasManager.getObjectCenter(text);
+            textarea.style.transformOrigin = `${(center.x - left) * scale}px ${(center.y - top) * scale}px`;
+            textarea.style.transform = `rotate(${obj.angle}rad)`;
+        }
+    }
+
+    // Take a floating textarea off the page without committing it
+    removeTextarea(textarea) {
+        const edit = this.textEdit;
+        if (edit && edit.textarea === textarea) {
+            clearTimeout(edit.timer);
+            this.textEdit = null;
+        }
+        // Removing a focused element can fire blur, which would commit the text
+        textarea.onblur = null;
+        textarea.remove();
+    }
+
+    /**
+     * Discard any inline text edit and drop in-progress interactions.
+     */
+    destroy() {
+        if (this.textEdit) this.removeTextarea(this.textEdit.textarea);
+        this.startPos = null;
+        this.isDragging = false;
+        this.dragStart = null;
+        this.lastDragPos = null;
+        this.marquee = null;
+        this.handleDrag = null;
+        this.cropDrag = null;
+    }
 }
@@ -0,0 +1,205 @@
+/**
+ * Translations - Exchange formats for text annotations: XLIFF 2.0, gettext PO and i18next JSON.
+ *
+ * Units are { id, source, target?, notes } with the text object's id as the key.
+ * Parsing returns the target language, when the file names one, and an id -> text map.
+ */
+
+import { escapeXML } from './utils.js';
+
+export const TRANSLATION_FORMATS = ['xliff', 'po', 'i18next'];
+
+// Suffix of the i18next keys that hold notes for translators
+const I18NEXT_COMMENT = '_comment';
+
+/**
+ * Write text units in a translation format.
+ * @param {'xliff'|'po'|'i18next'} format
+ * @param {Array} units - { id, source, target?, notes: string[] }
+ * @param {Object} options - { sourceLanguage, targetLanguage? }
+ * @returns {string}
+ */
+export function formatTranslations(format, units, options) {
+    switch (format) {
+        case 'xliff':
+            return toXLIFF(units, options);
+        case 'po':
+            return toPO(units, options);
+        case 'i18next':
+            return toI18next(units, options);
+    }
+    return '';
+}
+
+/**
+ * Read a translation file.
+ * @param {'xliff'|'po'|'i18next'} format
+ * @param {string|Object} data - File contents; i18next may also be a parsed object
+ * @returns {{language: string|null, translations: Object}} Target language and id -> text map;
+ *   units without a translation are left out
+ */
+export function parseTranslations(format, data) {
+    switch (format) {
+        case 'xliff':
+            return parseXLIFF(data);
+        case 'po':
+            return parsePO(data);
+        case 'i18next':
+            return parseI18next(data);
+    }
+    return { language: null, translations: {} };
+}
+
+function toXLIFF(units, { sourceLanguage, targetLanguage }) {
+    const target = targetLanguage ? ` trgLang="${escapeXML(targetLanguage)}"` : '';
+    const body = units.map(unit => {
+        const lines = [`        <unit id="${escapeXML(unit.id)}">`];
+        if (unit.notes.length) {
+            lines.push('            <notes>');
+            unit.notes.forEach(note => lines.push(`                <note category="description">${escapeXML(note)}</note>`));
+            lines.push('            </notes>');
+        }
+        // Line breaks are part of the text
+        lines.push('            <segment>');
+        lines.push(`                <source xml:space="preserve">${escapeXML(unit.source)}</source>`);
+        if (unit.target !== undefined) {
+            lines.push(`                <target xml:space="preserve">${escapeXML(unit.target)}</target>`);
+        }
+        lines.push('            </segment>');
+        lines.push('        </unit>');
+        return lines.join('\n');
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="${escapeXML(sourceLanguage)}"${target}>`,
+        '    <file id="annotations">',
+        ...body,
+        '    </file>',
+        '</xliff>',
+        ''
+    ].join('\n');
+}
+
+// The object id goes in msgctxt, so identical texts stay separate entries
+function toPO(units, { targetLanguage }) {
+    const header = [
+        'msgid ""',
+        'msgstr ""',
+        `"Language: ${targetLanguage || ''}\\n"`,
+        '"MIME-Version: 1.0\\n"',
+        '"Content-Type: text/plain; charset=UTF-8\\n"',
+        '"Content-Transfer-Encoding: 8bit\\n"'
+    ].join('\n');
+    const entries = units.map(unit => [
+        ...unit.notes.map(note => `#. ${note.replace(/\n/g, ' ')}`),
+        `msgctxt ${quotePO(unit.id)}`,
+        `msgid ${quotePO(unit.source)}`,
+        `msgstr ${quotePO(unit.target || '')}`
+    ].join('\n'));
+    return [header, ...entries].join('\n\n') + '\n';
+}
+
+// i18next files hold one language: the translations, or the source texts for a new one.
+// Notes go in a sibling "<key>_comment" key, which translation tools show next to the text.
+function toI18next(units, { targetLanguage }) {
+    const strings = {};
+    units.forEach(unit => {
+        const text = targetLanguage ? unit.target : unit.source;
+        if (text === undefined) return;
+        strings[unit.id] = text;
+        if (unit.notes.length) strings[unit.id + I18NEXT_COMMENT] = unit.notes.join('\n');
+    });
+    return JSON.stringify(strings, null, 2) + '\n';
+}
+
+function parseXLIFF(data) {
+    const doc = new DOMParser().parseFromString(String(data), 'application/xml');
+    const root = doc.documentElement;
+    if (doc.getElementsByTagName('parsererror').length || root.localName !== 'xliff' ||
+        !String(root.getAttribute('version')).startsWith('2')) {
+        throw new Error('Invalid XLIFF: expected an XLIFF 2.0 document');
+    }
+    const translations = {};
+    Array.from(doc.getElementsByTagNameNS('*', 'unit')).forEach(unit => {
+        const targets = Array.from(unit.getElementsByTagNameNS('*', 'target'));
+        const id = unit.getAttribute('id');
+        if (id && targets.length) translations[id] = targets.map(target => target.textContent).join('');
+    });
+    return { language: root.getAttribute('trgLang') || null, translations };
+}
+
+function parsePO(data) {
+    const translations = {};
+    let language = null;
+    let entry = {};
+    let field = null;
+
+    const flush = () => {
+        if (entry.msgid === '' && entry.msgctxt === undefined) {
+            const match = /^Language:\s*(.*)$/m.exec(entry.msgstr || '');
+            if (match && match[1].trim()) language = match[1].trim();
+        } else if (entry.msgid !== undefined && entry.msgstr && !entry.fuzzy) {
+            translations[entry.msgctxt !== undefined ? entry.msgctxt : entry.msgid] = entry.msgstr;
+        }
+        entry = {};
+        field = null;
+    };
+
+    String(data).split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line) {
+            flush();
+        } else if (line.startsWith('#')) {
+            // A comment after the strings starts the next entry
+            if (entry.msgstr !== undefined) flush();
+            if (/^#,.*\bfuzzy\b/.test(line)) entry.fuzzy = true;
+        } else if (line.startsWith('"')) {
+            if (!field) throw new Error(`Invalid PO: line ${i + 1} continues no string`);
+            entry[field] += unquotePO(line, i);
+        } else {
+            const match = /^(msgctxt|msgid|msgstr)\s+(".*")$/.exec(line);
+            if (!match) throw new Error(`Invalid PO: line ${i + 1} is not a msgctxt, msgid or msgstr`);
+            if (match[1] !== 'msgstr' && entry.msgstr !== undefined) flush();
+            field = match[1];
+            entry[field] = unquotePO(match[2], i);
+        }
+    });
+    flush();
+    return { language, translations };
+}
+
+function parseI18next(data) {
+    let strings = data;
+    if (typeof data === 'string') {
+        try {
+            strings = JSON.parse(data);
+        } catch (err) {
+            throw new Error(`Invalid i18next JSON: ${err.message}`);
+        }
+    }
+    if (!strings || typeof strings !== 'object' || Array.isArray(strings)) {
+        throw new Error('Invalid i18next JSON: expected an object of strings');
+    }
+    const translations = {};
+    // Nested keys are joined with '.', i18next's default key separator
+    const collect = (object, prefix) => Object.keys(object).forEach(key => {
+        const value = object[key];
+        if (key.endsWith(I18NEXT_COMMENT)) return;
+        if (typeof value === 'string') {
+            translations[prefix + key] = value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            collect(value, `${prefix}${key}.`);
+        }
+    });
+    collect(strings, '');
+    return { language: null, translations };
+}
+
+function quotePO(text) {
+    return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t')}"`;
+}
+
+function unquotePO(quoted, index) {
+    if (!/^".*"$/.test(quoted)) throw new Error(`Invalid PO: line ${index + 1} has an unterminated string`);
+    return quoted.slice(1, -1).replace(/\\(.)/g, (_, c) => ({ n: '\n', t: '\t', r: '\r' })[c] || c);
+}
@@ -0,0 +1,196 @@
+/**
+ * Shared geometry helpers.
+ */
+
+/**
+ * Normalize a rectangle that may have a negative width or height.
+ * @param {{x: number, y: number, w: number, h: number}} rect
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+export function normalizeRect(rect) {
+    return {
+        x: rect.w < 0 ? rect.x + rect.w : rect.x,
+        y: rect.h < 0 ? rect.y + rect.h : rect.y,
+        w: Math.abs(rect.w),
+        h: Math.abs(rect.h)
+    };
+}
+
+/**
+ * Check whether two normalized rectangles overlap.
+ * @returns {boolean}
+ */
+export function rectsIntersect(a, b) {
+    return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+}
+
+/**
+ * Load an image element from a URL or data URL.
+ * @param {string} src
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = (err) => reject(err);
+        img.src = src;
+    });
+}
+
+/**
+ * Rotate a point around a center.
+ * @param {{x: number, y: number}} point
+ * @param {{x: number, y: number}} center
+ * @param {number} angle - Angle in radians (clockwise in canvas space)
+ * @returns {{x: number, y: number}}
+ */
+export function rotatePoint(point, center, angle) {
+    if (!angle) return { x: point.x, y: point.y };
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = point.x - center.x;
+    const dy = point.y - center.y;
+    return {
+        x: center.x + dx * cos - dy * sin,
+        y: center.y + dx * sin + dy * cos
+    };
+}
+
+/**
+ * Deep copy a plain JSON-compatible object.
+ */
+export function cloneObject(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Create a unique id for an object.
+ * @returns {string}
+ */
+export function createId() {
+    // randomUUID is missing outside secure contexts
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+}
+
+/**
+ * Give every object and group member without an id a new one.
+ * @param {Array<Object>} objects
+ * @param {boolean} [renew=false] - Replace existing ids too, for copies
+ */
+export function assignIds(objects, renew = false) {
+    objects.forEach(obj => {
+        if (renew || !obj.id) obj.id = createId();
+        if (obj.type === 'group') assignIds(obj.children, renew);
+    });
+}
+
+/**
+ * Check whether an object is defined by its points rather than x/y/w/h:
+ * pencil strokes and freehand redaction regions.
+ */
+export function isPathObject(obj) {
+    return Array.isArray(obj.points) && obj.points.length > 0 &&
+        (obj.type === 'pencil' || obj.shape === 'freehand');
+}
+
+/**
+ * Check whether a text object is a box that its text wraps inside, rather than a point.
+ */
+export function isTextBox(obj) {
+    return obj.type === 'text' && obj.w > 0 && obj.h > 0;
+}
+
+/**
+ * Ray-casting point-in-polygon test.
+ * @param {{x: number, y: number}} point
+ * @param {Array<{x: number, y: number}>} polygon
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Create a detached canvas of the given size.
+ * @returns {HTMLCanvasElement}
+ */
+export function createCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+}
+
+/**
+ * Shrink an image by halves until it is less than twice the target size.
+ * One big drawImage step skips source pixels and aliases; drawing the result
+ * at the final size afterwards only blends neighbouring pixels.
+ * @param {CanvasImageSource} source - Image to shrink
+ * @param {number} sourceWidth - Size of the source
+ * @param {number} sourceHeight
+ * @param {number} width - Final size
+ * @param {number} height
+ * @returns {CanvasImageSource} The source itself, or a smaller canvas
+ */
+export function stepDownImage(source, sourceWidth, sourceHeight, width, height) {
+    let current = source;
+    let currentWidth = sourceWidth;
+    let currentHeight = sourceHeight;
+    while (currentWidth / 2 >= width || currentHeight / 2 >= height) {
+        // Each axis only halves while it is still at least twice its target
+        const halfWidth = currentWidth / 2 >= width ? Math.round(currentWidth / 2) : currentWidth;
+        const halfHeight = currentHeight / 2 >= height ? Math.round(currentHeight / 2) : currentHeight;
+        const half = createCanvas(halfWidth, halfHeight);
+        const halfCtx = half.getContext('2d');
+        halfCtx.imageSmoothingQuality = 'high';
+        halfCtx.drawImage(current, 0, 0, currentWidth, currentHeight, 0, 0, halfWidth, halfHeight);
+        current = half;
+        currentWidth = halfWidth;
+        currentHeight = halfHeight;
+    }
+    return current;
+}
+
+/**
+ * List objects in drawing order, with groups replaced by their members.
+ * @param {Array<Object>} objects
+ * @returns {Array<Object>}
+ */
+export function flattenObjects(objects) {
+    return objects.flatMap(obj => obj.type === 'group' ? flattenObjects(obj.children) : [obj]);
+}
+
+/**
+ * Read a Blob or File as a data URL.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export function readFileAsDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Escape text for use in XML content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXML(text) {
+    return String(text).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' })[c]);
+}
@@ -0,0 +1,676 @@
+/**
+ * Vector - SVG and PDF output of the document, with annotations as shapes and text
+ * instead of pixels.
+ *
+ * The base image is embedded as a raster with the blur and pixelate regions applied
+ * to it, together with every object they cover. The other objects are written from
+ * their data, laid out by the CanvasManager so they land where the canvas draws them.
+ */
+
+import { createCanvas, escapeXML, flattenObjects, isTextBox, normalizeRect, rectsIntersect } from './utils.js';
+import { DEFAULT_STEP_SIZE } from './styles.js';
+
+/** Object types that are applied to the embedded image instead of drawn as vectors */
+export const RASTER_TYPES = ['blur', 'pixelate'];
+
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+const MIRRORED_ALIGN = { left: 'right', center: 'center', right: 'left' };
+
+// Control point distance of the Bezier curves that make up a quarter circle
+const KAPPA = 0.5523;
+
+// Baseline of a vertically centred label, below the centre, relative to its font size
+const CENTRED_BASELINE = 0.35;
+
+const JPEG_QUALITY = 0.92;
+
+// Standard PDF fonts: regular, bold, italic, bold italic
+const PDF_FONTS = {
+    sans: ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'],
+    serif: ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+    mono: ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique']
+};
+
+// WinAnsi codes of the characters outside Latin-1 that the standard fonts have
+const WIN_ANSI = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+    0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+    0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+    0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+/**
+ * Pick the objects to draw into the embedded image instead of writing them out.
+ * Redaction regions take every object beneath them that they overlap, so the text or
+ * image data they hide is not in the file; objects beneath those follow, so the
+ * stacking order is kept.
+ * @param {CanvasManager} canvasManager
+ * @param {Array} objects - Objects in drawing order; group members are picked one by one
+ * @param {Function} [isRaster] - Picks other objects that the format can't write
+ * @returns {Set<Object>}
+ */
+export function getRasterObjects(canvasManager, objects, isRaster = () => false) {
+    const flat = flattenObjects(objects);
+    const bounds = flat.map(obj => getPaintedBounds(canvasManager, obj));
+    const raster = new Set(flat.filter(obj => RASTER_TYPES.includes(obj.type) || isRaster(obj)));
+    let changed = true;
+    while (changed) {
+        changed = false;
+        flat.forEach((obj, i) => {
+            if (raster.has(obj)) return;
+            const covered = flat.some((above, j) => j > i && raster.has(above) && rectsIntersect(bounds[i], bounds[j]));
+            if (covered) {
+                raster.add(obj);
+                changed = true;
+            }
+        });
+    }
+    return raster;
+}
+
+/**
+ * Write the document as SVG.
+ * @param {CanvasManager} canvasManager - Lays out text, arrows and markers as they are drawn
+ * @param {Object} scene - { width, height, image: canvas or null, objects, rasterized },
+ *   where rasterized holds the objects already drawn into the image
+ * @returns {string}
+ */
+export function formatSVG(canvasManager, scene) {
+    const { width, height, image, objects, rasterized } = scene;
+    const defs = [];
+    const context = { canvasManager, defs, rasterized };
+    const body = objects.map(obj => svgObject(context, obj)).filter(Boolean);
+    if (image) {
+        body.unshift(element('image', {
+            x: 0, y: 0, width, height, preserveAspectRatio: 'none', 'xlink:href': image.toDataURL('image/png')
+        }));
+    }
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        ...(defs.length ? [indent(element('defs', {}, defs))] : []),
+        ...body.map(indent),
+        '</svg>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Check whether the standard PDF fonts can write a text: they only have the
+ * WinAnsi characters, which cover Western European languages.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function canWritePDFText(text) {
+    // Line breaks only split the text into lines
+    return Array.from(text.replace(/\n/g, '')).every(char => getWinAnsiCode(char) !== null);
+}
+
+/**
+ * Write the document as a single-page PDF, one point per canvas pixel.
+ * Shapes and text are laid out before this returns; only the images are encoded later.
+ * Text uses the standard PDF fonts; texts that fail canWritePDFText() have to be in the
+ * scene's image instead, and throw an Error otherwise.
+ * @param {CanvasManager} canvasManager - Lays out text, arrows and markers as they are drawn
+ * @param {Object} scene - As for formatSVG()
+ * @returns {Promise<Uint8Array>}
+ */
+export function formatPDF(canvasManager, scene) {
+    const { width, height, image, objects, rasterized } = scene;
+    const page = { canvasManager, rasterized, ops: [], fonts: [], images: [], alphas: [] };
+    // Flip the page so y runs down, like on the canvas
+    page.ops.push(`1 0 0 -1 0 ${num(height)} cm`);
+    if (image) {
+        page.ops.push(`q ${num(width)} 0 0 ${num(-height)} 0 ${num(height)} cm /${pdfImage(page, image, null)} Do Q`);
+    }
+    objects.forEach(obj => pdfObject(page, obj));
+    return writePDF(page, width, height);
+}
+
+// ---------- SVG ----------
+
+function svgObject(context, obj) {
+    if (context.rasterized.has(obj)) return '';
+    if (obj.type === 'group') {
+        const children = obj.children.map(child => svgObject(context, child)).filter(Boolean);
+        return children.length ? element('g', {}, children) : '';
+    }
+    const parts = svgParts(context, obj);
+    if (!parts.length) return '';
+    const { canvasManager } = context;
+    const attrs = {};
+    if (obj.angle) {
+        const center = canvasManager.getObjectCenter(obj);
+        attrs.transform = `rotate(${num(obj.angle * 180 / Math.PI)} ${num(center.x)} ${num(center.y)})`;
+    }
+    if (obj.opacity !== undefined && obj.opacity !== 1) attrs.opacity = num(obj.opacity);
+    return element('g', attrs, parts);
+}
+
+function svgParts(context, obj) {
+    const { canvasManager } = context;
+    switch (obj.type) {
+        case 'pencil':
+            return svgPencil(canvasManager, obj);
+        case 'rect': {
+            const rect = normalizeRect(obj);
+            return [element('rect', { x: rect.x, y: rect.y, width: rect.w, height: rect.h, ...svgFill(obj), ...svgStroke(canvasManager, obj) })];
+        }
+        case 'circle':
+            return [element('circle', {
+                cx: obj.x + obj.w / 2, cy: obj.y + obj.h / 2, r: Math.abs(obj.w / 2), ...svgFill(obj), ...svgStroke(canvasManager, obj)
+            })];
+        case 'arrow': {
+            const { from, to, heads } = canvasManager.getArrowGeometry(obj);
+            return [
+                element('line', { x1: from.x, y1: from.y, x2: to.x, y2: to.y, fill: 'none', ...svgStroke(canvasManager, obj) }),
+                ...heads.map(head => element('polygon', { points: svgPoints(head), fill: obj.color }))
+            ];
+        }
+        case 'highlight': {
+            const rect = normalizeRect(obj);
+            return [element('rect', { x: rect.x, y: rect.y, width: rect.w, height: rect.h, fill: obj.color || 'yellow', 'fill-opacity': 0.3 })];
+        }
+        case 'text':
+            return svgText(context, obj);
+        case 'step': {
+            const label = canvasManager.getStepLabel(obj);
+            const radius = (obj.size || DEFAULT_STEP_SIZE) / 2;
+            const textColor = obj.textColor || '#ffffff';
+            return [
+                element('circle', { cx: obj.x, cy: obj.y, r: radius, fill: obj.color, stroke: textColor, 'stroke-width': Math.max(1, radius / 8) }),
+                element('text', {
+                    x: obj.x, y: obj.y, fill: textColor, 'font-family': canvasManager.editor.options.fontFamily,
+                    'font-size': canvasManager.getStepFontSize(obj, label), 'font-weight': 'bold',
+                    'text-anchor': 'middle', 'dominant-baseline': 'central'
+                }, escapeXML(label))
+            ];
+        }
+        case 'image': {
+            const sx = Math.sign(obj.w) || 1;
+            const sy = Math.sign(obj.h) || 1;
+            return [element('image', {
+                x: 0, y: 0, width: Math.abs(obj.w), height: Math.abs(obj.h), preserveAspectRatio: 'none',
+                transform: `translate(${num(obj.x)} ${num(obj.y)}) scale(${sx} ${sy})`,
+                'xlink:href': canvasManager.getPortableImageSource(obj.src)
+            })];
+        }
+    }
+    return [];
+}
+
+function svgPencil(canvasManager, obj) {
+    const points = obj.points || [];
+    if (!points.length) return [];
+    if (points.some(p => p.pressure !== undefined)) {
+        // Pen strokes are drawn segment by segment, each as wide as the pressure at its ends
+        const widthAt = p => canvasManager.getPressureWidth(obj, p);
+        if (points.length === 1) {
+            return [element('circle', { cx: points[0].x, cy: points[0].y, r: widthAt(points[0]) / 2, fill: obj.color })];
+        }
+        return points.slice(1).map((b, i) => element('line', {
+            x1: points[i].x, y1: points[i].y, x2: b.x, y2: b.y,
+            ...svgStroke(canvasManager, obj), 'stroke-width': (widthAt(points[i]) + widthAt(b)) / 2
+        }));
+    }
+    // A single point is drawn as a dot by the round line caps
+    const line = points.length === 1 ? [points[0], points[0]] : points;
+    return [element('polyline', { points: svgPoints(line), fill: 'none', ...svgStroke(canvasManager, obj) })];
+}
+
+function svgText(context, obj) {
+    const { canvasManager, defs } = context;
+    const layout = canvasManager.getTextLayout(obj);
+    const top = obj.y - (obj.fontSize || 24);
+    const parts = [];
+    if (obj.background) {
+        const padding = obj.padding || 0;
+        parts.push(element('rect', {
+            x: obj.x - padding, y: top - padding, width: layout.width + padding * 2, height: layout.height + padding * 2,
+            rx: obj.radius || undefined, fill: obj.background
+        }));
+    }
+
+    // Lines are anchored on the side they are aligned to; in right-to-left text, "start" is the right side
+    const anchorX = obj.x + (layout.align === 'center' ? layout.width / 2 : layout.align === 'right' ? layout.width : 0);
+    const attrs = {
+        'xml:space': 'preserve',
+        fill: obj.color,
+        'font-family': obj.fontFamily || canvasManager.editor.options.fontFamily,
+        'font-size': layout.fontSize,
+        'font-weight': obj.fontWeight && obj.fontWeight !== 'normal' ? obj.fontWeight : undefined,
+        'font-style': obj.fontStyle === 'italic' ? 'italic' : undefined,
+        'text-anchor': TEXT_ANCHORS[layout.rtl ? MIRRORED_ALIGN[layout.align] : layout.align],
+        direction: layout.rtl ? 'rtl' : undefined
+    };
+    if (isTextBox(obj) && obj.overflow === 'clip') {
+        const id = `clip-${defs.length + 1}`;
+        defs.push(element('clipPath', { id }, [element('rect', { x: obj.x, y: top, width: obj.w, height: obj.h })]));
+        attrs['clip-path'] = `url(#${id})`;
+    }
+    const lines = layout.lines
+        .map((line, index) => line && element('tspan', {
+            x: anchorX, y: top + layout.offsetY + layout.fontSize + index * layout.lineHeight
+        }, escapeXML(line)))
+        .filter(Boolean);
+    parts.push(element('text', attrs, lines.join('')));
+    return parts;
+}
+
+function svgStroke(canvasManager, obj) {
+    const dash = canvasManager.getDashPattern(obj);
+    return {
+        stroke: obj.color,
+        'stroke-width': obj.width,
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+        'stroke-dasharray': dash.length ? dash.map(num).join(' ') : undefined
+    };
+}
+
+function svgFill(obj) {
+    if (!obj.fill) return { fill: 'none' };
+    return { fill: obj.fill, 'fill-opacity': obj.fillOpacity };
+}
+
+function svgPoints(points) {
+    return points.map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+}
+
+// Children are a string of inline content, or elements put on lines of their own
+function element(name, attrs, children) {
+    const attributes = Object.keys(attrs)
+        .filter(key => attrs[key] !== undefined && attrs[key] !== null)
+        .map(key => ` ${key}="${typeof attrs[key] === 'number' ? num(attrs[key]) : escapeXML(attrs[key])}"`)
+        .join('');
+    if (children === undefined) return `<${name}${attributes}/>`;
+    if (typeof children === 'string') return `<${name}${attributes}>${children}</${name}>`;
+    return [`<${name}${attributes}>`, ...children.map(indent), `</${name}>`].join('\n');
+}
+
+function indent(text) {
+    return text.split('\n').map(line => `    ${line}`).join('\n');
+}
+
+// ---------- PDF ----------
+
+function pdfObject(page, obj) {
+    if (page.rasterized.has(obj)) return;
+    if (obj.type === 'group') {
+        obj.children.forEach(child => pdfObject(page, child));
+        return;
+    }
+    const { canvasManager, ops } = page;
+    const opacity = obj.opacity !== undefined ? obj.opacity : 1;
+    ops.push('q');
+    if (obj.angle) {
+        // Rotate around the centre, as the canvas does
+        const center = canvasManager.getObjectCenter(obj);
+        const cos = Math.cos(obj.angle);
+        const sin = Math.sin(obj.angle);
+        ops.push([cos, sin, -sin, cos, center.x - cos * center.x + sin * center.y, center.y - sin * center.x - cos * center.y]
+            .map(num).join(' ') + ' cm');
+    }
+
+    switch (obj.type) {
+        case 'pencil':
+            pdfPencil(page, obj, opacity);
+            break;
+        case 'rect': {
+            const rect = normalizeRect(obj);
+            const path = `${num(rect.x)} ${num(rect.y)} ${num(rect.w)} ${num(rect.h)} re`;
+            pdfFillShape(page, obj, path, opacity);
+            pdfStroke(page, obj, opacity);
+            ops.push(`${path} S`);
+            break;
+        }
+        case 'circle': {
+            const radius = Math.abs(obj.w / 2);
+            const path = pdfCircle(obj.x + obj.w / 2, obj.y + obj.h / 2, radius);
+            pdfFillShape(page, obj, path, opacity);
+            pdfStroke(page, obj, opacity);
+            ops.push(`${path} S`);
+            break;
+        }
+        case 'arrow': {
+            const { from, to, heads } = canvasManager.getArrowGeometry(obj);
+            pdfStroke(page, obj, opacity);
+            ops.push(`${num(from.x)} ${num(from.y)} m ${num(to.x)} ${num(to.y)} l S`);
+            pdfSetFill(page, obj.color, opacity);
+            heads.forEach(head => ops.push(`${pdfPolygon(head)} f`));
+            break;
+        }
+        case 'highlight': {
+            const rect = normalizeRect(obj);
+            pdfSetFill(page, obj.color || 'yellow', opacity * 0.3);
+            ops.push(`${num(rect.x)} ${num(rect.y)} ${num(rect.w)} ${num(rect.h)} re f`);
+            break;
+        }
+        case 'text':
+            pdfText(page, obj, opacity);
+            break;
+        case 'step':
+            pdfStep(page, obj, opacity);
+            break;
+        case 'image': {
+            const img = canvasManager.getOverlayImage(obj.src);
+            if (!img) break;
+            const sx = Math.sign(obj.w) || 1;
+            const sy = Math.sign(obj.h) || 1;
+            const w = Math.abs(obj.w);
+            const h = Math.abs(obj.h);
+            ops.push(`/${pdfAlpha(page, opacity)} gs`);
+            ops.push(`${sx} 0 0 ${sy} ${num(obj.x)} ${num(obj.y)} cm ${num(w)} 0 0 ${num(-h)} 0 ${num(h)} cm /${pdfImage(page, img, obj.src)} Do`);
+            break;
+        }
+    }
+    ops.push('Q');
+}
+
+function pdfPencil(page, obj, opacity) {
+    const { canvasManager, ops } = page;
+    const points = obj.points || [];
+    if (!points.length) return;
+    if (points.some(p => p.pressure !== undefined)) {
+        const widthAt = p => canvasManager.getPressureWidth(obj, p);
+        if (points.length === 1) {
+            pdfSetFill(page, obj.color, opacity);
+            ops.push(`${pdfCircle(points[0].x, points[0].y, widthAt(points[0]) / 2)} f`);
+            return;
+        }
+        pdfStroke(page, obj, opacity);
+        points.slice(1).forEach((b, i) => {
+            const a = points[i];
+            ops.push(`${num((widthAt(a) + widthAt(b)) / 2)} w ${num(a.x)} ${num(a.y)} m ${num(b.x)} ${num(b.y)} l S`);
+        });
+        return;
+    }
+    pdfStroke(page, obj, opacity);
+    const line = points.length === 1 ? [points[0], points[0]] : points;
+    ops.push(line.map((p, i) => `${num(p.x)} ${num(p.y)} ${i ? 'l' : 'm'}`).join(' ') + ' S');
+}
+
+function pdfText(page, obj, opacity) {
+    const { canvasManager, ops } = page;
+    const layout = canvasManager.getTextLayout(obj);
+    const top = obj.y - (obj.fontSize || 24);
+    if (obj.background) {
+        const padding = obj.padding || 0;
+        pdfSetFill(page, obj.background, opacity);
+        ops.push(`${pdfRoundRect(obj.x - padding, top - padding,
+            layout.width + padding * 2, layout.height + padding * 2, obj.radius || 0)} f`);
+    }
+    if (isTextBox(obj) && obj.overflow === 'clip') {
+        ops.push(`${num(obj.x)} ${num(top)} ${num(obj.w)} ${num(obj.h)} re W n`);
+    }
+
+    const font = pdfFont(page, obj.fontFamily || canvasManager.editor.options.fontFamily, obj.fontWeight, obj.fontStyle);
+    pdfSetFill(page, obj.color, opacity);
+    layout.lines.forEach((line, index) => {
+        if (!line) return;
+        const offset = layout.align === 'center' ? (layout.width - layout.widths[index]) / 2
+            : layout.align === 'right' ? layout.width - layout.widths[index] : 0;
+        const baseline = top + layout.offsetY + layout.fontSize + index * layout.lineHeight;
+        // Text is flipped back upright in the y-down page
+        ops.push(`BT /${font} ${num(layout.fontSize)} Tf 1 0 0 -1 ${num(obj.x + offset)} ${num(baseline)} Tm (${pdfString(line)}) Tj ET`);
+    });
+}
+
+function pdfStep(page, obj, opacity) {
+    const { canvasManager, ops } = page;
+    const radius = (obj.size || DEFAULT_STEP_SIZE) / 2;
+    const textColor = obj.textColor || '#ffffff';
+    const circle = pdfCircle(obj.x, obj.y, radius);
+    pdfSetFill(page, obj.color, opacity);
+    ops.push(`${circle} f`);
+    pdfStroke(page, { color: textColor, width: Math.max(1, radius / 8) }, opacity);
+    ops.push(`${circle} S`);
+
+    const label = canvasManager.getStepLabel(obj);
+    const fontSize = canvasManager.getStepFontSize(obj, label);
+    const { ctx } = canvasManager;
+    ctx.save();
+    ctx.font = canvasManager.getFont({ fontWeight: 'bold', fontSize });
+    const width = ctx.measureText(label).width;
+    ctx.restore();
+    const font = pdfFont(page, canvasManager.editor.options.fontFamily, 'bold', 'normal');
+    pdfSetFill(page, textColor, opacity);
+    ops.push(`BT /${font} ${num(fontSize)} Tf 1 0 0 -1 ${num(obj.x - width / 2)} ${num(obj.y + fontSize * CENTRED_BASELINE)} Tm (${pdfString(label)}) Tj ET`);
+}
+
+function pdfFillShape(page, obj, path, opacity) {
+    if (!obj.fill) return;
+    pdfSetFill(page, obj.fill, opacity * (obj.fillOpacity !== undefined ? obj.fillOpacity : 1));
+    page.ops.push(`${path} f`);
+}
+
+function pdfSetFill(page, color, opacity) {
+    const [r, g, b, a] = parseColor(color);
+    page.ops.push(`/${pdfAlpha(page, opacity * a)} gs ${num(r / 255)} ${num(g / 255)} ${num(b / 255)} rg`);
+}
+
+// Stroke colour and width, round caps and joins, and the canvas dash pattern
+function pdfStroke(page, obj, opacity) {
+    const [r, g, b, a] = parseColor(obj.color);
+    const dash = page.canvasManager.getDashPattern(obj);
+    page.ops.push(`/${pdfAlpha(page, opacity * a)} gs ${num(r / 255)} ${num(g / 255)} ${num(b / 255)} RG ` +
+        `${num(obj.width || 1)} w 1 J 1 j [${dash.map(num).join(' ')}] 0 d`);
+}
+
+// One graphics state per opacity, which sets it for both fills and strokes
+function pdfAlpha(page, alpha) {
+    const value = num(Math.min(1, Math.max(0, alpha)));
+    let index = page.alphas.indexOf(value);
+    if (index === -1) index = page.alphas.push(value) - 1;
+    return `GS${index + 1}`;
+}
+
+function pdfFont(page, family, weight, style) {
+    const name = String(family || '').split(',')[0].replace(/["']/g, '').trim().toLowerCase();
+    const kind = /courier|mono|consol/.test(name) ? 'mono'
+        : /times|georgia|garamond|serif/.test(name) && !/sans/.test(name) ? 'serif' : 'sans';
+    const bold = weight === 'bold' || Number(weight) >= 600;
+    const italic = style === 'italic';
+    const baseFont = PDF_FONTS[kind][(bold ? 1 : 0) + (italic ? 2 : 0)];
+    let index = page.fonts.indexOf(baseFont);
+    if (index === -1) index = page.fonts.push(baseFont) - 1;
+    return `F${index + 1}`;
+}
+
+// Images are embedded once per source, as JPEG with a soft mask for any transparency
+function pdfImage(page, source, key) {
+    let index = key ? page.images.findIndex(image => image.key === key) : -1;
+    if (index === -1) index = page.images.push({ key, source }) - 1;
+    return `Im${index + 1}`;
+}
+
+function pdfCircle(cx, cy, r) {
+    const k = r * KAPPA;
+    return [
+        `${num(cx + r)} ${num(cy)} m`,
+        `${num(cx + r)} ${num(cy + k)} ${num(cx + k)} ${num(cy + r)} ${num(cx)} ${num(cy + r)} c`,
+        `${num(cx - k)} ${num(cy + r)} ${num(cx - r)} ${num(cy + k)} ${num(cx - r)} ${num(cy)} c`,
+        `${num(cx - r)} ${num(cy - k)} ${num(cx - k)} ${num(cy - r)} ${num(cx)} ${num(cy - r)} c`,
+        `${num(cx + k)} ${num(cy - r)} ${num(cx + r)} ${num(cy - k)} ${num(cx + r)} ${num(cy)} c h`
+    ].join(' ');
+}
+
+function pdfRoundRect(x, y, w, h, radius) {
+    const r = Math.min(radius, w / 2, h / 2);
+    if (r <= 0) return `${num(x)} ${num(y)} ${num(w)} ${num(h)} re`;
+    const k = r * KAPPA;
+    return [
+        `${num(x + r)} ${num(y)} m ${num(x + w - r)} ${num(y)} l`,
+        `${num(x + w - r + k)} ${num(y)} ${num(x + w)} ${num(y + r - k)} ${num(x + w)} ${num(y + r)} c`,
+        `${num(x + w)} ${num(y + h - r)} l`,
+        `${num(x + w)} ${num(y + h - r + k)} ${num(x + w - r + k)} ${num(y + h)} ${num(x + w - r)} ${num(y + h)} c`,
+        `${num(x + r)} ${num(y + h)} l`,
+        `${num(x + r - k)} ${num(y + h)} ${num(x)} ${num(y + h - r + k)} ${num(x)} ${num(y + h - r)} c`,
+        `${num(x)} ${num(y + r)} l`,
+        `${num(x)} ${num(y + r - k)} ${num(x + r - k)} ${num(y)} ${num(x + r)} ${num(y)} c h`
+    ].join(' ');
+}
+
+function pdfPolygon(points) {
+    return points.map((p, i) => `${num(p.x)} ${num(p.y)} ${i ? 'l' : 'm'}`).join(' ') + ' h';
+}
+
+// A PDF string in the standard fonts' WinAnsi encoding, kept to ASCII with octal escapes
+function pdfString(text) {
+    return Array.from(text).map(char => {
+        const code = getWinAnsiCode(char);
+        if (code === null) {
+            throw new Error(`Cannot write "${char}" with the standard PDF fonts; draw its text into the image`);
+        }
+        if (code === 0x28 || code === 0x29 || code === 0x5C) return `\\${String.fromCharCode(code)}`;
+        return code > 0x7E ? `\\${code.toString(8).padStart(3, '0')}` : String.fromCharCode(code);
+    }).join('');
+}
+
+function getWinAnsiCode(char) {
+    const cp = char.codePointAt(0);
+    if ((cp >= 0x20 && cp <= 0x7E) || (cp >= 0xA0 && cp <= 0xFF)) return cp;
+    return WIN_ANSI[cp] || null;
+}
+
+async function writePDF(page, width, height) {
+    const images = await Promise.all(page.images.map(image => encodePDFImage(image.source)));
+
+    // 1 catalog, 2 page tree, 3 page, 4 contents, then fonts, then images and their masks
+    const objects = [null, null, null, null];
+    const fontRefs = page.fonts.map(baseFont =>
+        objects.push({ dict: `/Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding` }));
+    const imageRefs = images.map(image => {
+        let mask = '';
+        if (image.mask) {
+            const ref = objects.push({
+                dict: `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                    `/ColorSpace /DeviceGray /BitsPerComponent 8${image.mask.compressed ? ' /Filter /FlateDecode' : ''}`,
+                stream: image.mask.data
+            });
+            mask = ` /SMask ${ref} 0 R`;
+        }
+        return objects.push({
+            dict: `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode${mask}`,
+            stream: image.jpeg
+        });
+    });
+
+    const resources = [
+        `/Font << ${fontRefs.map((ref, i) => `/F${i + 1} ${ref} 0 R`).join(' ')} >>`,
+        `/XObject << ${imageRefs.map((ref, i) => `/Im${i + 1} ${ref} 0 R`).join(' ')} >>`,
+        `/ExtGState << ${page.alphas.map((alpha, i) => `/GS${i + 1} << /ca ${alpha} /CA ${alpha} >>`).join(' ')} >>`
+    ].join(' ');
+    objects[0] = { dict: '/Type /Catalog /Pages 2 0 R' };
+    objects[1] = { dict: '/Type /Pages /Kids [3 0 R] /Count 1' };
+    objects[2] = {
+        dict: `/Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << ${resources} >> /Contents 4 0 R`
+    };
+    objects[3] = { dict: '', stream: page.ops.join('\n') };
+
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let length = 0;
+    const write = part => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    // The binary comment tells transfer tools not to treat the file as text
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+    const offsets = objects.map((obj, i) => {
+        const offset = length;
+        if (obj.stream !== undefined) {
+            const data = typeof obj.stream === 'string' ? encoder.encode(obj.stream) : obj.stream;
+            write(`${i + 1} 0 obj\n<< ${obj.dict}${obj.dict ? ' ' : ''}/Length ${data.length} >>\nstream\n`);
+            write(data);
+            write('\nendstream\nendobj\n');
+        } else {
+            write(`${i + 1} 0 obj\n<< ${obj.dict} >>\nendobj\n`);
+        }
+        return offset;
+    });
+    const xref = length;
+    write([
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        'startxref',
+        String(xref),
+        '%%EOF',
+        ''
+    ].join('\n'));
+
+    const bytes = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, position);
+        position += chunk.length;
+    });
+    return bytes;
+}
+
+async function encodePDFImage(source) {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, width, height);
+    const jpeg = dataURLToBytes(canvas.toDataURL('image/jpeg', JPEG_QUALITY));
+
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    const alpha = new Uint8Array(width * height);
+    let transparent = false;
+    for (let i = 0; i < alpha.length; i++) {
+        alpha[i] = pixels[i * 4 + 3];
+        if (alpha[i] < 255) transparent = true;
+    }
+    if (!transparent) return { width, height, jpeg, mask: null };
+    const compressed = await deflate(alpha);
+    return { width, height, jpeg, mask: { data: compressed || alpha, compressed: !!compressed } };
+}
+
+// zlib deflate, as FlateDecode expects; null where the browser has no CompressionStream
+async function deflate(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function dataURLToBytes(dataURL) {
+    const binary = atob(dataURL.slice(dataURL.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+let colorContext = null;
+
+// [r, g, b, a] of any CSS colour, as the browser reads it
+function parseColor(color) {
+    if (!colorContext) colorContext = createCanvas(1, 1).getContext('2d');
+    colorContext.fillStyle = '#000000';
+    colorContext.fillStyle = color || '#000000';
+    const value = colorContext.fillStyle;
+    if (value[0] === '#') {
+        return [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16)).concat(1);
+    }
+    const parts = value.slice(value.indexOf('(') + 1, -1).split(',').map(Number);
+    return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+}
+
+// Rotated bounds, grown by the stroke, or by the arrowheads, which reach past the line's ends
+function getPaintedBounds(canvasManager, obj) {
+    const bounds = canvasManager.getRotatedBounds(obj);
+    const pad = obj.type === 'arrow' ? Math.max(10, (obj.width || 1) * 5) : obj.width || 0;
+    return { x: bounds.x - pad, y: bounds.y - pad, w: bounds.w + pad * 2, h: bounds.h + pad * 2 };
+}
+
+function num(value) {
+    return String(Math.round(value * 1000) / 1000 + 0);
+}
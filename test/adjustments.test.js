@@ -0,0 +1,178 @@
+// @vitest-environment jsdom
+import { describe, expect, it, vi } from 'vitest';
+import { applyColorAdjustments, checkAdjustmentValue, getAdjustmentFilter, sharpenImage, sharpenRows } from '../src/adjustments.js';
+import { createEditor, installCanvas } from './helpers.js';
+
+function pixels(...rgb) {
+    return { data: new Uint8ClampedArray(rgb.flatMap(([r, g, b]) => [r, g, b, 255])) };
+}
+
+function adjust(rgb, adjustments) {
+    const imageData = pixels(rgb);
+    applyColorAdjustments(imageData, adjustments);
+    return Array.from(imageData.data.slice(0, 3));
+}
+
+describe('checkAdjustmentValue', () => {
+    it('accepts values in range', () => {
+        expect(checkAdjustmentValue('brightness', -100)).toBeNull();
+        expect(checkAdjustmentValue('grayscale', 100)).toBeNull();
+    });
+
+    it.each([
+        ['brightness', 101],
+        ['grayscale', -1],
+        ['sharpen', '50'],
+        ['contrast', NaN]
+    ])('rejects %s = %s', (key, value) => {
+        expect(checkAdjustmentValue(key, value)).toMatch(/must be a number from/);
+    });
+
+    it('rejects unknown keys', () => {
+        expect(checkAdjustmentValue('hue', 10)).toBe('is not an adjustment');
+    });
+});
+
+describe('getAdjustmentFilter', () => {
+    it('is none without adjustments', () => {
+        expect(getAdjustmentFilter({})).toBe('none');
+        expect(getAdjustmentFilter({ brightness: 0, sharpen: 50 })).toBe('none');
+    });
+
+    it('combines brightness and exposure into one gain', () => {
+        // +50 brightness is x1.5, +50 exposure is one stop, x2
+        expect(getAdjustmentFilter({ brightness: 50, exposure: 50 })).toBe('brightness(3)');
+    });
+
+    it('maps the other adjustments to their CSS functions', () => {
+        expect(getAdjustmentFilter({ contrast: -50, saturation: 100, grayscale: 25, invert: 100 }))
+            .toBe('contrast(0.5) saturate(2) grayscale(0.25) invert(1)');
+    });
+});
+
+describe('applyColorAdjustments', () => {
+    it('leaves pixels alone without adjustments', () => {
+        expect(adjust([10, 128, 250], {})).toEqual([10, 128, 250]);
+    });
+
+    it('scales and clamps brightness', () => {
+        expect(adjust([10, 100, 200], { brightness: 100 })).toEqual([20, 200, 255]);
+    });
+
+    it('stretches contrast around the middle grey', () => {
+        expect(adjust([100, 128, 200], { contrast: 100 })).toEqual([72, 128, 255]);
+    });
+
+    it('turns colours grey with full grayscale', () => {
+        const [r, g, b] = adjust([255, 0, 0], { grayscale: 100 });
+        expect(r).toBe(g);
+        expect(g).toBe(b);
+        expect(r).toBe(54); // 0.2126 * 255
+    });
+
+    it('inverts', () => {
+        expect(adjust([0, 100, 255], { invert: 100 })).toEqual([255, 155, 0]);
+    });
+
+    it('matches what the CSS filter would do for saturation', () => {
+        // saturate(0) is the same as grayscale(1) up to the rounding of the matrix coefficients
+        const desaturated = adjust([255, 0, 0], { saturation: -100 });
+        expect(desaturated.every(value => Math.abs(value - 54) <= 1)).toBe(true);
+    });
+});
+
+// A width x height RGBA image with a bright vertical line in the middle
+function linePixels(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4).fill(100);
+    for (let y = 0; y < height; y++) {
+        const i = (y * width + (width >> 1)) * 4;
+        data.fill(200, i, i + 3);
+    }
+    return data;
+}
+
+describe('sharpenRows', () => {
+    it('pushes pixels away from their neighbours and leaves the edges', () => {
+        const src = linePixels(5, 3);
+        const out = new Uint8ClampedArray(src);
+        sharpenRows(src, out, 5, 3, 50);
+        const at = (x, y) => out[(y * 5 + x) * 4];
+        // Line: 200 * 3 - 0.5 * (100 + 100 + 200 + 200); beside it: 100 * 3 - 0.5 * (100 + 200 + 100 + 100)
+        expect([at(1, 1), at(2, 1), at(3, 1)]).toEqual([50, 255, 50]);
+        expect([at(2, 0), at(0, 1), at(2, 2)]).toEqual([200, 100, 200]);
+        // Alpha is left alone
+        expect(out[(1 * 5 + 2) * 4 + 3]).toBe(100);
+    });
+
+    it('gives the same result band by band as in one go', () => {
+        const src = linePixels(7, 9);
+        const whole = new Uint8ClampedArray(src);
+        sharpenRows(src, whole, 7, 9, 80);
+        const banded = new Uint8ClampedArray(src);
+        [[0, 2], [2, 5], [5, 9]].forEach(([from, to]) => sharpenRows(src, banded, 7, 9, 80, from, to));
+        expect(banded).toEqual(whole);
+    });
+});
+
+describe('sharpenImage', () => {
+    installCanvas();
+    const image = document.createElement('canvas');
+
+    it('gives the browser control back between slices', async () => {
+        const done = vi.fn();
+        const sharpened = sharpenImage(image, 1000, 1000, 50).then(done);
+        await new Promise(resolve => setTimeout(resolve));
+        expect(done).not.toHaveBeenCalled();
+        await sharpened;
+        expect(done).toHaveBeenCalledWith(expect.objectContaining({ width: 1000, height: 1000 }));
+    });
+
+    it('stops when aborted', async () => {
+        const controller = new AbortController();
+        const sharpened = sharpenImage(image, 1000, 1000, 50, controller.signal);
+        controller.abort();
+        expect(await sharpened).toBeNull();
+    });
+});
+
+describe('editor adjustments', () => {
+    it('sharpen in the background and resolve adjust() when done', async () => {
+        const editor = await createEditor({}, 'test://1000x1000');
+        const { canvasManager } = editor;
+        const ready = editor.adjust({ sharpen: 40 });
+        expect(canvasManager.adjustmentJob).toMatchObject({ key: '{"sharpen":40}', scale: 1 });
+        expect(editor.canUndo()).toBe(true);
+
+        await ready;
+        expect(canvasManager.adjustmentJob).toBeNull();
+        expect(canvasManager.adjustedImage).toMatchObject({ key: '{"sharpen":40}', scale: 1 });
+    });
+
+    it('drop the running job when the values change, and wait for the new one', async () => {
+        const editor = await createEditor({}, 'test://1000x1000');
+        const { canvasManager } = editor;
+        const first = editor.adjust({ sharpen: 10 }, { preview: true });
+        const job = canvasManager.adjustmentJob;
+        const second = editor.adjust({ sharpen: 60 });
+        expect(job.controller.signal.aborted).toBe(true);
+        await Promise.all([first, second]);
+        expect(canvasManager.adjustedImage.key).toBe('{"sharpen":60}');
+    });
+
+    it('are waited for by exportBlob()', async () => {
+        const editor = await createEditor({}, 'test://1000x1000');
+        editor.adjust({ sharpen: 40 });
+        const blob = await editor.exportBlob();
+        expect(blob.size).toBe(1000 * 1000);
+        expect(editor.canvasManager.adjustedImage).toMatchObject({ key: '{"sharpen":40}', scale: 1 });
+    });
+
+    it('are finished on the spot by export()', async () => {
+        const editor = await createEditor({}, 'test://1000x1000');
+        editor.adjust({ sharpen: 40 });
+        const job = editor.canvasManager.adjustmentJob;
+        expect(editor.export()).toMatch(/^data:image\/png/);
+        expect(job.controller.signal.aborted).toBe(true);
+        expect(editor.canvasManager.adjustedImage).toMatchObject({ key: '{"sharpen":40}', scale: 1 });
+    });
+});
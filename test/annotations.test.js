@@ -0,0 +1,129 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { formatAnnotations, parseAnnotations } from '../src/annotations.js';
+
+const image = { fileName: 'shot.png', width: 200, height: 100 };
+
+function box(x, y, w, h) {
+    return [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+}
+
+const regions = [
+    { label: 'car', polygon: box(10, 20, 50, 30) },
+    { label: 'person', polygon: [{ x: 100, y: 10 }, { x: 140, y: 10 }, { x: 120, y: 60 }] }
+];
+
+const boxes = [
+    { label: 'car', bbox: { x: 10, y: 20, w: 50, h: 30 } },
+    { label: 'person', bbox: { x: 100, y: 10, w: 40, h: 50 } }
+];
+
+describe('COCO', () => {
+    it('round-trips boxes and labels', () => {
+        const data = formatAnnotations('coco', regions, image);
+        expect(parseAnnotations('coco', data, image)).toEqual(boxes);
+    });
+
+    it('writes categories in the given class order and the polygon area', () => {
+        const doc = JSON.parse(formatAnnotations('coco', regions, image, ['person']));
+        expect(doc.categories).toEqual([{ id: 1, name: 'person' }, { id: 2, name: 'car' }]);
+        expect(doc.annotations[0]).toMatchObject({ category_id: 2, bbox: [10, 20, 50, 30], area: 1500 });
+        expect(doc.annotations[1]).toMatchObject({ category_id: 1, area: 1000 });
+    });
+
+    it('only reads the annotations of the matching image', () => {
+        const doc = {
+            images: [{ id: 1, file_name: 'other.png' }, { id: 2, file_name: 'shot.png' }],
+            categories: [{ id: 5, name: 'dog' }],
+            annotations: [
+                { image_id: 1, category_id: 5, bbox: [0, 0, 1, 1] },
+                { image_id: 2, category_id: 5, bbox: [5, 5, 10, 10] }
+            ]
+        };
+        expect(parseAnnotations('coco', doc, image)).toEqual([{ label: 'dog', bbox: { x: 5, y: 5, w: 10, h: 10 } }]);
+    });
+
+    it.each([
+        ['text that is not JSON', '{', /Invalid COCO annotations/],
+        ['a file without annotations', '{}', /"annotations" must be an array/],
+        ['a bbox with too few values', { annotations: [{ bbox: [1, 2, 3] }] }, /annotations\[0\]\.bbox/],
+        ['a bbox with strings', { annotations: [{ bbox: ['1', 2, 3, 4] }] }, /annotations\[0\]\.bbox/],
+        [
+            'several images without the edited one',
+            { images: [{ id: 1, file_name: 'a.png' }, { id: 2, file_name: 'b.png' }], annotations: [] },
+            /no image named "shot\.png"/
+        ]
+    ])('rejects %s', (_, data, message) => {
+        expect(() => parseAnnotations('coco', data, image)).toThrow(message);
+    });
+});
+
+describe('Pascal VOC', () => {
+    it('round-trips whole-pixel boxes and labels', () => {
+        const data = formatAnnotations('voc', regions, image);
+        expect(parseAnnotations('voc', data, image)).toEqual(boxes);
+    });
+
+    it('numbers pixels from 1 and marks boxes cut at the image edge as truncated', () => {
+        const data = formatAnnotations('voc', [{ label: 'a & b', polygon: box(-10, 0, 30, 20) }], image);
+        expect(data).toContain('<name>a &amp; b</name>');
+        expect(data).toContain('<truncated>1</truncated>');
+        expect(data).toContain('<xmin>1</xmin>');
+        expect(data).toContain('<xmax>20</xmax>');
+    });
+
+    it('leaves out regions entirely outside the image', () => {
+        const data = formatAnnotations('voc', [{ label: 'gone', polygon: box(300, 0, 10, 10) }], image);
+        expect(data).not.toContain('<object>');
+    });
+
+    it.each([
+        ['text that is not XML', 'not xml', /expected an <annotation> XML document/],
+        ['another root element', '<dataset/>', /expected an <annotation> XML document/],
+        [
+            'an object without a box',
+            '<annotation><object><name>car</name></object></annotation>',
+            /object 1 needs a numeric <xmin>/
+        ],
+        [
+            'a non-numeric coordinate',
+            '<annotation><object><bndbox><xmin>1</xmin><ymin>1</ymin><xmax>x</xmax><ymax>5</ymax></bndbox></object></annotation>',
+            /object 1 needs a numeric <xmax>/
+        ]
+    ])('rejects %s', (_, data, message) => {
+        expect(() => parseAnnotations('voc', data, image)).toThrow(message);
+    });
+});
+
+describe('YOLO', () => {
+    it('round-trips boxes with the class list', () => {
+        const classes = ['person', 'car'];
+        const data = formatAnnotations('yolo', regions, image, classes);
+        expect(data).toBe('1 0.175000 0.350000 0.250000 0.300000\n0 0.600000 0.350000 0.200000 0.500000\n');
+        // Relative coordinates come back up to floating point error
+        const parsed = parseAnnotations('yolo', data, image, classes);
+        expect(parsed.map(region => region.label)).toEqual(['car', 'person']);
+        parsed.forEach((region, i) => {
+            Object.entries(boxes[i].bbox).forEach(([key, value]) => expect(region.bbox[key]).toBeCloseTo(value, 6));
+        });
+    });
+
+    it('labels boxes by class index without a class list', () => {
+        const parsed = parseAnnotations('yolo', '3 0.5 0.5 1 1\r\n\n', image);
+        expect(parsed).toEqual([{ label: '3', bbox: { x: 0, y: 0, w: 200, h: 100 } }]);
+    });
+
+    it('writes nothing for no regions', () => {
+        expect(formatAnnotations('yolo', [], image)).toBe('');
+    });
+
+    it.each([
+        ['too few values', '0 0.5 0.5 0.1'],
+        ['a named class', 'car 0.5 0.5 0.1 0.1'],
+        ['a negative class', '-1 0.5 0.5 0.1 0.1'],
+        ['a non-numeric coordinate', '0 0.5 half 0.1 0.1']
+    ])('rejects a line with %s', (_, line) => {
+        expect(() => parseAnnotations('yolo', `0 0.5 0.5 0.1 0.1\n${line}`, image))
+            .toThrow('Invalid YOLO annotations: line 2 must be "class x y width height"');
+    });
+});
@@ -0,0 +1,87 @@
+// @vitest-environment jsdom
+import { describe, expect, it, vi } from 'vitest';
+import { createEditor } from './helpers.js';
+
+const MIME = 'application/x-crop-annotate+json';
+
+function pasteEvent(payload) {
+    return {
+        clipboardData: { getData: type => (type === MIME ? payload : ''), items: [] },
+        preventDefault: vi.fn()
+    };
+}
+
+function copyEvent() {
+    const data = {};
+    return { data, clipboardData: { setData: (type, value) => { data[type] = value; } }, preventDefault: vi.fn() };
+}
+
+// Pasted objects are inserted once their images have loaded
+const settle = () => new Promise(resolve => setTimeout(resolve));
+
+describe('clipboard', () => {
+    it('pastes annotations copied from another editor, with new ids and an offset', async () => {
+        const source = await createEditor({}, 'test://100x100');
+        const rect = source.addObject({ type: 'rect', x: 10, y: 10, w: 20, h: 20, label: 'car' });
+        source.selectAll();
+        const copy = copyEvent();
+        source.clipboard.handleCopy(copy);
+        expect(copy.preventDefault).toHaveBeenCalled();
+
+        const target = await createEditor({}, 'test://100x100');
+        const paste = pasteEvent(copy.data[MIME]);
+        target.clipboard.handlePaste(paste);
+        await settle();
+        expect(paste.preventDefault).toHaveBeenCalled();
+        const [pasted] = target.state.objects;
+        expect(pasted).toMatchObject({ type: 'rect', x: 20, y: 20, w: 20, h: 20, label: 'car' });
+        expect(pasted.id).not.toBe(rect.id);
+        expect(target.getSelection()).toHaveLength(1);
+    });
+
+    it.each([
+        ['an object without a type', [{ x: 0, y: 0, w: 10, h: 10 }]],
+        ['non-numeric coordinates', [{ type: 'rect', x: '0', y: 0, w: 'wide', h: 10 }]],
+        ['points that are not an array', [{ type: 'pencil', points: 'M0 0' }]],
+        ['a valid object next to a broken one', [{ type: 'rect', x: 0, y: 0, w: 5, h: 5 }, null]],
+        ['a group with a broken member', [{ type: 'group', children: [{ type: 'circle', x: 0 }] }]]
+    ])('drops a pasted payload with %s', async (_, objects) => {
+        const editor = await createEditor({}, 'test://100x100');
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        editor.clipboard.handlePaste(pasteEvent(JSON.stringify(objects)));
+        await settle();
+        expect(editor.state.objects).toEqual([]);
+        expect(editor.clipboard.objects).toEqual([]);
+        expect(error).toHaveBeenCalledWith('Paste error:', expect.objectContaining({ message: expect.stringMatching(/^Invalid pasted annotations: objects\[\d\]/) }));
+
+        // The in-memory clipboard is still there for the next paste
+        editor.addObject({ type: 'rect', x: 0, y: 0, w: 5, h: 5 });
+        editor.selectAll();
+        editor.copy();
+        editor.clipboard.handlePaste(pasteEvent(JSON.stringify(objects)));
+        await settle();
+        expect(editor.paste()).toBe(true);
+        expect(editor.state.objects).toHaveLength(2);
+        error.mockRestore();
+    });
+
+    it('ignores payloads that are not JSON arrays', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        ['{', '{"type":"rect"}', '[]'].forEach(payload => editor.clipboard.handlePaste(pasteEvent(payload)));
+        await settle();
+        expect(editor.state.objects).toEqual([]);
+    });
+
+    it('duplicates and pastes cut objects back in place', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        editor.addObject({ type: 'circle', x: 10, y: 10, w: 20, h: 20 });
+        editor.selectAll();
+        expect(editor.duplicate()).toBe(true);
+        expect(editor.state.objects[1]).toMatchObject({ x: 20, y: 20 });
+
+        editor.cut();
+        expect(editor.state.objects).toHaveLength(1);
+        editor.paste();
+        expect(editor.state.objects[1]).toMatchObject({ x: 20, y: 20 });
+    });
+});
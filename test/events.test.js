@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { describe, expect, it, vi } from 'vitest';
+import EventEmitter from '../src/events.js';
+import { createEditor } from './helpers.js';
+
+describe('EventEmitter', () => {
+    it('calls handlers in order with the payload and the emitter as this', () => {
+        const emitter = new EventEmitter();
+        const calls = [];
+        emitter.on('change', function (payload) { calls.push(['a', payload, this]); });
+        emitter.on('change', payload => calls.push(['b', payload]));
+        emitter.emit('change', { value: 1 });
+        expect(calls).toEqual([['a', { value: 1 }, emitter], ['b', { value: 1 }]]);
+    });
+
+    it('calls once() handlers a single time', () => {
+        const emitter = new EventEmitter();
+        const handler = vi.fn();
+        emitter.once('change', handler);
+        emitter.emit('change', 1);
+        emitter.emit('change', 2);
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith(1);
+    });
+
+    it('removes once() handlers by the function passed to it', () => {
+        const emitter = new EventEmitter();
+        const handler = vi.fn();
+        emitter.once('change', handler).off('change', handler);
+        emitter.emit('change');
+        expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('removes one handler, or all of an event', () => {
+        const emitter = new EventEmitter();
+        const kept = vi.fn();
+        const removed = vi.fn();
+        const other = vi.fn();
+        emitter.on('change', kept).on('change', removed).on('other', other);
+        emitter.off('change', removed);
+        emitter.emit('change');
+        expect(kept).toHaveBeenCalledTimes(1);
+        expect(removed).not.toHaveBeenCalled();
+
+        emitter.off('change').off('missing');
+        emitter.emit('change');
+        emitter.emit('other');
+        expect(kept).toHaveBeenCalledTimes(1);
+        expect(other).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps calling the other handlers when one is removed or throws during emit', () => {
+        const emitter = new EventEmitter();
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const last = vi.fn();
+        emitter.once('change', () => {});
+        emitter.on('change', () => { throw new Error('boom'); });
+        emitter.on('change', last);
+        emitter.emit('change');
+        expect(last).toHaveBeenCalledTimes(1);
+        expect(error).toHaveBeenCalledWith('Error in "change" handler:', expect.any(Error));
+        error.mockRestore();
+    });
+
+    it('rejects handlers that are not functions', () => {
+        expect(() => new EventEmitter().on('change', 'nope')).toThrow(new TypeError('Handler for "change" must be a function'));
+    });
+});
+
+describe('editor events', () => {
+    it('report object and history changes', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const events = [];
+        ['objectAdded', 'objectModified', 'objectRemoved', 'historyChanged'].forEach(name => {
+            editor.on(name, () => events.push(name));
+        });
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        editor.updateObject(rect.id, { x: 5 });
+        editor.removeObject(rect.id);
+        expect(events.filter(name => name !== 'historyChanged')).toEqual(['objectAdded', 'objectModified', 'objectRemoved']);
+        expect(events).toContain('historyChanged');
+    });
+});
@@ -0,0 +1,101 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { createExportCanvas, encodeBlob, encodeDataURL, formatFromFileName, normalizeExportOptions } from '../src/exporter.js';
+import { installCanvas } from './helpers.js';
+
+// Encodes to a payload of 10000 bytes at quality 1, and proportionally less below it
+function createSizedCanvas() {
+    const qualities = [];
+    return {
+        qualities,
+        toDataURL(format, quality) {
+            qualities.push(quality);
+            return `data:${format};base64,${'A'.repeat(Math.round(quality * 10000 / 3) * 4)}`;
+        },
+        toBlob(callback, format, quality) {
+            qualities.push(quality);
+            callback(new Blob([new Uint8Array(Math.round(quality * 10000))], { type: format }));
+        }
+    };
+}
+
+describe('normalizeExportOptions', () => {
+    it('fills in defaults', () => {
+        expect(normalizeExportOptions()).toEqual({
+            format: 'image/png', quality: 0.92, scale: 1, maxWidth: Infinity, maxHeight: Infinity, targetBytes: null, background: null
+        });
+    });
+
+    it('accepts the legacy format and quality arguments', () => {
+        expect(normalizeExportOptions('image/webp', 0.5)).toMatchObject({ format: 'image/webp', quality: 0.5 });
+    });
+
+    it('flattens JPEG onto white unless a background is given', () => {
+        expect(normalizeExportOptions({ format: 'image/jpeg' }).background).toBe('#ffffff');
+        expect(normalizeExportOptions({ format: 'image/jpeg', background: null }).background).toBeNull();
+        expect(normalizeExportOptions({ format: 'image/png', background: '#000' }).background).toBe('#000');
+    });
+
+    it('ignores sizes that are not positive', () => {
+        expect(normalizeExportOptions({ scale: -1, maxWidth: 0, maxHeight: 'big', targetBytes: -5 })).toMatchObject({
+            scale: 1, maxWidth: Infinity, maxHeight: Infinity, targetBytes: null
+        });
+    });
+});
+
+describe('formatFromFileName', () => {
+    it.each([
+        ['shot.PNG', 'image/png'],
+        ['photo.jpeg', 'image/jpeg'],
+        ['a.b.webp', 'image/webp'],
+        ['notes.txt', null],
+        ['no-extension', null]
+    ])('reads %s as %s', (name, format) => {
+        expect(formatFromFileName(name)).toBe(format);
+    });
+});
+
+describe('targetBytes', () => {
+    it('lowers the quality of a data URL until it fits, keeping the best that does', () => {
+        const canvas = createSizedCanvas();
+        const dataUrl = encodeDataURL(canvas, normalizeExportOptions({ format: 'image/jpeg', targetBytes: 5000 }));
+        const bytes = dataUrl.length - dataUrl.indexOf(',') - 1;
+        expect(bytes * 3 / 4).toBeLessThanOrEqual(5000);
+        expect(bytes * 3 / 4).toBeGreaterThan(4500);
+        expect(canvas.qualities[0]).toBe(0.92);
+    });
+
+    it('lowers the quality of a Blob until it fits', async () => {
+        const blob = await encodeBlob(createSizedCanvas(), normalizeExportOptions({ format: 'image/webp', targetBytes: 3000 }));
+        expect(blob.size).toBeLessThanOrEqual(3000);
+        expect(blob.size).toBeGreaterThan(2700);
+    });
+
+    it('stops at the first try when it already fits', async () => {
+        const canvas = createSizedCanvas();
+        await encodeBlob(canvas, normalizeExportOptions({ format: 'image/jpeg', quality: 0.8, targetBytes: 9000 }));
+        expect(canvas.qualities).toEqual([0.8]);
+    });
+
+    it('returns the smallest result when nothing fits', async () => {
+        const blob = await encodeBlob(createSizedCanvas(), normalizeExportOptions({ format: 'image/jpeg', targetBytes: 10 }));
+        expect(blob.size).toBeLessThan(1000);
+    });
+
+    it('leaves lossless formats alone', () => {
+        const canvas = createSizedCanvas();
+        encodeDataURL(canvas, normalizeExportOptions({ format: 'image/png', targetBytes: 10 }));
+        expect(canvas.qualities).toEqual([0.92]);
+    });
+});
+
+describe('createExportCanvas', () => {
+    it('scales to fit the maximum size, keeping the aspect ratio', () => {
+        installCanvas();
+        const source = Object.assign(document.createElement('canvas'), { width: 400, height: 200 });
+        const canvas = createExportCanvas(source, normalizeExportOptions({ scale: 2, maxWidth: 300 }));
+        expect([canvas.width, canvas.height]).toEqual([300, 150]);
+        const larger = createExportCanvas(source, normalizeExportOptions({ scale: 1.5 }));
+        expect([larger.width, larger.height]).toEqual([600, 300]);
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Test helpers for running the editor under jsdom, which has no canvas drawing and
+ * doesn't load images.
+ */
+
+import CropAnnotate from '../src/editor.js';
+
+// Advance width of every character, relative to the font size
+export const CHAR_WIDTH = 0.5;
+
+let installed = false;
+
+/**
+ * Give canvases a 2D context that records nothing but measures text predictably,
+ * and make Image load "test://<width>x<height>" URLs at that size.
+ */
+export function installCanvas() {
+    if (installed) return;
+    installed = true;
+    HTMLCanvasElement.prototype.getContext = function () {
+        if (!this.context) this.context = createContext(this);
+        return this.context;
+    };
+    HTMLCanvasElement.prototype.toDataURL = () => 'data:image/png;base64,';
+    HTMLCanvasElement.prototype.toBlob = function (callback, type = 'image/png') {
+        setTimeout(() => callback(new Blob([new Uint8Array(this.width * this.height)], { type })));
+    };
+    globalThis.Image = class {
+        set src(value) {
+            this.currentSrc = value;
+            const size = /^test:\/\/(\d+)x(\d+)$/.exec(value);
+            setTimeout(() => {
+                if (!size) return this.onerror && this.onerror(new Error(`Cannot load ${value}`));
+                this.width = this.naturalWidth = Number(size[1]);
+                this.height = this.naturalHeight = Number(size[2]);
+                this.onload && this.onload();
+            });
+        }
+
+        get src() {
+            return this.currentSrc;
+        }
+    };
+}
+
+/**
+ * Create an editor in a container attached to the page.
+ * @param {Object} [options] - Editor options
+ * @param {string} [image] - Image to load, e.g. 'test://200x100'
+ * @returns {Promise<CropAnnotate>}
+ */
+export async function createEditor(options = {}, image = null) {
+    installCanvas();
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const editor = new CropAnnotate(container, options);
+    if (image) await editor.loadImage(image);
+    return editor;
+}
+
+// Calls to anything but the methods below do nothing; properties keep what is set
+function createContext(canvas) {
+    const state = {
+        canvas,
+        font: '10px sans-serif',
+        measureText(text) {
+            const size = parseFloat(/(\d+(?:\.\d+)?)px/.exec(this.font)[1]);
+            return { width: Array.from(String(text)).length * size * CHAR_WIDTH };
+        },
+        getImageData(x, y, width, height) {
+            return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        },
+        createImageData(width, height) {
+            return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        },
+        getLineDash() {
+            return [];
+        }
+    };
+    return new Proxy(state, {
+        get(target, key) {
+            return key in target ? target[key] : () => {};
+        }
+    });
+}
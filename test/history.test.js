@@ -0,0 +1,132 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import HistoryManager from '../src/history.js';
+import { createEditor } from './helpers.js';
+
+function createHistory(maxHistory = 50) {
+    const editor = {
+        options: { maxHistory },
+        state: { objects: [], image: { id: 'bitmap' }, transforms: [], adjustments: {} },
+        canvasManager: {
+            canvas: { width: 100, height: 50 },
+            setCanvasSize(width, height) {
+                this.canvas.width = width;
+                this.canvas.height = height;
+            }
+        }
+    };
+    return { editor, history: new HistoryManager(editor) };
+}
+
+describe('HistoryManager', () => {
+    it('keeps at most maxHistory steps, dropping the oldest', () => {
+        const { editor, history } = createHistory(3);
+        for (let x = 0; x < 5; x++) {
+            editor.state.objects = [{ id: 'a', type: 'rect', x, y: 0, w: 1, h: 1 }];
+            history.push();
+        }
+        expect(history.entries).toHaveLength(3);
+        expect(history.undo()).toBe(true);
+        expect(history.undo()).toBe(true);
+        expect(history.undo()).toBe(false);
+        history.restore();
+        expect(editor.state.objects[0].x).toBe(2);
+    });
+
+    it('reuses the record of an unchanged object and shares the image', () => {
+        const { editor, history } = createHistory();
+        const still = { id: 'a', type: 'rect', x: 0, y: 0, w: 1, h: 1 };
+        const moving = { id: 'b', type: 'rect', x: 0, y: 0, w: 1, h: 1 };
+        editor.state.objects = [still, moving];
+        history.push();
+        moving.x = 10;
+        history.push();
+
+        const [first, second] = history.entries;
+        expect(second.objects[0]).toBe(first.objects[0]);
+        expect(second.objects[1]).not.toBe(first.objects[1]);
+        expect(second.image).toBe(first.image);
+    });
+
+    it('keeps reusing records for the objects undo brings back', () => {
+        const { editor, history } = createHistory();
+        editor.state.objects = [{ id: 'a', type: 'rect', x: 0, y: 0, w: 1, h: 1 }];
+        history.push();
+        editor.state.objects.push({ id: 'b', type: 'rect', x: 5, y: 5, w: 1, h: 1 });
+        history.push();
+        history.undo();
+        history.restore();
+        history.push();
+        expect(history.entries[1].objects[0]).toBe(history.entries[0].objects[0]);
+    });
+
+    it('restores objects, transforms, adjustments and the canvas size', () => {
+        const { editor, history } = createHistory();
+        editor.state.objects = [{ id: 'a', type: 'rect', x: 0, y: 0, w: 1, h: 1 }];
+        history.push();
+        editor.state.objects[0].x = 20;
+        editor.state.transforms.push({ type: 'rotate', direction: 'right' });
+        editor.state.adjustments = { brightness: 10 };
+        editor.state.image = { id: 'rotated' };
+        editor.canvasManager.canvas = { width: 50, height: 100 };
+        history.push();
+
+        history.undo();
+        history.restore();
+        expect(editor.state.objects).toEqual([{ id: 'a', type: 'rect', x: 0, y: 0, w: 1, h: 1 }]);
+        expect(editor.state.transforms).toEqual([]);
+        expect(editor.state.adjustments).toEqual({});
+        expect(editor.state.image).toEqual({ id: 'bitmap' });
+        expect(editor.canvasManager.canvas).toEqual({ width: 100, height: 50 });
+
+        history.redo();
+        history.restore();
+        expect(editor.state.objects[0].x).toBe(20);
+        expect(editor.state.transforms).toHaveLength(1);
+        expect(editor.canvasManager.canvas).toEqual({ width: 50, height: 100 });
+    });
+
+    it('drops redo steps on a new push', () => {
+        const { editor, history } = createHistory();
+        [0, 1, 2].forEach(x => {
+            editor.state.objects = [{ id: 'a', x }];
+            history.push();
+        });
+        history.undo();
+        history.undo();
+        history.push();
+        expect(history.canRedo()).toBe(false);
+        expect(history.entries).toHaveLength(2);
+    });
+
+    it('keeps only the current step on clear and nothing on reset', () => {
+        const { history } = createHistory();
+        history.push();
+        history.push();
+        history.clear();
+        expect(history.entries).toHaveLength(1);
+        expect(history.canUndo()).toBe(false);
+        history.reset();
+        expect(history.current()).toBeNull();
+    });
+});
+
+describe('editor undo and redo', () => {
+    it('step through object changes', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        editor.updateObject(rect.id, { x: 30 });
+        expect(editor.canUndo()).toBe(true);
+
+        editor.undo();
+        expect(editor.getObject(rect.id).x).toBe(0);
+        editor.undo();
+        expect(editor.getObject(rect.id)).toBeNull();
+        expect(editor.canUndo()).toBe(false);
+
+        editor.redo();
+        editor.redo();
+        expect(editor.getObject(rect.id).x).toBe(30);
+        expect(editor.canRedo()).toBe(false);
+    });
+});
@@ -0,0 +1,162 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { createEditor } from './helpers.js';
+
+describe('addObject', () => {
+    it('gives the object an id and fills in the current style', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10, meta: { tag: 'a' } });
+        expect(rect.id).toEqual(expect.any(String));
+        expect(rect).toMatchObject({ color: editor.state.currentColor, width: editor.state.currentWidth, meta: { tag: 'a' } });
+        expect(editor.getObject(rect.id)).toEqual(rect);
+    });
+
+    it('keeps given ids, also of group members', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        editor.addObject({
+            type: 'group', id: 'g', children: [
+                { type: 'rect', id: 'r', x: 0, y: 0, w: 10, h: 10 },
+                { type: 'step', x: 5, y: 5 }
+            ]
+        });
+        expect(editor.getObject('r')).toMatchObject({ type: 'rect', id: 'r' });
+        const group = editor.getObject('g');
+        expect(group.children[1].id).toEqual(expect.any(String));
+    });
+
+    it('returns and stores copies', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const spec = { type: 'rect', x: 0, y: 0, w: 10, h: 10, meta: { tags: ['a'] } };
+        const rect = editor.addObject(spec);
+        spec.meta.tags.push('b');
+        rect.x = 50;
+        editor.getObject(rect.id).meta.tags.push('c');
+        expect(editor.getObject(rect.id)).toMatchObject({ x: 0, meta: { tags: ['a'] } });
+    });
+
+    it.each([
+        ['no spec', null],
+        ['an unknown type', { type: 'star', x: 0, y: 0 }],
+        ['a missing size', { type: 'rect', x: 0, y: 0 }],
+        ['text without a string', { type: 'text', x: 0, y: 0, text: 5 }],
+        ['a broken group member', { type: 'group', children: [{ type: 'rect' }] }]
+    ])('rejects %s', async (_, spec) => {
+        const editor = await createEditor({}, 'test://100x100');
+        expect(() => editor.addObject(spec)).toThrow(/^addObject: /);
+        expect(editor.state.objects).toEqual([]);
+        expect(editor.canUndo()).toBe(false);
+    });
+
+    it('rejects ids that are already used', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        editor.addObject({ type: 'rect', id: 'a', x: 0, y: 0, w: 10, h: 10 });
+        expect(() => editor.addObject({ type: 'circle', id: 'a', x: 0, y: 0, w: 5, h: 5 }))
+            .toThrow(new TypeError('addObject: id "a" is already used'));
+        expect(() => editor.addObject({
+            type: 'group', children: [{ type: 'step', id: 'b', x: 0, y: 0 }, { type: 'step', id: 'b', x: 1, y: 1 }]
+        })).toThrow(new TypeError('addObject: id "b" is already used'));
+        expect(editor.state.objects).toHaveLength(1);
+    });
+});
+
+describe('updateObject', () => {
+    it('patches properties, removes undefined ones, and keeps the id', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10, fill: '#fff', meta: { n: 1 } });
+        const updated = editor.updateObject(rect.id, { x: 20, fill: undefined, meta: { n: 2 } });
+        expect(updated).toMatchObject({ id: rect.id, x: 20, meta: { n: 2 } });
+        expect(updated).not.toHaveProperty('fill');
+        expect(editor.getObject(rect.id)).toEqual(updated);
+    });
+
+    it('keeps the id through undo and redo', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        editor.updateObject(rect.id, { color: '#ff0000' });
+        editor.undo();
+        expect(editor.getObject(rect.id).color).toBe(rect.color);
+        editor.redo();
+        expect(editor.getObject(rect.id).color).toBe('#ff0000');
+    });
+
+    it('keeps the selection and the members of a group', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        editor.addObject({ type: 'rect', id: 'a', x: 0, y: 0, w: 10, h: 10 });
+        editor.addObject({ type: 'rect', id: 'b', x: 20, y: 0, w: 10, h: 10 });
+        editor.selectAll();
+        editor.group();
+        const [group] = editor.state.objects;
+        const members = group.children;
+        editor.updateObject(group.id, { meta: { locked: true } });
+
+        expect(editor.state.objects[0]).toBe(group);
+        expect(group.children).toBe(members);
+        expect(editor.getSelection().map(obj => obj.id)).toEqual([group.id]);
+        expect(editor.getObject(group.id).children.map(obj => obj.id)).toEqual(['a', 'b']);
+    });
+
+    it('rejects changes to id, type and children, and invalid values', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        const error = new TypeError('updateObject: id, type and children can not be changed');
+        expect(() => editor.updateObject(rect.id, { id: 'other' })).toThrow(error);
+        expect(() => editor.updateObject(rect.id, { type: 'circle' })).toThrow(error);
+        expect(() => editor.updateObject(rect.id, { w: 'wide' })).toThrow(/^updateObject: /);
+        expect(() => editor.updateObject(rect.id, null)).toThrow(new TypeError('updateObject: patch must be an object'));
+        // Passing the current id or type along is fine
+        expect(editor.updateObject(rect.id, { id: rect.id, type: 'rect', x: 1 }).x).toBe(1);
+        expect(editor.getObject(rect.id)).toMatchObject({ w: 10, h: 10 });
+    });
+
+    it('returns null for an unknown id', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        expect(editor.updateObject('missing', { x: 1 })).toBeNull();
+        expect(editor.getObject('missing')).toBeNull();
+    });
+});
+
+describe('removeObject', () => {
+    it('removes objects and group members by id', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        editor.addObject({
+            type: 'group', id: 'g', children: [
+                { type: 'rect', id: 'a', x: 0, y: 0, w: 10, h: 10 },
+                { type: 'rect', id: 'b', x: 20, y: 0, w: 10, h: 10 }
+            ]
+        });
+        expect(editor.removeObject('a')).toBe(true);
+        expect(editor.getObject('g').children.map(obj => obj.id)).toEqual(['b']);
+        expect(editor.removeObject('a')).toBe(false);
+
+        // A group without members goes with its last one
+        expect(editor.removeObject('b')).toBe(true);
+        expect(editor.getObject('g')).toBeNull();
+        expect(editor.state.objects).toEqual([]);
+    });
+
+    it('drops the object from the selection and brings it back with its id on undo', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        editor.selectAll();
+        editor.removeObject(rect.id);
+        expect(editor.getSelection()).toEqual([]);
+        editor.undo();
+        expect(editor.getObject(rect.id)).toEqual(rect);
+    });
+});
+
+describe('object ids', () => {
+    it('survive a document round-trip and are renewed for copies', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        const copy = await createEditor();
+        await copy.loadJSON(editor.toJSON());
+        expect(copy.getObject(rect.id)).toEqual(rect);
+
+        copy.selectAll();
+        copy.duplicate();
+        const ids = copy.state.objects.map(obj => obj.id);
+        expect(new Set(ids).size).toBe(2);
+        expect(ids[0]).toBe(rect.id);
+    });
+});
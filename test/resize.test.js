@@ -0,0 +1,126 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { createEditor } from './helpers.js';
+
+const OPS = [
+    { type: 'resize', w: 50, h: 150 },
+    { type: 'extend', top: 10, right: 0, bottom: 5, left: 30 }
+];
+
+function expectPoint(actual, expected) {
+    expect(actual.x).toBeCloseTo(expected.x, 6);
+    expect(actual.y).toBeCloseTo(expected.y, 6);
+}
+
+describe('resize and extend mappings', () => {
+    it.each(OPS)('maps points back after $type', async op => {
+        const { canvasManager } = await createEditor();
+        const forward = canvasManager.getTransformMapping(op, 200, 100);
+        const inverse = canvasManager.getInverseTransformMapping(op, 200, 100);
+        [{ x: 0, y: 0 }, { x: 200, y: 100 }, { x: 37.5, y: 81.25 }].forEach(point => {
+            expectPoint(inverse(forward(point)), point);
+        });
+    });
+
+    it('scales and shifts the corners of the image', async () => {
+        const { canvasManager } = await createEditor();
+        const resize = canvasManager.getTransformMapping(OPS[0], 200, 100);
+        expectPoint(resize({ x: 200, y: 100 }), { x: 50, y: 150 });
+        expectPoint(resize({ x: 100, y: 50 }), { x: 25, y: 75 });
+        const extend = canvasManager.getTransformMapping(OPS[1], 200, 100);
+        expectPoint(extend({ x: 0, y: 0 }), { x: 30, y: 10 });
+    });
+
+    it('maps the canvas back to the loaded image', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        editor.resizeImage({ scale: 0.5 });
+        editor.extendCanvas({ left: 20, top: 10 });
+        expect(editor.getImageSize()).toEqual({ width: 120, height: 60 });
+        const mapping = editor.canvasManager.getSourceMapping();
+        expectPoint(mapping.toSource({ x: 20, y: 10 }), { x: 0, y: 0 });
+        expectPoint(mapping.toSource({ x: 120, y: 60 }), { x: 200, y: 100 });
+    });
+});
+
+describe('resizeImage', () => {
+    it('keeps the aspect ratio when only one side is given', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        editor.resizeImage({ width: 100 });
+        expect(editor.getImageSize()).toEqual({ width: 100, height: 50 });
+        editor.resizeImage({ height: 100 });
+        expect(editor.getImageSize()).toEqual({ width: 200, height: 100 });
+        editor.resizeImage({ width: 50, height: 150 });
+        expect(editor.getImageSize()).toEqual({ width: 50, height: 150 });
+        expect(editor.state.transforms.map(op => op.type)).toEqual(['resize', 'resize', 'resize']);
+    });
+
+    it('scales annotations, and stroke widths by the change in area', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        const rect = editor.addObject({ type: 'rect', x: 20, y: 10, w: 40, h: 20, width: 4 });
+        const text = editor.addObject({ type: 'text', x: 10, y: 50, text: 'Hi', fontSize: 20 });
+        editor.resizeImage({ width: 400, height: 50 });
+
+        // Twice as wide and half as high: the area, and so the widths, stay the same
+        expect(editor.getObject(rect.id)).toMatchObject({ x: 40, y: 5, w: 80, h: 10 });
+        expect(editor.getObject(rect.id).width).toBeCloseTo(4, 6);
+
+        editor.resizeImage({ scale: 0.5 });
+        expect(editor.getObject(rect.id)).toMatchObject({ x: 20, y: 2.5, w: 40, h: 5, width: 2 });
+        expect(editor.getObject(text.id).fontSize).toBeCloseTo(10, 6);
+    });
+
+    it('does nothing at the same size and is undone in one step', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        editor.resizeImage({ scale: 1 });
+        expect(editor.state.transforms).toEqual([]);
+        editor.resizeImage({ scale: 2 });
+        editor.undo();
+        expect(editor.getImageSize()).toEqual({ width: 200, height: 100 });
+    });
+
+    it.each([
+        [undefined],
+        [{}],
+        [{ scale: 0 }],
+        [{ width: -10 }],
+        [{ width: 100, height: Infinity }],
+        [{ scale: '2' }]
+    ])('rejects %j', async size => {
+        const editor = await createEditor({}, 'test://200x100');
+        expect(() => editor.resizeImage(size)).toThrow(new TypeError('resizeImage: expected positive { width, height } or { scale }'));
+    });
+});
+
+describe('extendCanvas', () => {
+    it('grows the canvas and keeps annotations on the image', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        const rect = editor.addObject({ type: 'rect', x: 20, y: 10, w: 40, h: 20, width: 4 });
+        const step = editor.addObject({ type: 'step', x: 50, y: 50 });
+        editor.extendCanvas({ top: 5, left: 30, right: 10 }, { fill: '#fff' });
+
+        expect(editor.getImageSize()).toEqual({ width: 240, height: 105 });
+        expect(editor.getObject(rect.id)).toMatchObject({ x: 50, y: 15, w: 40, h: 20, width: 4 });
+        expect(editor.getObject(step.id)).toMatchObject({ x: 80, y: 55 });
+        expect(editor.state.transforms).toEqual([{ type: 'extend', top: 5, right: 10, bottom: 0, left: 30, fill: '#fff' }]);
+    });
+
+    it('adds the same amount on every side for a number, rounded', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        editor.extendCanvas(9.6);
+        expect(editor.getImageSize()).toEqual({ width: 220, height: 120 });
+        editor.extendCanvas(0);
+        expect(editor.state.transforms).toHaveLength(1);
+    });
+
+    it.each([
+        [-1],
+        [null],
+        [{ top: -5 }],
+        [{ left: NaN }],
+        [{ right: '10' }]
+    ])('rejects %j', async sides => {
+        const editor = await createEditor({}, 'test://200x100');
+        expect(() => editor.extendCanvas(sides)).toThrow(TypeError);
+        expect(editor.getImageSize()).toEqual({ width: 200, height: 100 });
+    });
+});
@@ -0,0 +1,75 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { createEditor } from './helpers.js';
+
+describe('rotateBy sizes', () => {
+    it.each([
+        ['test://100x100', 45, 'expand', { width: 142, height: 142 }],
+        ['test://200x100', 30, 'expand', { width: 224, height: 187 }],
+        ['test://200x100', -30, 'expand', { width: 224, height: 187 }],
+        ['test://200x100', 90, 'expand', { width: 100, height: 200 }],
+        ['test://100x100', 45, 'crop', { width: 70, height: 70 }],
+        ['test://200x100', 30, 'crop', { width: 100, height: 57 }],
+        ['test://100x200', -30, 'crop', { width: 57, height: 100 }],
+        // Small angles: all four corners touch the sides of the turned image
+        ['test://200x100', 5, 'crop', { width: 193, height: 83 }],
+        ['test://200x100', 90, 'crop', { width: 100, height: 200 }],
+        ['test://200x100', 180, 'crop', { width: 200, height: 100 }],
+        ['test://200x100', 390, 'crop', { width: 100, height: 57 }]
+    ])('turns %s by %i° (%s) into $width x $height', async (image, degrees, mode, size) => {
+        const editor = await createEditor({}, image);
+        editor.rotateBy(degrees, { mode });
+        expect(editor.getImageSize()).toEqual(size);
+        expect(editor.state.transforms.at(-1)).toMatchObject({ type: 'rotateBy', mode });
+    });
+
+    it('defaults to crop and ignores whole turns', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        editor.rotateBy(360);
+        editor.rotateBy(0);
+        expect(editor.state.transforms).toEqual([]);
+        editor.rotateBy(30);
+        expect(editor.getImageSize()).toEqual({ width: 100, height: 57 });
+    });
+
+    it('rejects invalid angles and modes', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        expect(() => editor.rotateBy('30')).toThrow(new TypeError('rotateBy: degrees must be a number'));
+        expect(() => editor.rotateBy(NaN)).toThrow(TypeError);
+        expect(() => editor.rotateBy(30, { mode: 'fit' })).toThrow(new TypeError('rotateBy: mode must be "crop" or "expand"'));
+        expect(editor.getImageSize()).toEqual({ width: 200, height: 100 });
+    });
+});
+
+describe('rotateBy mapping', () => {
+    it.each(['crop', 'expand'])('keeps the centre of the image in the centre (%s)', async mode => {
+        const editor = await createEditor({}, 'test://200x100');
+        const rect = editor.addObject({ type: 'rect', x: 90, y: 40, w: 20, h: 20 });
+        editor.rotateBy(30, { mode });
+        const { width, height } = editor.getImageSize();
+        const bounds = editor.canvasManager.getRotatedBounds(editor.getObject(rect.id));
+        expect(bounds.x + bounds.w / 2).toBeCloseTo(width / 2, 6);
+        expect(bounds.y + bounds.h / 2).toBeCloseTo(height / 2, 6);
+        expect(editor.getObject(rect.id).angle).toBeCloseTo(Math.PI / 6, 6);
+    });
+
+    it('maps points back through the inverse', async () => {
+        const { canvasManager } = await createEditor();
+        const op = { type: 'rotateBy', angle: -20, mode: 'expand' };
+        const forward = canvasManager.getTransformMapping(op, 200, 100);
+        const inverse = canvasManager.getInverseTransformMapping(op, 200, 100);
+        [{ x: 0, y: 0 }, { x: 200, y: 100 }, { x: 12.5, y: 70 }].forEach(point => {
+            const back = inverse(forward(point));
+            expect(back.x).toBeCloseTo(point.x, 6);
+            expect(back.y).toBeCloseTo(point.y, 6);
+        });
+    });
+
+    it('is undone together with the size', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        editor.rotateBy(45, { mode: 'expand' });
+        editor.undo();
+        expect(editor.getImageSize()).toEqual({ width: 200, height: 100 });
+        expect(editor.state.transforms).toEqual([]);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import { DOCUMENT_VERSION, parseDocument, serializeDocument, validateObject } from '../src/serializer.js';
+
+function createEditor(objects = []) {
+    return {
+        state: {
+            imageSource: 'https://example.com/shot.png',
+            imageSourceWidth: 800,
+            imageSourceHeight: 600,
+            transforms: [{ type: 'rotate', direction: 'right' }, { type: 'crop', x: 10, y: 20, w: 300, h: 200 }],
+            adjustments: { brightness: 20, sharpen: 40 },
+            objects
+        },
+        canvasManager: {
+            canvas: { width: 300, height: 200 },
+            getPortableImageSource: src => src
+        },
+        translations: { de: { 'text-1': 'Hallo' } }
+    };
+}
+
+function createDocument(overrides = {}) {
+    return {
+        version: DOCUMENT_VERSION,
+        image: null,
+        canvas: { width: 100, height: 80 },
+        transforms: [],
+        objects: [],
+        ...overrides
+    };
+}
+
+describe('serializeDocument / parseDocument', () => {
+    it('round-trips a session through JSON', () => {
+        const objects = [
+            { id: 'rect-1', type: 'rect', x: 1, y: 2, w: 30, h: 40, color: '#ff0000', width: 3, dash: 'dashed', label: 'car' },
+            { id: 'text-1', type: 'text', x: 5, y: 30, text: 'Hello\nWorld', color: '#000000', fontSize: 20, w: 120, h: 60, verticalAlign: 'middle' },
+            {
+                id: 'group-1',
+                type: 'group',
+                children: [
+                    { id: 'step-1', type: 'step', x: 50, y: 50, color: '#1976d2', size: 32 },
+                    { id: 'pen-1', type: 'pencil', points: [{ x: 0, y: 0, pressure: 0.5 }, { x: 4, y: 4 }], color: '#000000', width: 2 }
+                ]
+            }
+        ];
+        const editor = createEditor(objects);
+        const doc = parseDocument(JSON.stringify(serializeDocument(editor)));
+
+        expect(doc.version).toBe(DOCUMENT_VERSION);
+        expect(doc.image).toEqual({ src: 'https://example.com/shot.png', width: 800, height: 600 });
+        expect(doc.canvas).toEqual({ width: 300, height: 200 });
+        expect(doc.transforms).toEqual(editor.state.transforms);
+        expect(doc.adjustments).toEqual({ brightness: 20, sharpen: 40 });
+        expect(doc.objects).toEqual(objects);
+        expect(doc.translations).toEqual({ de: { 'text-1': 'Hallo' } });
+    });
+
+    it('copies objects instead of sharing them with the editor', () => {
+        const objects = [{ id: 'a', type: 'rect', x: 0, y: 0, w: 1, h: 1 }];
+        const doc = serializeDocument(createEditor(objects));
+        doc.objects[0].x = 99;
+        expect(objects[0].x).toBe(0);
+    });
+
+    it('migrates version 1 text ids to object ids', () => {
+        const doc = parseDocument({
+            version: 1,
+            image: null,
+            canvas: { width: 10, height: 10 },
+            objects: [
+                { type: 'text', x: 0, y: 0, text: 'Hi', _textId: 'text_1' },
+                { type: 'group', children: [{ type: 'text', x: 0, y: 0, text: 'Yo', _textId: 'text_2' }] }
+            ],
+            translations: { fr: { text_1: 'Salut' } }
+        });
+        expect(doc.version).toBe(DOCUMENT_VERSION);
+        expect(doc.objects[0]).toEqual({ type: 'text', x: 0, y: 0, text: 'Hi', id: 'text_1' });
+        expect(doc.objects[1].children[0].id).toBe('text_2');
+        expect(doc.translations.fr.text_1).toBe('Salut');
+    });
+
+    it.each([
+        ['not JSON', '{', /not valid JSON/],
+        ['not an object', '[]', /expected an object/],
+        ['a missing version', { canvas: { width: 1, height: 1 }, objects: [] }, /"version"/],
+        ['a newer version', createDocument({ version: DOCUMENT_VERSION + 1 }), /Unsupported document version/],
+        ['an empty image source', createDocument({ image: { src: '' } }), /image\.src/],
+        ['a zero-sized canvas', createDocument({ canvas: { width: 0, height: 10 } }), /"canvas"/],
+        ['an unknown transform', createDocument({ transforms: [{ type: 'skew' }] }), /transforms\[0\] has unknown transform type/],
+        ['a crop without a size', createDocument({ transforms: [{ type: 'crop', x: 0, y: 0 }] }), /transforms\[0\] crop/],
+        ['an out-of-range adjustment', createDocument({ adjustments: { contrast: 500 } }), /adjustments\.contrast must be a number from -100 to 100/],
+        ['objects that are not an array', createDocument({ objects: {} }), /"objects" must be an array/],
+        ['an unknown object type', createDocument({ objects: [{ type: 'star' }] }), /objects\[0\] has unsupported type "star"/],
+        ['a rect without coordinates', createDocument({ objects: [{ type: 'rect', x: 0 }] }), /objects\[0\] needs numeric/],
+        ['a bad style value', createDocument({ objects: [{ type: 'arrow', x: 0, y: 0, w: 1, h: 1, dash: 'wavy' }] }), /objects\[0\]\.dash/],
+        ['an empty group', createDocument({ objects: [{ type: 'group', children: [] }] }), /objects\[0\]\.children/],
+        ['a text box without a height', createDocument({ objects: [{ type: 'text', x: 0, y: 0, text: 'a', w: 10 }] }), /objects\[0\]\.w and objects\[0\]\.h/],
+        ['a pencil without points', createDocument({ objects: [{ type: 'pencil', points: [] }] }), /objects\[0\]\.points/],
+        ['meta that is not an object', createDocument({ objects: [{ type: 'rect', x: 0, y: 0, w: 1, h: 1, meta: 'x' }] }), /objects\[0\]\.meta/],
+        [
+            'duplicate ids',
+            createDocument({ objects: [{ id: 'a', type: 'rect', x: 0, y: 0, w: 1, h: 1 }, { id: 'a', type: 'rect', x: 0, y: 0, w: 1, h: 1 }] }),
+            /object id "a" is used more than once/
+        ],
+        ['translations that are not strings', createDocument({ translations: { de: { a: 1 } } }), /translations for "de"/]
+    ])('rejects a document with %s', (_, input, message) => {
+        expect(() => parseDocument(input)).toThrow(message);
+    });
+});
+
+describe('validateObject', () => {
+    it('throws the error created by the fail callback', () => {
+        const fail = message => new TypeError(`addObject: ${message}`);
+        expect(() => validateObject({ type: 'circle', x: 0, y: 0, w: 1 }, 'spec', fail))
+            .toThrow(new TypeError('addObject: spec needs numeric "x", "y", "w" and "h"'));
+    });
+
+    it('accepts a valid object', () => {
+        expect(() => validateObject({ id: 'a', type: 'step', x: 1, y: 2, sequence: 'letter' }, 'spec')).not.toThrow();
+    });
+});
@@ -0,0 +1,136 @@
+// @vitest-environment jsdom
+import { describe, expect, it, vi } from 'vitest';
+import { DEFAULT_SHORTCUTS, normalizeShortcut } from '../src/shortcuts.js';
+import { createEditor } from './helpers.js';
+
+function keyEvent(key, modifiers = {}, target = null) {
+    return { key, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers, target, preventDefault: vi.fn() };
+}
+
+describe('normalizeShortcut', () => {
+    it.each([
+        ['Shift+Ctrl+Z', 'mod+shift+z'],
+        ['cmd+z', 'mod+z'],
+        ['Meta+Option+S', 'mod+alt+s'],
+        [' alt+shift+control+x ', 'mod+alt+shift+x'],
+        ['Esc', 'escape'],
+        ['ctrl+del', 'mod+delete'],
+        ['shift+Left', 'shift+arrowleft'],
+        ['space', ' '],
+        ['+', '+'],
+        ['ctrl++', 'mod++'],
+        ['ctrl+plus', 'mod++'],
+        ['mod+minus', 'mod+-']
+    ])('turns %j into %j', (combo, canonical) => {
+        expect(normalizeShortcut(combo)).toBe(canonical);
+    });
+
+    it('rejects unknown modifiers and missing keys', () => {
+        expect(() => normalizeShortcut('hyper+k')).toThrow(new TypeError('Unknown modifier "hyper" in shortcut "hyper+k"'));
+        expect(() => normalizeShortcut('ctrl+')).toThrow(new TypeError('Shortcut "ctrl+" has no key'));
+        expect(() => normalizeShortcut('')).toThrow(new TypeError('Shortcut "" has no key'));
+    });
+});
+
+describe('shortcut remapping', () => {
+    it('starts from the defaults in canonical form', async () => {
+        const editor = await createEditor();
+        const shortcuts = editor.getShortcuts();
+        expect(Object.keys(shortcuts)).toHaveLength(Object.keys(DEFAULT_SHORTCUTS).length);
+        expect(shortcuts['mod+shift+z']).toBe('redo');
+    });
+
+    it('merges the shortcuts option over the defaults, or drops them with false', async () => {
+        const custom = await createEditor({ shortcuts: { 'Ctrl+Shift+Y': 'undo', 'mod+z': null } });
+        expect(custom.getShortcuts()['mod+shift+y']).toBe('undo');
+        expect(custom.getShortcuts()['mod+z']).toBeUndefined();
+        expect(custom.getShortcuts()['mod+y']).toBe('redo');
+
+        const none = await createEditor({ shortcuts: false });
+        expect(none.getShortcuts()).toEqual({});
+    });
+
+    it('binds, rebinds and unbinds combinations', async () => {
+        const editor = await createEditor();
+        editor.setShortcut('Shift+R', 'tool:rect');
+        editor.setShortcut('r', null);
+        const run = vi.fn();
+        editor.setShortcut('alt+k', run);
+
+        const shortcuts = editor.getShortcuts();
+        expect(shortcuts['shift+r']).toBe('tool:rect');
+        expect(shortcuts.r).toBeUndefined();
+        expect(shortcuts['alt+k']).toBe(run);
+
+        // The returned bindings are a copy
+        shortcuts['alt+k'] = 'undo';
+        expect(editor.getShortcuts()['alt+k']).toBe(run);
+    });
+
+    it('rejects unknown actions and combinations without changing anything', async () => {
+        const editor = await createEditor();
+        expect(() => editor.setShortcut('x', 'explode')).toThrow(new TypeError('Unknown shortcut action "explode"'));
+        expect(() => editor.setShortcut('x', 'toString')).toThrow(TypeError);
+        expect(() => editor.setShortcut('super+x', 'undo')).toThrow(TypeError);
+        expect(editor.getShortcuts().x).toBeUndefined();
+    });
+});
+
+describe('handleKeyDown', () => {
+    it('runs the bound action and stops the browser default', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        const undo = keyEvent('z', { ctrlKey: true });
+        editor.shortcuts.handleKeyDown(undo);
+        expect(undo.preventDefault).toHaveBeenCalled();
+        expect(editor.getObject(rect.id)).toBeNull();
+
+        editor.shortcuts.handleKeyDown(keyEvent('Z', { metaKey: true, shiftKey: true }));
+        expect(editor.getObject(rect.id)).not.toBeNull();
+    });
+
+    it('calls bound functions with the editor and the event', async () => {
+        const editor = await createEditor();
+        const run = vi.fn();
+        editor.setShortcut('mod+plus', run);
+        // Shift is needed to type '+', so it isn't part of the combination
+        const e = keyEvent('+', { ctrlKey: true, shiftKey: true });
+        editor.shortcuts.handleKeyDown(e);
+        expect(run).toHaveBeenCalledWith(editor, e);
+        expect(e.preventDefault).toHaveBeenCalled();
+    });
+
+    it('moves the selection further with Shift', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 20, y: 20, w: 10, h: 10 });
+        editor.selectAll();
+        editor.shortcuts.handleKeyDown(keyEvent('ArrowRight'));
+        editor.shortcuts.handleKeyDown(keyEvent('ArrowDown', { shiftKey: true }));
+        expect(editor.getObject(rect.id)).toMatchObject({ x: 21, y: 30 });
+    });
+
+    it('lets the key through when an action declines it', async () => {
+        const editor = await createEditor();
+        const e = keyEvent('Escape');
+        editor.shortcuts.handleKeyDown(e);
+        expect(e.preventDefault).not.toHaveBeenCalled();
+    });
+
+    it('ignores keys typed into form fields and text being edited', async () => {
+        const editor = await createEditor();
+        const run = vi.fn();
+        editor.setShortcut('k', run);
+        ['input', 'textarea', 'select'].forEach(tag => {
+            editor.shortcuts.handleKeyDown(keyEvent('k', {}, document.createElement(tag)));
+        });
+        editor.shortcuts.handleKeyDown(keyEvent('k', {}, { tagName: 'DIV', isContentEditable: true }));
+        editor.shortcuts.handleKeyDown(keyEvent('k', { isComposing: true }));
+        editor.state.isEditingText = true;
+        editor.shortcuts.handleKeyDown(keyEvent('k'));
+        expect(run).not.toHaveBeenCalled();
+
+        editor.state.isEditingText = false;
+        editor.shortcuts.handleKeyDown(keyEvent('k', {}, document.createElement('div')));
+        expect(run).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,85 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { createEditor } from './helpers.js';
+
+const labels = editor => editor.getStepAnnotations().map(step => step.label);
+
+async function createSteps(count, sequence) {
+    const editor = await createEditor({}, 'test://200x200');
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+        ids.push(editor.addObject({ type: 'step', x: i * 5, y: 0, ...(sequence && { sequence }) }).id);
+    }
+    return { editor, ids };
+}
+
+// Select by id, using the live objects the reorder methods work on
+function select(editor, ...ids) {
+    editor.setSelection(editor.state.objects.filter(obj => ids.includes(obj.id)));
+}
+
+describe('step markers', () => {
+    it('are numbered in stacking order', async () => {
+        const { editor, ids } = await createSteps(3);
+        expect(editor.getStepAnnotations()).toEqual(ids.map((id, i) => expect.objectContaining({
+            id, label: String(i + 1), sequence: 'number', x: i * 5, y: 0
+        })));
+    });
+
+    it('renumber when one is removed and when removing is undone', async () => {
+        const { editor, ids } = await createSteps(3);
+        editor.removeObject(ids[0]);
+        expect(editor.getStepAnnotations().map(step => [step.id, step.label])).toEqual([[ids[1], '1'], [ids[2], '2']]);
+        editor.undo();
+        expect(labels(editor)).toEqual(['1', '2', '3']);
+        expect(editor.getStepAnnotations()[0].id).toBe(ids[0]);
+    });
+
+    it('renumber when reordered', async () => {
+        const { editor, ids } = await createSteps(3);
+        select(editor, ids[0]);
+        editor.bringToFront();
+        expect(editor.getStepAnnotations().map(step => step.id)).toEqual([ids[1], ids[2], ids[0]]);
+        expect(labels(editor)).toEqual(['1', '2', '3']);
+
+        select(editor, ids[2]);
+        editor.sendToBack();
+        expect(editor.getStepAnnotations().map(step => step.id)).toEqual([ids[2], ids[1], ids[0]]);
+
+        select(editor, ids[1]);
+        editor.bringForward();
+        expect(editor.getStepAnnotations().map(step => step.id)).toEqual([ids[2], ids[0], ids[1]]);
+    });
+
+    it('count each sequence separately and ignore other objects', async () => {
+        const editor = await createEditor({}, 'test://200x200');
+        editor.addObject({ type: 'step', x: 0, y: 0 });
+        editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        editor.addObject({ type: 'step', x: 0, y: 0, sequence: 'letter' });
+        editor.addObject({ type: 'step', x: 0, y: 0 });
+        editor.addObject({ type: 'step', x: 0, y: 0, sequence: 'letter' });
+        expect(labels(editor)).toEqual(['1', 'A', '2', 'B']);
+    });
+
+    it('count steps inside groups where the group is stacked', async () => {
+        const { editor, ids } = await createSteps(3);
+        select(editor, ids[0], ids[1]);
+        expect(editor.group()).toBe(true);
+        editor.bringToFront();
+        expect(editor.getStepAnnotations().map(step => [step.id, step.label])).toEqual([[ids[2], '1'], [ids[0], '2'], [ids[1], '3']]);
+    });
+
+    it('continue the letter sequence past Z', async () => {
+        const { editor } = await createSteps(54, 'letter');
+        const all = labels(editor);
+        expect(all.slice(0, 3)).toEqual(['A', 'B', 'C']);
+        expect(all.slice(25, 29)).toEqual(['Z', 'AA', 'AB', 'AC']);
+        expect(all.slice(-2)).toEqual(['BA', 'BB']);
+    });
+
+    it('label a marker that is not placed yet as the next one', async () => {
+        const { editor } = await createSteps(2, 'letter');
+        expect(editor.canvasManager.getStepLabel({ type: 'step', sequence: 'letter' })).toBe('C');
+        expect(editor.canvasManager.getStepLabel({ type: 'step' })).toBe('1');
+    });
+});
@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { checkStyleValue, pickStyle, styleKeysFor } from '../src/styles.js';
+import { createEditor } from './helpers.js';
+
+describe('checkStyleValue', () => {
+    it.each([
+        ['color', '#ff0000'],
+        ['fill', null],
+        ['background', 'rgba(0, 0, 0, 0.5)'],
+        ['width', 0],
+        ['fontSize', 12.5],
+        ['maxWidth', null],
+        ['opacity', 1],
+        ['fontWeight', 'bold'],
+        ['fontWeight', 600],
+        ['dash', 'dotted'],
+        ['arrowHead', 'both'],
+        ['textAlign', 'center'],
+        ['sequence', 'letter'],
+        ['verticalAlign', 'bottom'],
+        ['overflow', 'clip']
+    ])('accepts %s = %s', (key, value) => {
+        expect(checkStyleValue(key, value)).toBeNull();
+    });
+
+    it.each([
+        ['color', 0xff0000, 'must be a colour string'],
+        ['fill', undefined, 'must be a colour string or null'],
+        ['width', -1, 'must be a non-negative number'],
+        ['fontSize', 0, 'must be a positive number'],
+        ['size', Infinity, 'must be a positive number'],
+        ['opacity', 1.5, 'must be a number from 0 to 1'],
+        ['fontFamily', '  ', 'must be a non-empty string'],
+        ['fontWeight', 'heavy', 'must be "normal", "bold" or a number from 1 to 1000'],
+        ['dash', 'wavy', 'must be one of "solid", "dashed", "dotted"'],
+        ['overflow', 'scroll', 'must be one of "visible", "clip", "shrink"'],
+        ['shadow', '#000', 'is not a style property']
+    ])('rejects %s = %s', (key, value, problem) => {
+        expect(checkStyleValue(key, value)).toBe(problem);
+    });
+});
+
+describe('pickStyle', () => {
+    const style = { color: '#00f', width: 4, fill: '#fff', dash: 'dashed', fontSize: 30, arrowHead: 'both', opacity: 0.5 };
+
+    it('keeps the properties the object type uses', () => {
+        expect(pickStyle('rect', style)).toEqual({ color: '#00f', width: 4, fill: '#fff', dash: 'dashed', opacity: 0.5 });
+        expect(pickStyle('arrow', style)).toEqual({ color: '#00f', width: 4, dash: 'dashed', arrowHead: 'both', opacity: 0.5 });
+        expect(pickStyle('text', style)).toEqual({ color: '#00f', fontSize: 30, opacity: 0.5 });
+        expect(pickStyle('image', style)).toEqual({ opacity: 0.5 });
+    });
+
+    it('picks nothing for types without style', () => {
+        expect(styleKeysFor('blur')).toEqual([]);
+        expect(pickStyle('group', style)).toEqual({});
+    });
+});
+
+describe('setStyle', () => {
+    it('applies to new objects and to every member of a selected group', async () => {
+        const editor = await createEditor({}, 'test://100x100');
+        const rect = editor.addObject({ type: 'rect', x: 0, y: 0, w: 10, h: 10 });
+        const arrow = editor.addObject({ type: 'arrow', x: 0, y: 0, w: 10, h: 10 });
+        editor.selectAll();
+        expect(editor.group()).toBe(true);
+
+        editor.setStyle({ dash: 'dotted', fill: '#00ff00' });
+        expect(editor.getObject(rect.id)).toMatchObject({ dash: 'dotted', fill: '#00ff00' });
+        expect(editor.getObject(arrow.id).dash).toBe('dotted');
+        expect(editor.getObject(arrow.id).fill).toBeUndefined();
+
+        editor.clearSelection();
+        expect(editor.addObject({ type: 'circle', x: 0, y: 0, w: 5, h: 5 })).toMatchObject({ dash: 'dotted', fill: '#00ff00' });
+        expect(editor.getStyle()).toMatchObject({ dash: 'dotted', fill: '#00ff00' });
+    });
+
+    it('rejects invalid values without changing anything', async () => {
+        const editor = await createEditor();
+        expect(() => editor.setStyle({ dash: 'dashed', opacity: 2 })).toThrow(new TypeError('Style "opacity" must be a number from 0 to 1'));
+        expect(editor.getStyle().dash).toBeUndefined();
+    });
+});
@@ -0,0 +1,84 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { CHAR_WIDTH, createEditor } from './helpers.js';
+
+// At 20px every character is 10px wide and every line 24px high
+const SIZE = 20;
+const CHAR = SIZE * CHAR_WIDTH;
+const LINE = SIZE * 1.2;
+
+async function layout(spec) {
+    const editor = await createEditor({}, 'test://400x400');
+    const obj = editor.addObject({ type: 'text', x: 0, y: 20, fontSize: SIZE, ...spec });
+    return editor.canvasManager.getTextLayout(editor.getObject(obj.id));
+}
+
+describe('text layout', () => {
+    it('sizes plain text to its lines', async () => {
+        const result = await layout({ text: 'Hello\nHi' });
+        expect(result).toMatchObject({
+            lines: ['Hello', 'Hi'], widths: [5 * CHAR, 2 * CHAR], width: 5 * CHAR, height: 2 * LINE,
+            fontSize: SIZE, lineHeight: LINE, offsetY: 0, align: 'left', rtl: false
+        });
+    });
+
+    it('wraps at maxWidth, and shrinks to it with fit', async () => {
+        const wrapped = await layout({ text: 'aaa bbb', maxWidth: 50 });
+        expect(wrapped).toMatchObject({ lines: ['aaa', 'bbb'], width: 3 * CHAR, height: 2 * LINE });
+
+        const shrunk = await layout({ text: 'aaaaaaaaaa', maxWidth: 50, fit: 'shrink' });
+        expect(shrunk.lines).toEqual(['aaaaaaaaaa']);
+        expect(shrunk.fontSize).toBe(SIZE / 2);
+        expect(shrunk.width).toBe(50);
+    });
+
+    it('aligns right-to-left text from the right', async () => {
+        expect(await layout({ text: 'שלום' })).toMatchObject({ rtl: true, align: 'right' });
+        expect(await layout({ text: '123 שלום', textAlign: 'right' })).toMatchObject({ rtl: true, align: 'left' });
+        expect(await layout({ text: 'Hi', textAlign: 'center' })).toMatchObject({ rtl: false, align: 'center' });
+    });
+});
+
+describe('text box layout', () => {
+    it('wraps at spaces to the box width', async () => {
+        const result = await layout({ text: 'aaa bbb ccc\nd', w: 100, h: 200 });
+        expect(result).toMatchObject({
+            lines: ['aaa bbb', 'ccc', 'd'], widths: [7 * CHAR, 3 * CHAR, CHAR], width: 100, height: 200
+        });
+    });
+
+    it('breaks words wider than the box between characters', async () => {
+        const result = await layout({ text: 'abcdefghijklmno xy', w: 100, h: 200 });
+        expect(result.lines).toEqual(['abcdefghij', 'klmno xy']);
+    });
+
+    it.each([
+        [undefined, 0],
+        ['top', 0],
+        ['middle', (200 - 2 * LINE) / 2],
+        ['bottom', 200 - 2 * LINE]
+    ])('places the lines for verticalAlign %s', async (verticalAlign, offsetY) => {
+        const result = await layout({ text: 'aaa bbb ccc', w: 100, h: 200, verticalAlign });
+        expect(result.offsetY).toBeCloseTo(offsetY, 6);
+    });
+
+    it.each(['visible', 'clip'])('lets lines run past the bottom with overflow %s', async overflow => {
+        const result = await layout({ text: 'aaa bbb ccc', w: 100, h: 30, overflow, verticalAlign: 'bottom' });
+        expect(result).toMatchObject({ lines: ['aaa bbb', 'ccc'], fontSize: SIZE, height: 30 });
+        expect(result.offsetY).toBeCloseTo(30 - 2 * LINE, 6);
+    });
+
+    it('shrinks the font until the wrapped lines fit with overflow shrink', async () => {
+        const result = await layout({ text: 'aaa bbb ccc', w: 100, h: 30, overflow: 'shrink' });
+        // On one line, 11 characters fit 100px at up to 200 / 11 px
+        expect(result.lines).toEqual(['aaa bbb ccc']);
+        expect(result.fontSize).toBeLessThanOrEqual(200 / 11);
+        expect(result.fontSize).toBeGreaterThan(200 / 11 - 0.1);
+        expect(result.lines.length * result.lineHeight).toBeLessThanOrEqual(30);
+    });
+
+    it('keeps the font size when the text already fits', async () => {
+        const result = await layout({ text: 'aaa', w: 100, h: 30, overflow: 'shrink' });
+        expect(result).toMatchObject({ lines: ['aaa'], fontSize: SIZE });
+    });
+});
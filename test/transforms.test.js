@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { createEditor } from './helpers.js';
+
+const OPS = [
+    { type: 'crop', x: 30, y: 10, w: 120, h: 80 },
+    { type: 'flip', direction: 'horizontal' },
+    { type: 'flip', direction: 'vertical' },
+    { type: 'rotate', direction: 'right' },
+    { type: 'rotate', direction: 'left' }
+];
+
+const POINTS = [{ x: 0, y: 0 }, { x: 200, y: 100 }, { x: 37.5, y: 81.25 }];
+
+function expectPoint(actual, expected) {
+    expect(actual.x).toBeCloseTo(expected.x, 6);
+    expect(actual.y).toBeCloseTo(expected.y, 6);
+}
+
+function bounds(editor, id) {
+    return editor.canvasManager.getRotatedBounds(editor.getObject(id));
+}
+
+describe('transform mappings', () => {
+    it.each(OPS)('maps points back after $type $direction', async op => {
+        const { canvasManager } = await createEditor();
+        const forward = canvasManager.getTransformMapping(op, 200, 100);
+        const inverse = canvasManager.getInverseTransformMapping(op, 200, 100);
+        POINTS.forEach(point => expectPoint(inverse(forward(point)), point));
+    });
+
+    it('moves the corners of the image to the corners of the result', async () => {
+        const { canvasManager } = await createEditor();
+        const right = canvasManager.getTransformMapping({ type: 'rotate', direction: 'right' }, 200, 100);
+        expectPoint(right({ x: 0, y: 0 }), { x: 100, y: 0 });
+        expectPoint(right({ x: 200, y: 100 }), { x: 0, y: 200 });
+        const left = canvasManager.getTransformMapping({ type: 'rotate', direction: 'left' }, 200, 100);
+        expectPoint(left({ x: 0, y: 0 }), { x: 0, y: 200 });
+        const flip = canvasManager.getTransformMapping({ type: 'flip', direction: 'horizontal' }, 200, 100);
+        expectPoint(flip({ x: 0, y: 40 }), { x: 200, y: 40 });
+    });
+
+    it('maps between the canvas and the loaded image through every transform', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        editor.state.cropRect = { x: 30, y: 10, w: 120, h: 80 };
+        editor.applyCrop();
+        editor.flip('vertical');
+        editor.rotate('right');
+        const mapping = editor.canvasManager.getSourceMapping();
+        expect(mapping).toMatchObject({ width: 200, height: 100 });
+        expect(editor.getImageSize()).toEqual({ width: 80, height: 120 });
+        // The top-left of the crop went to the bottom-left by the flip, then to the top-left by the turn
+        expectPoint(mapping.fromSource({ x: 30, y: 10 }), { x: 0, y: 0 });
+        POINTS.forEach(point => expectPoint(mapping.fromSource(mapping.toSource(point)), point));
+    });
+});
+
+describe('annotations through transforms', () => {
+    it('keep their place on the image when it is turned and flipped', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        const rect = editor.addObject({ type: 'rect', x: 10, y: 20, w: 30, h: 40 });
+        const line = editor.addObject({ type: 'pencil', points: [{ x: 0, y: 0 }, { x: 50, y: 10 }] });
+
+        editor.rotate('right');
+        expect(bounds(editor, rect.id)).toEqual({ x: 40, y: 10, w: 40, h: 30 });
+        expect(editor.getObject(line.id).points).toEqual([{ x: 100, y: 0 }, { x: 90, y: 50 }]);
+
+        editor.flip('horizontal');
+        expect(bounds(editor, rect.id)).toEqual({ x: 20, y: 10, w: 40, h: 30 });
+        expect(editor.getObject(rect.id).type).toBe('rect');
+    });
+
+    it('are shifted by a crop, and dropped when fully outside it', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        const inside = editor.addObject({ type: 'circle', x: 50, y: 20, w: 20, h: 20 });
+        const outside = editor.addObject({ type: 'rect', x: 170, y: 70, w: 20, h: 20 });
+        const removed = [];
+        editor.on('objectRemoved', ({ object }) => removed.push(object.id));
+
+        editor.state.cropRect = { x: 40, y: 10, w: 100, h: 50 };
+        editor.applyCrop();
+        expect(bounds(editor, inside.id)).toEqual({ x: 10, y: 10, w: 20, h: 20 });
+        expect(editor.getObject(outside.id)).toBeNull();
+        expect(removed).toEqual([outside.id]);
+    });
+
+    it('come back with undo', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        const rect = editor.addObject({ type: 'rect', x: 10, y: 20, w: 30, h: 40 });
+        editor.rotate('left');
+        editor.undo();
+        expect(editor.getImageSize()).toEqual({ width: 200, height: 100 });
+        expect(bounds(editor, rect.id)).toEqual({ x: 10, y: 20, w: 30, h: 40 });
+    });
+});
@@ -0,0 +1,143 @@
+// @vitest-environment jsdom
+import { describe, expect, it } from 'vitest';
+import { formatTranslations, parseTranslations } from '../src/translations.js';
+import { createEditor } from './helpers.js';
+
+const units = [
+    { id: 'a1', source: 'Hello', target: 'Hallo', notes: ['Greeting on the banner'] },
+    { id: 'b2', source: 'Line one\nLine "two" & <three>', target: 'Zeile eins\nZeile "zwei" & <drei>', notes: [] },
+    { id: 'c3', source: 'Hello', notes: [] }
+];
+
+const translations = {
+    a1: 'Hallo',
+    b2: 'Zeile eins\nZeile "zwei" & <drei>'
+};
+
+describe('XLIFF', () => {
+    it('round-trips translations, line breaks and markup characters', () => {
+        const data = formatTranslations('xliff', units, { sourceLanguage: 'en', targetLanguage: 'de' });
+        expect(data).toContain('srcLang="en" trgLang="de"');
+        expect(data).toContain('<note category="description">Greeting on the banner</note>');
+        expect(parseTranslations('xliff', data)).toEqual({ language: 'de', translations });
+    });
+
+    it('leaves out units without a target and the language when there is none', () => {
+        const data = formatTranslations('xliff', [units[2]], { sourceLanguage: 'en' });
+        expect(data).not.toContain('trgLang');
+        expect(parseTranslations('xliff', data)).toEqual({ language: null, translations: {} });
+    });
+
+    it.each([
+        ['text that is not XML', 'not xml'],
+        ['another root element', '<po/>'],
+        ['XLIFF 1.2', '<xliff version="1.2"><file/></xliff>']
+    ])('rejects %s', (_, data) => {
+        expect(() => parseTranslations('xliff', data)).toThrow('Invalid XLIFF: expected an XLIFF 2.0 document');
+    });
+});
+
+describe('gettext PO', () => {
+    it('round-trips translations with the object id as the context', () => {
+        const data = formatTranslations('po', units, { sourceLanguage: 'en', targetLanguage: 'de' });
+        expect(data).toContain('#. Greeting on the banner\nmsgctxt "a1"\nmsgid "Hello"\nmsgstr "Hallo"');
+        expect(data).toContain('msgid "Line one\\nLine \\"two\\" & <three>"');
+        expect(parseTranslations('po', data)).toEqual({ language: 'de', translations });
+    });
+
+    it('joins continued strings and skips fuzzy and untranslated entries', () => {
+        const data = [
+            'msgid ""',
+            'msgstr ""',
+            '"Language: fr\\n"',
+            '',
+            '#, fuzzy',
+            'msgctxt "a1"',
+            'msgid "Hello"',
+            'msgstr "Salut"',
+            '#. A comment right after the strings starts the next entry',
+            'msgctxt "b2"',
+            'msgid ""',
+            '"Good "',
+            '"morning"',
+            'msgstr ""',
+            '"Bon"',
+            '"jour"',
+            '',
+            'msgid "Untranslated"',
+            'msgstr ""',
+            '',
+            'msgid "No context"',
+            'msgstr "Sans contexte"'
+        ].join('\r\n');
+        expect(parseTranslations('po', data)).toEqual({
+            language: 'fr',
+            translations: { b2: 'Bonjour', 'No context': 'Sans contexte' }
+        });
+    });
+
+    it.each([
+        ['a string before any keyword', '"orphan"', /line 1 continues no string/],
+        ['an unknown keyword', 'msgid "a"\nmsgid_plural "b"', /line 2 is not a msgctxt, msgid or msgstr/],
+        ['a keyword without a string', 'msgid hello', /line 1 is not a msgctxt, msgid or msgstr/],
+        ['an unterminated continuation', 'msgid ""\n"open', /line 2 has an unterminated string/]
+    ])('rejects %s', (_, data, message) => {
+        expect(() => parseTranslations('po', data)).toThrow(message);
+    });
+});
+
+describe('i18next JSON', () => {
+    it('round-trips the target language', () => {
+        const data = formatTranslations('i18next', units, { sourceLanguage: 'en', targetLanguage: 'de' });
+        expect(JSON.parse(data)).toEqual({ ...translations, a1_comment: 'Greeting on the banner' });
+        expect(parseTranslations('i18next', data)).toEqual({ language: null, translations });
+    });
+
+    it('writes the source texts without a target language', () => {
+        const data = formatTranslations('i18next', units, { sourceLanguage: 'en' });
+        expect(JSON.parse(data)).toEqual({
+            a1: 'Hello', a1_comment: 'Greeting on the banner', b2: 'Line one\nLine "two" & <three>', c3: 'Hello'
+        });
+    });
+
+    it('puts notes in comment keys, one note per line, and skips them on import', () => {
+        const noted = [{ id: 'n1', source: 'Save', target: 'Speichern', notes: ['Button label', 'At most 120px wide'] }];
+        const data = formatTranslations('i18next', noted, { sourceLanguage: 'en', targetLanguage: 'de' });
+        expect(JSON.parse(data)).toEqual({ n1: 'Speichern', n1_comment: 'Button label\nAt most 120px wide' });
+
+        const parsed = parseTranslations('i18next', { n1: 'Sichern', n1_comment: 'Button label', page: { title_comment: 'Heading' } });
+        expect(parsed.translations).toEqual({ n1: 'Sichern' });
+    });
+
+    it('flattens nested keys and ignores values that are not strings', () => {
+        const parsed = parseTranslations('i18next', { a1: 'Hallo', page: { title: 'Titel', count: 3, list: ['x'] } });
+        expect(parsed.translations).toEqual({ a1: 'Hallo', 'page.title': 'Titel' });
+    });
+
+    it.each([
+        ['text that is not JSON', '{', /Invalid i18next JSON/],
+        ['an array', '["Hallo"]', /expected an object of strings/],
+        ['a string', '"Hallo"', /expected an object of strings/],
+        ['null', 'null', /expected an object of strings/]
+    ])('rejects %s', (_, data, message) => {
+        expect(() => parseTranslations('i18next', data)).toThrow(message);
+    });
+});
+
+describe('translated exports', () => {
+    it('swap texts for their translations, empty ones included, and restore them', async () => {
+        const editor = await createEditor({}, 'test://200x100');
+        const hello = editor.addObject({ type: 'text', x: 10, y: 30, text: 'Hello' });
+        const sale = editor.addObject({ type: 'text', x: 10, y: 60, text: 'Sale' });
+        const kept = editor.addObject({ type: 'text', x: 10, y: 90, text: 'Brand' });
+        editor.setTranslations('de', { [hello.id]: 'Hallo', [sale.id]: '' });
+
+        const svg = editor.exportSVG({ lang: 'de' });
+        expect(svg).toContain('Hallo');
+        expect(svg).not.toContain('Sale');
+        expect(svg).toContain('Brand');
+        expect(editor.getObject(sale.id).text).toBe('Sale');
+        expect(editor.getObject(kept.id).text).toBe('Brand');
+        expect(editor.exportSVG()).toContain('Sale');
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import { canWritePDFText, formatPDF, formatSVG, getRasterObjects } from '../src/vector.js';
+
+const SECRET_SRC = 'data:image/png;base64,U0VDUkVUIFBIT1RP';
+
+// Lays objects out the way the canvas would, for plain boxes and single-line texts
+const canvasManager = {
+    editor: { options: { fontFamily: 'Arial' } },
+    getRotatedBounds(obj) {
+        if (obj.type === 'text') return { x: obj.x, y: obj.y - obj.fontSize, w: obj.text.length * obj.fontSize / 2, h: obj.fontSize };
+        return { x: Math.min(obj.x, obj.x + obj.w), y: Math.min(obj.y, obj.y + obj.h), w: Math.abs(obj.w), h: Math.abs(obj.h) };
+    },
+    getObjectCenter(obj) {
+        const bounds = this.getRotatedBounds(obj);
+        return { x: bounds.x + bounds.w / 2, y: bounds.y + bounds.h / 2 };
+    },
+    getTextLayout(obj) {
+        const width = obj.text.length * obj.fontSize / 2;
+        return {
+            lines: [obj.text], widths: [width], width, height: obj.fontSize * 1.2,
+            fontSize: obj.fontSize, lineHeight: obj.fontSize * 1.2, offsetY: 0, align: 'left', rtl: false
+        };
+    },
+    getPortableImageSource: src => src,
+    getOverlayImage: () => ({ width: 10, height: 10 }),
+    getDashPattern: () => []
+};
+
+function text(id, value, x, y) {
+    return { id, type: 'text', x, y, text: value, color: '#000000', fontSize: 20 };
+}
+
+function createScene(objects) {
+    const rasterized = getRasterObjects(canvasManager, objects);
+    return {
+        width: 400,
+        height: 300,
+        image: { toDataURL: () => 'data:image/png;base64,UkFTVEVS' },
+        objects,
+        rasterized
+    };
+}
+
+describe('getRasterObjects', () => {
+    it('takes redactions and the objects beneath them that they overlap', () => {
+        const photo = { id: 'photo', type: 'image', x: 10, y: 10, w: 80, h: 60, src: SECRET_SRC };
+        const name = text('name', 'Jane Doe', 20, 120);
+        const far = text('far', 'Caption', 250, 250);
+        const blur = { id: 'blur', type: 'blur', x: 0, y: 0, w: 200, h: 130, strength: 10 };
+        const above = text('above', 'On top', 20, 60);
+        const raster = getRasterObjects(canvasManager, [photo, name, far, blur, above]);
+        expect([...raster].map(obj => obj.id).sort()).toEqual(['blur', 'name', 'photo']);
+    });
+
+    it('takes group members one by one', () => {
+        const hidden = text('hidden', 'Account 1234', 10, 30);
+        const shown = text('shown', 'Total', 300, 250);
+        const pixelate = { id: 'pixelate', type: 'pixelate', x: 0, y: 0, w: 150, h: 50, strength: 8 };
+        const raster = getRasterObjects(canvasManager, [{ id: 'group', type: 'group', children: [hidden, shown] }, pixelate]);
+        expect(raster.has(hidden)).toBe(true);
+        expect(raster.has(shown)).toBe(false);
+    });
+
+    it('keeps the stacking order by also taking what lies beneath covered objects', () => {
+        // The caption is outside the blur, but beneath the photo that the blur covers
+        const caption = text('caption', 'Under the photo', 0, 110);
+        const photo = { id: 'photo', type: 'image', x: 50, y: 80, w: 100, h: 100, src: SECRET_SRC };
+        const blur = { id: 'blur', type: 'blur', x: 120, y: 150, w: 100, h: 100 };
+        const raster = getRasterObjects(canvasManager, [caption, photo, blur]);
+        expect(raster.has(caption)).toBe(true);
+        expect(raster.has(photo)).toBe(true);
+    });
+
+    it('takes the objects the format picks, and what lies beneath them', () => {
+        const under = text('under', 'Hello', 10, 40);
+        const greek = text('greek', 'Καλημέρα', 20, 40);
+        const raster = getRasterObjects(canvasManager, [under, greek], obj => obj.type === 'text' && !canWritePDFText(obj.text));
+        expect(raster.has(greek)).toBe(true);
+        expect(raster.has(under)).toBe(true);
+    });
+
+    it('counts strokes as part of the painted area', () => {
+        const rect = { id: 'rect', type: 'rect', x: 0, y: 0, w: 50, h: 50, width: 8 };
+        const blur = { id: 'blur', type: 'blur', x: 53, y: 0, w: 50, h: 50 };
+        expect(getRasterObjects(canvasManager, [rect, blur]).has(rect)).toBe(true);
+    });
+});
+
+describe('redacted vector exports', () => {
+    const objects = () => [
+        { id: 'photo', type: 'image', x: 10, y: 10, w: 80, h: 60, src: SECRET_SRC },
+        { id: 'group', type: 'group', children: [text('name', 'Jane Doe', 20, 120)] },
+        { id: 'blur', type: 'blur', x: 0, y: 0, w: 200, h: 130, strength: 10 },
+        text('label', 'Public note', 20, 200)
+    ];
+
+    it('leaves covered text and images out of the SVG', () => {
+        const svg = formatSVG(canvasManager, createScene(objects()));
+        expect(svg).not.toContain('Jane Doe');
+        expect(svg).not.toContain(SECRET_SRC);
+        expect(svg).not.toContain('U0VDUkVU');
+        expect(svg).toContain('data:image/png;base64,UkFTVEVS');
+        expect(svg).toContain('Public note');
+    });
+
+    it('leaves covered text and images out of the PDF', async () => {
+        const scene = { ...createScene(objects().slice(0, 3)), image: null };
+        const pdf = new TextDecoder('latin1').decode(await formatPDF(canvasManager, scene));
+        expect(pdf).not.toContain('Jane Doe');
+        expect(pdf).not.toContain('/Im1');
+        expect(pdf).not.toContain(' Tj');
+    });
+});
+
+describe('PDF text', () => {
+    it('accepts WinAnsi characters', () => {
+        expect(canWritePDFText('Größe: 5 € – “Café”\n(naïve)')).toBe(true);
+    });
+
+    it.each(['Καλημέρα', 'Łódź', '日本', '😀'])('rejects %s', value => {
+        expect(canWritePDFText(value)).toBe(false);
+    });
+});
@@ -4,8 +4,25 @@ declare module 'crop-annotate' {
         strokeWidth?: number;
         fontSize?: number;
         fontFamily?: string;
+        /** Maximum number of undo steps kept (default: 50) */
+        maxHistory?: number;
+        /** Initial blur radius / pixel block size of the redaction tools (default: 10) */
+        redactionStrength?: number;
+        /** Key bindings merged over the defaults (null unbinds), or false to disable shortcuts */
+        shortcuts?: { [combo: string]: ShortcutAction | null } | false;
     }
 
+    export type ShortcutActionName =
+        | 'tool:select' | 'tool:crop' | 'tool:pencil' | 'tool:arrow' | 'tool:rect' | 'tool:circle'
+        | 'tool:text' | 'tool:highlight' | 'tool:blur' | 'tool:pixelate' | 'tool:step' | 'tool:straighten'
+        | 'undo' | 'redo' | 'zoomIn' | 'zoomOut' | 'zoomToFit' | 'resetZoom' | 'zoomToSelection'
+        | 'delete' | 'duplicate' | 'selectAll' | 'group' | 'ungroup'
+        | 'bringForward' | 'sendBackward' | 'bringToFront' | 'sendToBack'
+        | 'nudgeLeft' | 'nudgeRight' | 'nudgeUp' | 'nudgeDown' | 'confirm' | 'cancel';
+
+    /** Built-in action name, or a handler; returning false lets the key through */
+    export type ShortcutAction = ShortcutActionName | ((editor: CropAnnotate, event: KeyboardEvent) => boolean | void);
+
     export interface AspectRatio {
         width: number;
         height: number;
@@ -16,8 +33,17 @@ declare module 'crop-annotate' {
         height: number;
     }
 
+    /** Visible part of the canvas, in canvas pixels */
+    export interface Viewport {
+        x: number;
+        y: number;
+        width: number;
+        height: number;
+        zoom: number;
+    }
+
     export interface TextAnnotation {
-        /** Unique ID for translation mapping */
+        /** Object ID of the text, the key for its translations */
         id: string;
         /** The text content (may contain newlines) */
         text: string;
@@ -31,6 +57,38 @@ declare module 'crop-annotate' {
         fontSize: number;
     }
 
+    export interface StepAnnotation {
+        /** Object ID of the marker, for getObject(), updateObject() and removeObject() */
+        id: string;
+        /** Label shown on the marker, from its place in the stacking order */
+        label: string;
+        sequence: 'number' | 'letter';
+        /** Centre of the marker on canvas */
+        x: number;
+        y: number;
+        color: string;
+        /** Diameter in pixels */
+        size: number;
+    }
+
+    export type AnnotationFormat = 'coco' | 'voc' | 'yolo';
+
+    export interface AnnotationExportOptions {
+        /** Image file name written to COCO and VOC; defaults to the name in the image URL */
+        fileName?: string;
+        /** Class order for COCO category ids and YOLO indices; other labels follow alphabetically */
+        classes?: string[];
+    }
+
+    export interface AnnotationImportOptions {
+        /** Image to take from a COCO file with several images */
+        fileName?: string;
+        /** YOLO class names by index; without them the index is used as the label */
+        classes?: string[];
+    }
+
+    export type TranslationFormat = 'xliff' | 'po' | 'i18next';
+
     export interface TranslationMap {
         /** Maps text annotation IDs to translated strings */
         [textId: string]: string;
@@ -43,18 +101,214 @@ declare module 'crop-annotate' {
         [langCode: string]: string;
     }
 
-    export type ToolName = 'select' | 'crop' | 'pencil' | 'arrow' | 'rect' | 'circle' | 'text' | 'highlight';
+    /** A crop, flip or rotate operation applied to the base image */
+    export type ImageTransform =
+        | { type: 'crop'; x: number; y: number; w: number; h: number }
+        | { type: 'flip'; direction: 'horizontal' | 'vertical' }
+        | { type: 'rotate'; direction: 'left' | 'right' }
+        | { type: 'rotateBy'; angle: number; mode: 'crop' | 'expand'; fill?: string }
+        | { type: 'resize'; w: number; h: number }
+        | { type: 'extend'; top: number; right: number; bottom: number; left: number; fill?: string };
+
+    export interface CanvasSides {
+        top?: number;
+        right?: number;
+        bottom?: number;
+        left?: number;
+    }
+
+    /** Image adjustments; 0 leaves the image unchanged */
+    export interface Adjustments {
+        /** -100 to 100 */
+        brightness?: number;
+        /** -100 to 100 */
+        contrast?: number;
+        /** -100 to 100 */
+        saturation?: number;
+        /** -100 to 100, up to two stops */
+        exposure?: number;
+        /** 0 to 100 */
+        grayscale?: number;
+        /** 0 to 100 */
+        invert?: number;
+        /** 0 to 100 */
+        sharpen?: number;
+    }
+
+    export interface RotateOptions {
+        /** Crop to the largest rectangle without empty corners, or grow the canvas (default: 'crop') */
+        mode?: 'crop' | 'expand';
+        /** Colour of the corners uncovered by 'expand', null for transparent (default: null) */
+        fill?: string | null;
+    }
+
+    /** Style properties; each object type uses the ones that apply to it */
+    export interface ObjectStyle {
+        /** Stroke colour (text colour for text) */
+        color?: string;
+        /** Stroke width */
+        width?: number;
+        /** Text font size in pixels */
+        fontSize?: number;
+        /** Fill colour of rectangles and circles, null for none */
+        fill?: string | null;
+        /** Opacity of the fill, 0-1 (default: 1) */
+        fillOpacity?: number;
+        /** Opacity of the whole object, 0-1 (default: 1) */
+        opacity?: number;
+        /** Stroke pattern of shapes, arrows and pencil strokes (default: 'solid') */
+        dash?: 'solid' | 'dashed' | 'dotted';
+        /** Which arrow ends get a head (default: 'end'); heads scale with the stroke width */
+        arrowHead?: 'none' | 'start' | 'end' | 'both';
+        /** Text font family (default: the editor's fontFamily option) */
+        fontFamily?: string;
+        fontWeight?: 'normal' | 'bold' | number;
+        fontStyle?: 'normal' | 'italic';
+        /** Alignment of text lines within the text block */
+        textAlign?: 'left' | 'center' | 'right';
+        /** Background box colour behind text, null for none */
+        background?: string | null;
+        /** Space between text and its background box */
+        padding?: number;
+        /** Corner radius of the background box */
+        radius?: number;
+        /** Widest the text may get in pixels, null for no limit */
+        maxWidth?: number | null;
+        /** How text longer than maxWidth fits: break into lines or reduce the font size (default: 'wrap') */
+        fit?: 'wrap' | 'shrink';
+        /** Where the lines sit in a text box (default: 'top') */
+        verticalAlign?: 'top' | 'middle' | 'bottom';
+        /** Text taller than its box: drawn past it, cut off at its edges or shrunk to fit (default: 'visible') */
+        overflow?: 'visible' | 'clip' | 'shrink';
+        /** Step marker diameter in pixels (default: 32) */
+        size?: number;
+        /** Step marker label and ring colour (default: '#ffffff') */
+        textColor?: string;
+        /** Step marker labels: 1, 2, 3... or A, B, C... (default: 'number') */
+        sequence?: 'number' | 'letter';
+    }
+
+    /** An annotation object as stored in the editor state */
+    export interface AnnotationObject extends ObjectStyle {
+        /** Unique id, kept in documents */
+        id?: string;
+        type: 'pencil' | 'rect' | 'circle' | 'arrow' | 'text' | 'highlight' | 'blur' | 'pixelate' | 'image' | 'step' | 'group';
+        /** Position; groups have none and take their bounds from their members */
+        x?: number;
+        y?: number;
+        /** Size; text with a size is a box its lines wrap in, with y the baseline of the first line */
+        w?: number;
+        h?: number;
+        /** Pencil points or freehand redaction outline; pressure (0-1) is recorded for stylus strokes */
+        points?: Array<{ x: number; y: number; pressure?: number }>;
+        text?: string;
+        /** Rotation around the object's centre, in radians */
+        angle?: number;
+        /** Blur radius or pixel block size of a redaction region */
+        strength?: number;
+        /** Redaction outline: the x/y/w/h box, or the closed polygon in points */
+        shape?: RedactionShape;
+        /** Image object source URL */
+        src?: string;
+        /** Category of a rect, circle or pencil region in exported annotations */
+        label?: string;
+        /** Free-form data such as author, timestamp or comment; saved with the document, never drawn */
+        meta?: { [key: string]: unknown };
+        /** Members of a group, in stacking order */
+        children?: AnnotationObject[];
+        [key: string]: unknown;
+    }
+
+    /** Serialized editing session, produced by toJSON() */
+    export interface EditorDocument {
+        /** Document format version */
+        version: number;
+        /** Original image source and its natural size, before transforms */
+        image: { src: string; width: number; height: number } | null;
+        /** Canvas size after transforms */
+        canvas: { width: number; height: number };
+        /** Transforms applied to the original image, in order */
+        transforms: ImageTransform[];
+        /** Image adjustments, drawn over the transformed image */
+        adjustments?: Adjustments;
+        /** Annotation objects with their styles */
+        objects: AnnotationObject[];
+        /** Translations keyed by language code */
+        translations: { [langCode: string]: TranslationMap };
+    }
+
+    export type ToolName = 'select' | 'crop' | 'pencil' | 'arrow' | 'rect' | 'circle' | 'text' | 'highlight' | 'blur' | 'pixelate' | 'step' | 'straighten';
+
+    export type RedactionShape = 'rect' | 'freehand';
+
+    /** Payloads of editor events. Objects are copies, safe to keep in app state */
+    export interface EditorEventMap {
+        objectAdded: { object: AnnotationObject };
+        objectModified: { object: AnnotationObject };
+        objectRemoved: { object: AnnotationObject };
+        /** object is the selected object when exactly one is selected; objects lists the whole selection */
+        selectionChanged: { object: AnnotationObject | null; previous: AnnotationObject | null; objects: AnnotationObject[] };
+        toolChanged: { tool: ToolName; previous: ToolName };
+        historyChanged: { canUndo: boolean; canRedo: boolean; index: number; length: number };
+        imageLoaded: { source: string | null; width: number; height: number };
+        cropApplied: { x: number; y: number; width: number; height: number };
+        zoomChanged: { zoom: number };
+        viewportChanged: Viewport;
+        adjustmentsChanged: { adjustments: Adjustments };
+        /** object is null when a new text is being created */
+        textEditStart: { object: AnnotationObject | null; x: number; y: number };
+        /** object is null when new text was cancelled or left empty */
+        textEditEnd: { object: AnnotationObject | null; cancelled: boolean };
+    }
+
+    export type EditorEventName = keyof EditorEventMap;
 
     export type AspectRatioPreset = 'free' | 'square' | '1:1' | '16:9' | '9:16' | '4:3' | '3:2' | string;
 
     export type ImageFormat = 'image/png' | 'image/jpeg' | 'image/webp';
 
+    export interface ExportOptions {
+        /** Output format (default: 'image/png') */
+        format?: ImageFormat;
+        /** Image quality for jpeg/webp (default: 0.92) */
+        quality?: number;
+        /** Output scale relative to the image size (default: 1) */
+        scale?: number;
+        /** Shrink the output to fit this width */
+        maxWidth?: number;
+        /** Shrink the output to fit this height */
+        maxHeight?: number;
+        /** Lower jpeg/webp quality until the encoded file fits this many bytes */
+        targetBytes?: number;
+        /** Fill colour behind transparent pixels (default: white for jpeg) */
+        background?: string | null;
+    }
+
+    export interface BlobExportOptions extends ExportOptions {
+        /** Apply the translations of this language */
+        lang?: string;
+    }
+
+    export interface VectorExportOptions {
+        /** Apply the translations of this language */
+        lang?: string;
+    }
+
     export default class CropAnnotate {
         constructor(container: HTMLElement | string, options?: CropAnnotateOptions);
 
-        /** Callback fired when zoom level changes */
+        /** Callback fired when zoom level changes. Prefer on('zoomChanged') */
         onZoomChange: ((level: number) => void) | null;
 
+        /** Register an event handler */
+        on<K extends EditorEventName>(event: K, handler: (payload: EditorEventMap[K]) => void): this;
+
+        /** Remove a handler, or all handlers for the event if none is given */
+        off<K extends EditorEventName>(event: K, handler?: (payload: EditorEventMap[K]) => void): this;
+
+        /** Register a handler that runs only once */
+        once<K extends EditorEventName>(event: K, handler: (payload: EditorEventMap[K]) => void): this;
+
         /** Load an image from URL or data URL */
         loadImage(source: string): Promise<HTMLImageElement>;
 
@@ -64,12 +318,30 @@ declare module 'crop-annotate' {
         /** Set the stroke/fill color */
         setColor(color: string): void;
 
+        /** Set style properties for new objects and the selected object. Throws TypeError on invalid values */
+        setStyle(style: ObjectStyle): void;
+
+        /** Get the style applied to new objects */
+        getStyle(): ObjectStyle;
+
+        /** Set the blur radius / block size for new redactions and the selected one */
+        setRedactionStrength(strength: number): void;
+
+        /** Draw new redactions as rectangles or freehand outlines */
+        setRedactionShape(shape: RedactionShape): void;
+
         /** Set crop aspect ratio constraint */
         setCropAspectRatio(ratio: AspectRatioPreset | AspectRatio | null): void;
 
         /** Get current crop aspect ratio */
         getCropAspectRatio(): AspectRatio | null;
 
+        /** Apply the pending crop box. Returns false if there is none */
+        applyCrop(): boolean;
+
+        /** Discard the pending crop box */
+        cancelCrop(): void;
+
         /** Undo last action */
         undo(): void;
 
@@ -82,12 +354,104 @@ declare module 'crop-annotate' {
         /** Check if redo is available */
         canRedo(): boolean;
 
+        /** Drop all undo/redo steps, keeping the current state */
+        clearHistory(): void;
+
+        /** Copies of the selected objects */
+        getSelection(): AnnotationObject[];
+
+        /** Select every object */
+        selectAll(): void;
+
+        /** Deselect everything */
+        clearSelection(): void;
+
+        /** Remove the selected objects. Returns false if nothing was selected */
+        deleteSelected(): boolean;
+
+        /** Group the selected objects. Returns false if fewer than two are selected */
+        group(): boolean;
+
+        /** Split the selected groups into their members */
+        ungroup(): boolean;
+
+        /** Move the selected objects by an offset in canvas pixels */
+        moveSelection(dx: number, dy: number): boolean;
+
+        /** Get a copy of an object by id, including group members */
+        getObject(id: string): AnnotationObject | null;
+
+        /** Add an object; current color, width and style fill in what the spec leaves out. Throws TypeError on invalid specs */
+        addObject(spec: AnnotationObject): AnnotationObject;
+
+        /** Change properties of an object; undefined removes one. Throws TypeError on invalid patches */
+        updateObject(id: string, patch: Partial<AnnotationObject>): AnnotationObject | null;
+
+        /** Remove an object; a group left without members goes too */
+        removeObject(id: string): boolean;
+
+        /** Bind a key combination ('mod+shift+z') to an action, or unbind it with null */
+        setShortcut(combo: string, action: ShortcutAction | null): void;
+
+        /** Get the current key bindings */
+        getShortcuts(): { [combo: string]: ShortcutAction };
+
+        /** Copy the selected objects to the editor's clipboard */
+        copy(): boolean;
+
+        /** Copy the selected objects, then remove them */
+        cut(): boolean;
+
+        /** Paste copied objects, offset from the originals */
+        paste(): boolean;
+
+        /** Duplicate the selected objects */
+        duplicate(): boolean;
+
+        /** Write the rendered image to the system clipboard as PNG. Call from a user gesture */
+        copyToClipboard(options?: ExportOptions): Promise<void>;
+
+        /** Add an image as a movable, resizable object */
+        insertImage(source: string | Blob): Promise<AnnotationObject>;
+
+        /** Move the selection one step up the stacking order */
+        bringForward(): boolean;
+
+        /** Move the selection one step down the stacking order */
+        sendBackward(): boolean;
+
+        /** Move the selection above all other objects */
+        bringToFront(): boolean;
+
+        /** Move the selection below all other objects */
+        sendToBack(): boolean;
+
         /** Flip the image horizontally or vertically */
         flip(direction: 'horizontal' | 'vertical'): void;
 
         /** Rotate the image 90 degrees left or right */
         rotate(direction: 'left' | 'right'): void;
 
+        /** Rotate the image clockwise by any angle in degrees; annotations turn with it */
+        rotateBy(degrees: number, options?: RotateOptions): void;
+
+        /** Resample the image; with only width or height the aspect ratio is kept */
+        resizeImage(size: { width?: number; height?: number } | { scale: number }): void;
+
+        /** Add space around the image: pixels for every side, or per side */
+        extendCanvas(sides: number | CanvasSides, options?: { fill?: string | null }): void;
+
+        // ========== ADJUSTMENTS API ==========
+
+        /** Merge adjustments of the base image; preview only shows them without an undo step. Resolves once sharpening is done */
+        adjust(values: Adjustments, options?: { preview?: boolean }): Promise<void>;
+
+        /** Get the current adjustments, without those at 0 */
+        getAdjustments(): Adjustments;
+
+        /** Remove all adjustments */
+        resetAdjustments(): Promise<void>;
+
         /** Set zoom level (1 = 100%) */
         setZoom(level: number): void;
 
@@ -106,11 +470,66 @@ declare module 'crop-annotate' {
         /** Reset zoom to 100% */
         resetZoom(): void;
 
+        /** Zoom and pan so the selected objects fill the view; false if nothing is selected */
+        zoomToSelection(padding?: number): boolean;
+
+        /** Centre the view on a canvas point */
+        panTo(x: number, y: number): void;
+
+        /** Get the visible part of the canvas, in canvas pixels */
+        getViewport(): Viewport;
+
         /** Get current image dimensions */
         getImageSize(): ImageSize;
 
         /** Export canvas as data URL */
         export(format?: ImageFormat, quality?: number): string;
+        export(options: ExportOptions): string;
+
+        /** Export as a Blob, without building a data URL */
+        exportBlob(options?: BlobExportOptions): Promise<Blob>;
+
+        /** Export as a File; the format defaults to the one matching the name's extension */
+        exportFile(name: string, options?: BlobExportOptions): Promise<File>;
+
+        /** Export as SVG markup: the image as an embedded raster, annotations as shapes and selectable text */
+        exportSVG(options?: VectorExportOptions): string;
+
+        /** Export as a single-page PDF with the same vector annotations as exportSVG() */
+        exportPDF(options?: VectorExportOptions): Promise<Blob>;
+
+        // ========== DOCUMENT API ==========
+
+        /** Serialize the editing session to a versioned JSON document */
+        toJSON(): EditorDocument;
+
+        /**
+         * Restore an editing session from a document created by toJSON().
+         * Rejects with an error if the document is malformed.
+         */
+        loadJSON(doc: EditorDocument | string): Promise<void>;
+
+        // ========== ANNOTATION DATASETS API ==========
+
+        /** Set the label of the selected rects, circles and pencil strokes, and of new ones; null removes it */
+        setLabel(label: string | null): void;
+
+        /** Get the label given to new annotations */
+        getLabel(): string | null;
+
+        /**
+         * Export rects, circles and pencil strokes as COCO JSON, Pascal VOC XML or YOLO text,
+         * in pixels of the image as it was loaded
+         */
+        exportAnnotations(format: AnnotationFormat, options?: AnnotationExportOptions): string;
+
+        /** Add labelled boxes from a dataset file as rectangles, as one undo step */
+        importAnnotations(format: AnnotationFormat, data: string | object, options?: AnnotationImportOptions): AnnotationObject[];
+
+        // ========== STEP MARKERS API ==========
+
+        /** Get all step markers in order, with the labels they show */
+        getStepAnnotations(): StepAnnotation[];
 
         // ========== TEXT ANNOTATIONS API ==========
 
@@ -145,6 +564,18 @@ declare module 'crop-annotate' {
          */
         clearTranslations(langCode?: string): void;
 
+        /**
+         * Export the texts for translators as XLIFF 2.0, gettext PO or i18next JSON,
+         * with the translations of langCode if given
+         */
+        exportTranslations(format: TranslationFormat, langCode?: string, options?: { sourceLanguage?: string }): string;
+
+        /**
+         * Load a translated file, replacing the translations of its language.
+         * Returns the language code; i18next files need langCode.
+         */
+        importTranslations(format: TranslationFormat, data: string | object, langCode?: string): string;
+
         /**
          * Export image with translations applied for a specific language.
          * @param langCode - Language code for export
@@ -153,6 +584,7 @@ declare module 'crop-annotate' {
          * @returns Data URL of exported image, or null if translations not available
          */
         exportWithTranslations(langCode: string, format?: ImageFormat, quality?: number): string | null;
+        exportWithTranslations(langCode: string, options: ExportOptions): string | null;
 
         /**
          * Export all versions: original and all translations.
@@ -160,8 +592,9 @@ declare module 'crop-annotate' {
          * @param quality - Image quality for jpeg (default: 0.92)
          */
         exportAllVersions(format?: ImageFormat, quality?: number): ExportVersions;
+        exportAllVersions(options: ExportOptions): ExportVersions;
 
-        /** Destroy the editor instance */
+        /** Remove listeners, DOM nodes and images and restore the container; later calls throw */
         destroy(): void;
     }
 }